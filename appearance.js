@@ -0,0 +1,190 @@
+/**
+ * appearance.js
+ *
+ * Shared link styling for the Amazon Easy Nav extension.
+ * This script is loaded by the content script (arin.js, through nav-injector.js) and the options page,
+ * which uses it for its live preview of the header.
+ *
+ * A link may carry two optional properties:
+ *  - icon: (string) Either the id of a built-in icon (see `ICONS`, e.g. 'box') or an emoji (e.g. '📦').
+ *  - accent: (string) One of `ACCENTS`: 'bold', 'highlight', 'badge' or 'outline'. Each maps to a
+ *    CSS class `arin-accent-<accent>` styled in arin.css.
+ *
+ * It also lists where the links can be placed in Amazon's header (see `PLACEMENTS`). The placement
+ * is a setting of its own (see storage.js) and is applied by nav-injector.js.
+ */
+
+const ArinAppearance = (() => {
+	/**
+	 * Built-in icons, drawn as 16x16 SVG outlines in the current text color.
+	 * Each entry has the path data of the icon and the message name (see _locales) of its label.
+	 */
+	const ICONS = {
+		box: { label: 'iconBox', path: 'M2 5l6-3 6 3v6l-6 3-6-3z M2 5l6 3 6-3 M8 8v6' },
+		return: { label: 'iconReturn', path: 'M6 2L2 6l4 4 M2 6h8a4 4 0 0 1 0 8H6' },
+		truck: { label: 'iconTruck', path: 'M1 4h9v7H1z M10 7h3l2 2v2h-5 M3 12.5a1.5 1.5 0 1 0 3 0a1.5 1.5 0 1 0-3 0 M10 12.5a1.5 1.5 0 1 0 3 0a1.5 1.5 0 1 0-3 0' },
+		cart: { label: 'iconCart', path: 'M1 2h2l2 8h8l2-6H4 M5 13.5a1 1 0 1 0 2 0a1 1 0 1 0-2 0 M11 13.5a1 1 0 1 0 2 0a1 1 0 1 0-2 0' },
+		chat: { label: 'iconChat', path: 'M2 3h12v8H7l-3 3v-3H2z' },
+		star: { label: 'iconStar', path: 'M8 1.5l2 4.2 4.5.6-3.3 3.1.8 4.5L8 11.7l-4 2.2.8-4.5L1.5 6.3 6 5.7z' },
+		heart: { label: 'iconHeart', path: 'M8 14S2 10 2 5.5A3 3 0 0 1 8 4a3 3 0 0 1 6 1.5C14 10 8 14 8 14z' },
+		tag: { label: 'iconTag', path: 'M2 2h6l6 6-6 6-6-6z M5 5h.01' },
+		gift: { label: 'iconGift', path: 'M2 6h12v3H2z M3 9h10v5H3z M8 6v8 M8 6C6 2 3 4 5 6 M8 6c2-4 5-2 3 0' },
+		bell: { label: 'iconBell', path: 'M4 11V7a4 4 0 0 1 8 0v4l1 1H3z M7 14h2' },
+		user: { label: 'iconUser', path: 'M5 5a3 3 0 1 0 6 0a3 3 0 1 0-6 0 M2 15c0-3 3-5 6-5s6 2 6 5' },
+		list: { label: 'iconList', path: 'M5 4h9 M5 8h9 M5 12h9 M2 4h.01 M2 8h.01 M2 12h.01' }
+	};
+
+	// Accent styles a link can have, and the message names of their labels.
+	const ACCENTS = ['bold', 'highlight', 'badge', 'outline'];
+	const ACCENT_LABELS = {
+		bold: 'accentBold',
+		highlight: 'accentHighlight',
+		badge: 'accentBadge',
+		outline: 'accentOutline'
+	};
+
+	// Where the links can go in the header, and the message names of their labels. The first one is the default.
+	//  - 'xshop-start' / 'xshop-end': at the start or end of the main nav bar (#nav-xshop).
+	//  - 'nav-tools': next to the account and orders links (#nav-tools).
+	//  - 'row': in a row of their own, below Amazon's header.
+	const PLACEMENTS = ['xshop-start', 'xshop-end', 'nav-tools', 'row'];
+	const DEFAULT_PLACEMENT = PLACEMENTS[0];
+	const PLACEMENT_LABELS = {
+		'xshop-start': 'placementXshopStart',
+		'xshop-end': 'placementXshopEnd',
+		'nav-tools': 'placementNavTools',
+		'row': 'placementRow'
+	};
+
+	// An emoji icon: one emoji, possibly with modifiers (skin tones, ZWJ sequences, flags, keycaps).
+	const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3)(?:[\uFE0F\u200D\p{Emoji_Modifier}\p{Extended_Pictographic}\p{Regional_Indicator}])*$/u;
+
+	/**
+	 * Checks whether an icon is one of the built-in icons.
+	 * @param {string} icon - The icon value of a link.
+	 * @returns {boolean} True for the id of a built-in icon.
+	 */
+	function isBuiltInIcon(icon) {
+		return Object.prototype.hasOwnProperty.call(ICONS, icon);
+	}
+
+	/**
+	 * Validates the icon of a link.
+	 * @param {*} icon - The value to validate.
+	 * @throws {Error} If the icon is neither a built-in icon id nor a single emoji.
+	 */
+	function validateIcon(icon) {
+		if (typeof icon !== 'string' || !(isBuiltInIcon(icon) || (icon.length <= 16 && EMOJI_PATTERN.test(icon)))) {
+			throw new Error(ArinI18n.getMessage('iconInvalid', [String(icon), Object.keys(ICONS).join(', ')]));
+		}
+	}
+
+	/**
+	 * Validates the accent style of a link.
+	 * @param {*} accent - The value to validate.
+	 * @throws {Error} If the accent isn't one of `ACCENTS`.
+	 */
+	function validateAccent(accent) {
+		if (!ACCENTS.includes(accent)) {
+			throw new Error(ArinI18n.getMessage('accentInvalid', [String(accent), ACCENTS.join(', ')]));
+		}
+	}
+
+	/**
+	 * Returns a valid placement, falling back to the default for unknown values.
+	 * @param {*} placement - A stored placement value.
+	 * @returns {string} One of `PLACEMENTS`.
+	 */
+	function normalizePlacement(placement) {
+		return PLACEMENTS.includes(placement) ? placement : DEFAULT_PLACEMENT;
+	}
+
+	/**
+	 * Returns the class name of the `nav-a` anchor of a link with the given accent.
+	 * @param {string} [accent] - The accent of the link, if any.
+	 * @returns {string} 'nav-a', plus the accent class (e.g. 'nav-a arin-accent-badge').
+	 */
+	function getLinkClassName(accent) {
+		return ACCENTS.includes(accent) ? `nav-a arin-accent-${accent}` : 'nav-a';
+	}
+
+	/**
+	 * Creates the element showing an icon: an inline SVG for built-in icons, a text span for emoji.
+	 * Icons are decorative; the link name next to them is what assistive technology reads.
+	 * @param {string} icon - A built-in icon id or an emoji.
+	 * @param {Document} [ownerDocument] - The document to create the element in. Defaults to `document`.
+	 * @returns {Element} The icon element, with the class 'arin-icon'.
+	 */
+	function createIconElement(icon, ownerDocument = document) {
+		if (!isBuiltInIcon(icon)) {
+			const emoji = ownerDocument.createElement('span');
+			emoji.className = 'arin-icon arin-icon-emoji';
+			emoji.setAttribute('aria-hidden', 'true');
+			emoji.textContent = icon;
+			return emoji;
+		}
+		const svgNamespace = 'http://www.w3.org/2000/svg';
+		const svg = ownerDocument.createElementNS(svgNamespace, 'svg');
+		svg.setAttribute('class', 'arin-icon');
+		svg.setAttribute('viewBox', '0 0 16 16');
+		svg.setAttribute('width', '16');
+		svg.setAttribute('height', '16');
+		svg.setAttribute('aria-hidden', 'true');
+		svg.setAttribute('focusable', 'false');
+		const path = ownerDocument.createElementNS(svgNamespace, 'path');
+		path.setAttribute('d', ICONS[icon].path);
+		path.setAttribute('fill', 'none');
+		path.setAttribute('stroke', 'currentColor');
+		path.setAttribute('stroke-width', '1.5');
+		path.setAttribute('stroke-linecap', 'round');
+		path.setAttribute('stroke-linejoin', 'round');
+		svg.appendChild(path);
+		return svg;
+	}
+
+	/**
+	 * Fills an element with a link's label: its icon (if any) followed by its text.
+	 * The rendered values are remembered in `data-arin-content`, so callers can tell whether the
+	 * content is up to date (see `isContentCurrent`) without touching the DOM.
+	 * @param {Element} element - The anchor (or group label) to fill.
+	 * @param {string} text - The link name.
+	 * @param {string} [icon] - The link's icon, if any.
+	 */
+	function renderLinkContent(element, text, icon) {
+		const textNode = element.ownerDocument.createTextNode(text);
+		if (icon) {
+			element.replaceChildren(createIconElement(icon, element.ownerDocument), textNode);
+		} else {
+			element.replaceChildren(textNode);
+		}
+		element.setAttribute('data-arin-content', JSON.stringify([text, icon || '']));
+	}
+
+	/**
+	 * Checks whether an element filled by `renderLinkContent` still shows the given text and icon.
+	 * @param {Element} element - The anchor or group label.
+	 * @param {string} text - The link name.
+	 * @param {string} [icon] - The link's icon, if any.
+	 * @returns {boolean} True if nothing needs to be re-rendered.
+	 */
+	function isContentCurrent(element, text, icon) {
+		return element.getAttribute('data-arin-content') === JSON.stringify([text, icon || '']);
+	}
+
+	return {
+		ICONS,
+		ACCENTS,
+		ACCENT_LABELS,
+		PLACEMENTS,
+		DEFAULT_PLACEMENT,
+		PLACEMENT_LABELS,
+		isBuiltInIcon,
+		validateIcon,
+		validateAccent,
+		normalizePlacement,
+		getLinkClassName,
+		createIconElement,
+		renderLinkContent,
+		isContentCurrent
+	};
+})();
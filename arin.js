@@ -4,131 +4,405 @@
  * Content script for the Amazon Easy Nav extension.
  * This script is injected into Amazon pages. Its primary role is to:
  *  1. Fetch the user's configured navigation links (both predefined and custom)
- *     from Chrome's synchronized storage.
+ *     from Chrome's synchronized storage, through the shared storage module (storage.js).
  *  2. Dynamically create and insert these links into the main Amazon navigation bar
- *     (identified by the ID 'nav-xshop').
- *  3. Handle cases where no configuration is found by using a default set of links
+ *     (usually the element with the ID 'nav-xshop', see nav-injector.js for the fallbacks).
+ *  3. Only show links scoped to the marketplace of the current page (e.g. amazon.de).
+ *  4. Handle cases where no configuration is found by using a default set of links
  *     and saving these defaults back to storage for future use.
+ *  5. Keep the injected links in sync with changes made on the options page, without a reload.
+ *  6. Show link groups as a single nav item with a dropdown flyout.
+ *  7. Resolve URL placeholders such as {domain} and {search} for the current page, and never
+ *     inject an unsafe URL (see urls.js).
+ *  8. Hide the links while they are paused on this marketplace (toggled from the toolbar popup).
+ *  9. Open links with their keyboard shortcuts, and open the command palette (see command-palette.js)
+ *     with its hotkey (see shortcuts.js). Both are off while the links are paused.
+ * 10. Only show conditional links on the pages they apply to (see conditions.js), and re-evaluate
+ *     them when the page URL changes without a reload.
+ * 11. Name predefined links in the language of the marketplace (e.g. German on amazon.de), as listed
+ *     in amazon-domains.json, rather than in the browser's language (see i18n.js).
+ * 12. Show each link's icon and accent style, and place the links where the user chose in the header
+ *     (see appearance.js).
+ * 13. Count the uses of the links (clicks and keyboard shortcuts) and, if the user opted in, the kinds
+ *     of Amazon pages visited, all kept on this device (see usage.js).
+ * 14. Show the links of the active profile, or of the profile set up for the account greeted in
+ *     Amazon's header (see profiles.js).
+ * 15. Hide Amazon's own nav items, or place them among the links, as listed on the options page, and
+ *     record the items of this marketplace's nav bar so the options page can list them (see native-items.js).
  */
 
+// The last profiles read from storage, the id of the active one, the links of the profile shown on
+// this page, and whether the links are paused on this marketplace.
+// They are kept so that each can change without re-reading the others.
+let currentProfiles = [];
+let activeProfileId = ArinProfiles.DEFAULT_PROFILE_ID;
+let currentLinks = [];
+let isPausedOnThisSite = false;
+
+// Data about the current page (marketplace, path, search query, ASIN, order ID; see urls.js).
+// Refreshed before the links are evaluated, since Amazon can change the page without a reload.
+let pageContext = ArinUrls.createContext(location);
+
+// Language of the marketplace the page belongs to, used for the names of predefined links.
+// Set from amazon-domains.json before the links are first rendered (see `addAnchorToNav`).
+let pageLanguage = ArinCatalog.getBrowserLanguage();
+
+/**
+ * Checks whether the links are paused on the marketplace of the current page.
+ * @param {Array<string>} pausedSites - The paused marketplace domains (see storage.js).
+ * @returns {boolean} True if the current page's marketplace is in the list.
+ */
+function isThisSitePaused(pausedSites) {
+	const domain = ArinUrls.getMarketplaceDomain(location.hostname);
+	return domain !== null && pausedSites.includes(domain);
+}
+
 /**
- * Fetches link configurations from `chrome.storage.sync` and adds the enabled links
+ * Builds a stable key identifying a link in the navigation bar.
+ * The key is stored in the `data-arin-link` attribute of the injected item (see nav-injector.js).
+ * Predefined links and groups are keyed by their id, custom links by their URL, and Amazon's own items
+ * by their path (or name, if they have none). If the same key is already taken (e.g. two custom links
+ * with the same URL), a numeric suffix is added.
+ * @param {object} link - The stored link object.
+ * @param {Array<object>} navLinks - The nav links prepared so far, used to detect duplicate keys.
+ * @returns {string} A key unique within `navLinks`.
+ */
+function getLinkKey(link, navLinks) {
+	let baseKey;
+	if (link.type === 'predefined') baseKey = `predefined:${link.id}`;
+	else if (link.type === 'group') baseKey = `group:${link.id}`;
+	else if (link.type === 'native') baseKey = `native:${link.url || link.name}`;
+	else baseKey = `custom:${link.url}`;
+	let key = baseKey;
+	for (let suffix = 2; navLinks.some(navLink => navLink.key === key); suffix++) {
+		key = `${baseKey}#${suffix}`;
+	}
+	return key;
+}
+
+/**
+ * Checks whether a link should be shown on the current page.
+ * A link (predefined, custom or group) is shown only if it's marked as 'enabled'.
+ * The storage module (storage.js) ensures that all links in storage have an 'enabled' property
+ * (defaulting to true for links migrated from older versions).
+ * It must also be scoped to the marketplace of the current page (see marketplaces.js);
+ * links without a `marketplaces` restriction are shown on every storefront.
+ * Finally, its condition (if any) must hold on the current page (see conditions.js).
+ * @param {object} link - A stored link object.
+ * @returns {boolean} True if the link should be shown.
+ */
+function isLinkShownOnThisPage(link) {
+	return link.enabled === true && ArinMarketplaces.isLinkAvailableOnHost(link, location.hostname) &&
+		ArinConditions.isConditionMet(link, pageContext);
+}
+
+/**
+ * Turns a stored (non-group) link into the data needed to create its anchor element.
+ * @param {object} link - A stored link object of type "predefined" or "custom".
+ * @returns {object|null} { href, textContent, className, icon, usageKey }, or null if the link is missing
+ *                        data or its URL is unsafe. `className` carries the link's accent style.
+ */
+function toNavLink(link) {
+	// Predefined links take their name (in the marketplace's language) and marketplace-specific URL from the catalog.
+	const resolvedLink = ArinCatalog.resolveLink(link, location.hostname, pageLanguage);
+
+	// Ensure the link object has the essential 'url' and 'name' properties
+	// before attempting to create an HTML element from it. This is a robustness check.
+	if (!resolvedLink.url || !resolvedLink.name) {
+		// Log a warning if a link object is missing critical data.
+		console.warn('ARIN: Link object missing url or name, skipping:', link);
+		return null;
+	}
+
+	// Fill in placeholders like {domain} and {search}, and re-check the URL before it becomes an href.
+	const href = ArinUrls.resolveUrl(resolvedLink.url, pageContext);
+	if (!href) {
+		console.warn('ARIN: Link URL is not allowed, skipping:', link);
+		return null;
+	}
+	return {
+		href,
+		textContent: resolvedLink.name,
+		// Standard Amazon class for navigation links, plus the accent class (see appearance.js).
+		className: ArinAppearance.getLinkClassName(link.accent),
+		icon: link.icon || '',
+		// Key the link's clicks are counted under (see usage.js).
+		usageKey: ArinUsage.getUsageKey(link)
+	};
+}
+
+/**
+ * Filters the given link configuration down to the links that should be shown on this page,
+ * and hands them to the injection layer (see nav-injector.js).
+ * Called on page load and again whenever the configuration changes in storage.
+ * While the links are paused on this marketplace, nothing is shown.
+ * @param {Array<object>} linksToProcess - The full list of stored link objects.
+ * Side effects:
+ *  - Modifies the navigation bar via `ArinNavInjector.setLinks`.
+ *  - Logs messages to the console (warnings or informational).
+ */
+function renderLinks(linksToProcess) {
+	currentLinks = linksToProcess;
+	pageContext = ArinUrls.createContext(location);
+	if (isPausedOnThisSite) {
+		console.log('ARIN: Links are paused on this site.');
+		ArinNavInjector.setLinks([]);
+		return;
+	}
+
+	// --- Filter and Prepare Links for DOM Insertion ---
+	const navLinksToAdd = []; // Array to hold the link objects that will actually be added to the nav bar.
+
+	// Iterate over the `linksToProcess` array.
+	linksToProcess.forEach(link => {
+		if (link.type === 'native') {
+			// Amazon's own items aren't injected: their rule hides the item, or places it among the links.
+			if (ArinMarketplaces.isLinkAvailableOnHost(link, location.hostname)) {
+				navLinksToAdd.push({
+					key: getLinkKey(link, navLinksToAdd),
+					native: { name: link.name, url: link.url },
+					hidden: link.enabled !== true
+				});
+			}
+			return;
+		}
+		if (!isLinkShownOnThisPage(link)) return;
+
+		if (link.type === 'group') {
+			// A group becomes a single nav item with a flyout listing its shown child links.
+			// Groups without any shown child links are left out entirely.
+			const children = (link.children || [])
+				.filter(isLinkShownOnThisPage)
+				.map(toNavLink)
+				.filter(child => child !== null)
+				.map(child => ({ href: child.href, textContent: child.textContent, className: child.className, icon: child.icon, usageKey: child.usageKey }));
+			if (children.length > 0 && link.name) {
+				navLinksToAdd.push({
+					key: getLinkKey(link, navLinksToAdd),
+					textContent: link.name,
+					className: ArinAppearance.getLinkClassName(link.accent),
+					icon: link.icon || '',
+					children
+				});
+			}
+			return;
+		}
+
+		const navLink = toNavLink(link);
+		if (navLink) {
+			navLink.key = getLinkKey(link, navLinksToAdd);
+			navLinksToAdd.push(navLink);
+		}
+	});
+
+	// --- DOM Manipulation: Add Filtered Links to Nav Bar ---
+	// Hand the links over to the injection layer (see nav-injector.js). It finds a suitable
+	// host container, waits for the header if it hasn't loaded yet, re-injects the links
+	// if Amazon re-renders the header, and only applies the differences to links already shown.
+	if (!navLinksToAdd.some(navLink => !navLink.native)) {
+		// Log an informational message if no links are active/enabled.
+		console.log('ARIN: No active links to add to the navigation bar.');
+	}
+	ArinNavInjector.setLinks(navLinksToAdd);
+}
+
+/**
+ * Chooses the profile to show on this page and renders its links: the profile set up for the account
+ * greeted in Amazon's header, or else the active profile (see profiles.js).
+ * Called on page load, whenever the profiles change in storage, and when the page changes without a
+ * reload (the greeting may have changed, e.g. after signing in).
+ * @param {Array<object>} profiles - The stored profiles.
+ * @param {string} profileId - The id of the active profile.
+ * Side effects:
+ *  - Reads the account greeting from the page, and renders the links via `renderLinks`.
+ */
+function renderProfiles(profiles, profileId) {
+	currentProfiles = profiles;
+	activeProfileId = profileId;
+	const profile = ArinProfiles.selectProfile(profiles, profileId, ArinProfiles.readAccountName(document));
+	renderLinks(profile ? profile.links : []);
+}
+
+/**
+ * Fetches link configurations from storage and adds the enabled links
  * to Amazon's main navigation bar.
  *
  * Side effects:
- *  - Reads from `chrome.storage.sync` to get the 'allUserLinks' configuration.
- *  - If no configuration is found or it's empty, it may write a default set of links
- *    back to `chrome.storage.sync`.
+ *  - Loads the marketplace list (see marketplaces.js) to find the language of this marketplace.
+ *  - Reads where the links go in the header, and passes it to the injection layer.
+ *  - Reads the link profiles through the shared storage module (see storage.js), which migrates
+ *    old configurations and writes the default set of links on first use.
  *  - Modifies the DOM on the current Amazon page by inserting new anchor (<a>) elements
- *    into the navigation bar ('nav-xshop').
+ *    into the navigation bar, via the injection layer in nav-injector.js.
  *  - Logs messages to the console (errors, warnings, or informational).
  */
 function addAnchorToNav() {
-	// Attempt to retrieve the user's saved link configuration from Chrome's synchronized storage.
-	// 'allUserLinks' is expected to be an array of link objects.
-	chrome.storage.sync.get(['allUserLinks'], (result) => {
-		// This callback function is executed once the data is fetched.
-		// 'result' is an object where result.allUserLinks contains the fetched data.
-
-		let linksToProcess = result.allUserLinks; // The array of links to consider for display.
-		let mustSaveDefaults = false; // Flag to indicate if default links need to be saved back to storage.
-
-		// --- Determine Links to Process: Use Stored or Defaults ---
-		// Check if `linksToProcess` (from storage) is a valid, non-empty array.
-		// If not (e.g., first time use, or storage was cleared), set up default links.
-		if (!Array.isArray(linksToProcess) || linksToProcess.length === 0) {
-			// Define the default set of links. These are predefined links that the user can enable/disable.
-			// Structure per link: { type, id, name, url, enabled, originalIndex }
-			linksToProcess = [
-				{ type: "predefined", id: "returns", name: "Returns", url: "/spr/returns/history", enabled: true, originalIndex: 0 },
-				{ type: "predefined", id: "support", name: "Support Call", url: "/gp/help/customer/express/c2c/popup.html", enabled: true, originalIndex: 1 }
-			];
-			// Since we're using defaults, mark that they should be saved to storage
-			// so the options page can pick them up and the user sees a consistent state.
-			mustSaveDefaults = true;
-		}
-
-		// --- Filter and Prepare Links for DOM Insertion ---
-		const navLinksToAdd = []; // Array to hold the link objects that will actually be added to the nav bar.
-
-		// Iterate over the `linksToProcess` array.
-		linksToProcess.forEach(link => {
-			// A link (either predefined or custom) is added to the navigation bar only if it's marked as 'enabled'.
-			// The 'options.js' script ensures that all links in storage have an 'enabled' property
-			// (defaulting to true for new custom links or those migrated from older versions).
-			if (link.enabled === true) {
-				// Additionally, ensure the link object has the essential 'url' and 'name' properties
-				// before attempting to create an HTML element from it. This is a robustness check.
-				if (link.url && link.name) {
-					navLinksToAdd.push({
-						href: link.url,
-						textContent: link.name,
-						className: 'nav-a' // Standard Amazon class for navigation links.
-					});
-				} else {
-					// Log a warning if a link object is missing critical data.
-					console.warn('ARIN: Link object missing url or name, skipping:', link);
-				}
-			}
+	// Retrieve the marketplace's language, the placement, the paused sites and the user's saved link
+	// configuration (or the defaults), then filter the links and add them to the nav bar.
+	ArinMarketplaces.loadMarketplaces((marketplaces) => {
+		pageLanguage = ArinI18n.getMarketplaceLanguage(location.hostname, marketplaces);
+		ArinStorage.loadPlacement((placement) => {
+			ArinNavInjector.setPlacement(placement);
+			ArinStorage.loadPausedSites((pausedSites) => {
+				isPausedOnThisSite = isThisSitePaused(pausedSites);
+				recordPageVisit();
+				ArinStorage.loadProfiles((profiles, { activeProfileId: profileId }) => {
+					renderProfiles(profiles, profileId);
+				});
+			});
 		});
+	});
+} // End of addAnchorToNav function
 
-		// --- DOM Manipulation: Add Filtered Links to Nav Bar ---
-		// Proceed only if there are actual links to add after filtering.
-		if (navLinksToAdd.length > 0) {
-			// Try to find Amazon's main navigation bar element by its ID 'nav-xshop'.
-			const navElement = document.querySelector("#nav-xshop > ul.nav-ul")
-
-			if (!navElement) {
-				// If the navigation bar element isn't found, log an error and stop.
-				// This might happen if Amazon changes its page structure.
-				console.error('ARIN: Amazon navigation element (nav-xshop) not found on this page.');
-				return;
-			}
-
-			// Add the links to the navigation bar.
-			// The links are reversed before iterating because `insertBefore(newLink, navElement.firstChild)`
-			// adds each new link at the beginning of the nav bar.
-			// Reversing ensures that the links appear in the order they were defined in `navLinksToAdd`.
-			[...navLinksToAdd].reverse().forEach(linkData => {
-				// Create new anchor element and assign properties
-				// Create a new element li.nav-li > div.nav-div > a.nav-a
-				const newLi = document.createElement('li');
-				newLi.className = 'nav-li';
-				newLi.style.listStyleType = 'none';
+/**
+ * Subscribes to changes of the link profiles, so that edits made on the options page (reordering,
+ * toggling, adding or removing links, switching profiles) show up in open Amazon tabs without a reload.
+ * Pausing or resuming this site from the toolbar popup also takes effect right away, and conditional
+ * links are re-evaluated when the page URL changes without a reload (see nav-injector.js), and a new
+ * placement chosen on the options page moves the links right away.
+ * Side effects:
+ *  - Registers storage change listeners (see storage.js) that re-render the links.
+ */
+function watchForLinkChanges() {
+	ArinStorage.onProfilesChanged(renderProfiles);
+	ArinStorage.onPlacementChanged(ArinNavInjector.setPlacement);
+	// Conditional links depend on the page, which can change without a reload.
+	ArinNavInjector.onLocationChange(() => {
+		recordPageVisit();
+		renderProfiles(currentProfiles, activeProfileId);
+	});
+	ArinStorage.onPausedSitesChanged((pausedSites) => {
+		isPausedOnThisSite = isThisSitePaused(pausedSites);
+		renderLinks(currentLinks);
+	});
+}
 
-				const newDiv = document.createElement('div');
-				newDiv.className = 'nav-div';
+/**
+ * Records a visit to the current page for the link suggestions of the options page, unless the links
+ * are paused on this marketplace. Nothing is recorded unless the user opted in (see usage.js).
+ * Side effects:
+ *  - May write the visited path categories to chrome.storage.local.
+ */
+function recordPageVisit() {
+	if (!isPausedOnThisSite) ArinUsage.recordVisit(location.pathname);
+}
 
-				const newLink = Object.assign(document.createElement('a'), linkData);
-				newLink.tabIndex = 0;
+/**
+ * Records the items of Amazon's main nav bar on this marketplace as they're seen, so the options page
+ * can list them (see native-items.js).
+ * Side effects:
+ *  - Registers a listener with the injection layer (see nav-injector.js), which may write the items
+ *    to chrome.storage.local.
+ */
+function watchForNativeItems() {
+	ArinMarketplaces.loadMarketplaces(() => {
+		const domain = ArinUrls.getMarketplaceDomain(location.hostname);
+		if (!domain) return;
+		ArinNavInjector.onNativeItemsSeen(items => ArinNativeItems.recordSeenItems(domain, items));
+	});
+}
 
-				newDiv.appendChild(newLink);
-				newLi.appendChild(newDiv);
+/**
+ * Counts the uses of the injected links (see usage.js).
+ * Side effects:
+ *  - Registers click listeners (see nav-injector.js) and keeps the link uses in memory.
+ */
+function watchForLinkUses() {
+	ArinUsage.startRecording();
+	ArinNavInjector.onLinkUse(ArinUsage.recordLinkUse);
+}
 
-				navElement.insertBefore(newLi, navElement.firstChild);
-			});
+/**
+ * Lists the destinations of the links shown on this page (group links included), resolved for this page.
+ * Amazon's own items aren't among them.
+ * @returns {Array<object>} { link, href, title, detail } for each link, in the configured order.
+ *                          `detail` is the name of the link's group, if any.
+ */
+function getShownDestinations() {
+	pageContext = ArinUrls.createContext(location);
+	const destinations = [];
+	const addLink = (link, groupName) => {
+		const navLink = toNavLink(link);
+		if (navLink) destinations.push({ link, href: navLink.href, title: navLink.textContent, detail: groupName });
+	};
+	currentLinks.filter(isLinkShownOnThisPage).forEach(link => {
+		if (link.type === 'native') return;
+		if (link.type === 'group') {
+			(link.children || []).filter(isLinkShownOnThisPage).forEach(child => addLink(child, link.name));
 		} else {
-			// Log an informational message if no links are active/enabled.
-			console.log('ARIN: No active links to add to the navigation bar.');
+			addLink(link, '');
 		}
+	});
+	return destinations;
+}
 
-		// --- Save Defaults if Necessary ---
-		// If default links were used (because storage was empty or invalid),
-		// save them back to storage now. This ensures consistency with the options page.
-		if (mustSaveDefaults) {
-			chrome.storage.sync.set({ allUserLinks: linksToProcess }, () => {
-				// Callback for the save operation.
-				if (chrome.runtime.lastError) {
-					// Log an error if saving fails.
-					console.error('ARIN: Error saving default links to storage (allUserLinks):', chrome.runtime.lastError.message);
-				} else {
-					// Log success if defaults are saved.
-					console.log('ARIN: Default links saved to storage (allUserLinks).');
-				}
-			});
+/**
+ * Builds the items searched by the command palette: the links shown on this page, followed by the
+ * catalog destinations that aren't among them.
+ * @returns {Array<object>} { title, detail, href, shortcut } for each item.
+ */
+function buildPaletteItems() {
+	const destinations = getShownDestinations();
+	const items = destinations.map(({ link, href, title, detail }) =>
+		({ title, detail, href, shortcut: link.shortcut || '' }));
+
+	const shownIds = destinations.filter(({ link }) => link.type === 'predefined').map(({ link }) => link.id);
+	ArinCatalog.ENTRIES.filter(entry => !shownIds.includes(entry.id)).forEach(entry => {
+		const href = ArinUrls.resolveUrl(ArinCatalog.getUrl(entry, location.hostname), pageContext);
+		if (href) items.push({ title: ArinCatalog.getName(entry, pageLanguage), detail: ArinI18n.getMessage('paletteCatalogDetail'), href, shortcut: '' });
+	});
+	return items;
+}
+
+/**
+ * Handles keyboard shortcuts on the page: the command palette hotkey, and the shortcuts of the
+ * links shown on this page. Shortcuts are ignored while typing in a field, and a matched shortcut
+ * is kept from Amazon's own key handlers.
+ * @param {KeyboardEvent} event - The keydown event (listened for in the capture phase).
+ * Side effects:
+ *  - Opens or closes the command palette, or navigates to a link.
+ */
+function handleShortcutKeydown(event) {
+	if (isPausedOnThisSite || event.repeat || event.isComposing) return;
+	const shortcut = ArinShortcuts.fromKeyboardEvent(event);
+	if (!shortcut) return;
+
+	if (shortcut === ArinShortcuts.PALETTE_SHORTCUT && (ArinCommandPalette.isOpen() || !ArinShortcuts.isEditableTarget(event.target))) {
+		event.preventDefault();
+		event.stopImmediatePropagation();
+		if (ArinCommandPalette.isOpen()) {
+			ArinCommandPalette.close();
+		} else {
+			ArinCommandPalette.open(buildPaletteItems());
 		}
-	}); // End of chrome.storage.sync.get callback
-} // End of addAnchorToNav function
+		return;
+	}
+	// The palette handles its own keys; fields keep theirs.
+	if (ArinCommandPalette.isOpen() || ArinShortcuts.isEditableTarget(event.target)) return;
+
+	const destination = getShownDestinations().find(({ link }) => link.shortcut === shortcut);
+	if (destination) {
+		event.preventDefault();
+		event.stopImmediatePropagation();
+		ArinUsage.recordLinkUse(ArinUsage.getUsageKey(destination.link));
+		location.assign(destination.href);
+	}
+}
+
+/**
+ * Listens for keyboard shortcuts. The listener runs in the capture phase on the window, so it sees
+ * key presses before Amazon's handlers do.
+ * Side effects:
+ *  - Registers a keydown listener on the window.
+ */
+function watchForShortcuts() {
+	window.addEventListener('keydown', handleShortcutKeydown, true);
+}
 
-// Execute the main function to add links when the script runs.
+// Execute the main function to add links when the script runs, then keep them in sync with the options page
+// and count their uses.
+watchForNativeItems();
 addAnchorToNav();
+watchForLinkChanges();
+watchForShortcuts();
+watchForLinkUses();
@@ -0,0 +1,271 @@
+/**
+ * catalog.js
+ *
+ * Shared catalog of predefined destinations for the Amazon Easy Nav extension.
+ * This script is loaded by both the content script (arin.js) and the options page (options.js),
+ * and is the single place where predefined links are defined.
+ *
+ * Stored predefined links hold the English catalog name, whatever the browser language, so that devices
+ * with different languages store (and sync) the same links. The name shown is resolved in the page's
+ * language when the links are rendered (see `resolveLink`).
+ * Stored predefined links may carry a `customName`: a display name chosen by the user, which is
+ * used instead of the catalog name until it is reset.
+ *
+ * Each catalog entry has the following properties:
+ *  - id: (string) A stable, unique identifier. Stored links of type "predefined" refer to entries by this id.
+ *  - names: (object) Display names keyed by language code (e.g. 'en', 'de', 'ja'). 'en' is always present.
+ *  - url: (string) The default URL path of the destination.
+ *  - urls: (object, optional) Per-marketplace URL overrides keyed by `amazon_domain` (e.g. 'amazon.co.jp').
+ */
+
+const ArinCatalog = (() => {
+	// The curated list of destinations. The position of an entry in this array is used as the
+	// `originalIndex` of the link created from it.
+	const ENTRIES = [
+		{
+			id: 'returns',
+			names: {
+				en: 'Returns', de: 'Rücksendungen', fr: 'Retours', es: 'Devoluciones', it: 'Resi',
+				nl: 'Retourzendingen', pl: 'Zwroty', sv: 'Returer', tr: 'İadeler', pt: 'Devoluções',
+				ja: '返品', zh: '退货', ar: 'المرتجعات'
+			},
+			url: '/spr/returns/history',
+			urls: { 'amazon.cn': '/gp/orc/returns/homepage.html' }
+		},
+		{
+			id: 'support',
+			names: {
+				en: 'Support Call', de: 'Kundenservice-Anruf', fr: 'Appel du service client', es: 'Llamada de atención al cliente',
+				it: 'Chiamata assistenza', nl: 'Klantenservice bellen', pl: 'Połączenie z obsługą', sv: 'Ring kundtjänst',
+				tr: 'Destek araması', pt: 'Ligação do suporte', ja: 'カスタマーサービスに電話', zh: '客服电话', ar: 'اتصال الدعم'
+			},
+			url: '/gp/help/customer/express/c2c/popup.html'
+		},
+		{
+			id: 'orders',
+			names: {
+				en: 'Order History', de: 'Meine Bestellungen', fr: 'Historique des commandes', es: 'Historial de pedidos',
+				it: 'Cronologia ordini', nl: 'Bestelgeschiedenis', pl: 'Historia zamówień', sv: 'Orderhistorik',
+				tr: 'Sipariş geçmişi', pt: 'Histórico de pedidos', ja: '注文履歴', zh: '订单历史', ar: 'سجل الطلبات'
+			},
+			url: '/gp/css/order-history'
+		},
+		{
+			id: 'subscribe-save',
+			names: {
+				en: 'Subscribe & Save', de: 'Spar-Abo', fr: 'Prévoyez et économisez', es: 'Suscríbete y ahorra',
+				it: 'Iscriviti e risparmia', nl: 'Abonneer & bespaar', pl: 'Subskrybuj i oszczędzaj', sv: 'Prenumerera och spara',
+				tr: 'Abone ol ve tasarruf et', pt: 'Programe e Poupe', ja: '定期おトク便', zh: '订购省', ar: 'اشترك ووفّر'
+			},
+			url: '/auto-deliveries/subscriptionList'
+		},
+		{
+			id: 'digital-orders',
+			names: {
+				en: 'Digital Orders', de: 'Digitale Bestellungen', fr: 'Commandes numériques', es: 'Pedidos digitales',
+				it: 'Ordini digitali', nl: 'Digitale bestellingen', pl: 'Zamówienia cyfrowe', sv: 'Digitala beställningar',
+				tr: 'Dijital siparişler', pt: 'Pedidos digitais', ja: 'デジタル注文', zh: '数字订单', ar: 'الطلبات الرقمية'
+			},
+			url: '/gp/your-account/order-history?orderFilter=digital',
+			urls: { 'amazon.co.jp': '/gp/digital/your-account/order-summary.html' }
+		},
+		{
+			id: 'payment-methods',
+			names: {
+				en: 'Payment Methods', de: 'Zahlungsarten', fr: 'Moyens de paiement', es: 'Métodos de pago',
+				it: 'Metodi di pagamento', nl: 'Betaalmethoden', pl: 'Metody płatności', sv: 'Betalningsmetoder',
+				tr: 'Ödeme yöntemleri', pt: 'Formas de pagamento', ja: 'お支払い方法', zh: '支付方式', ar: 'طرق الدفع'
+			},
+			url: '/cpe/yourpayments/wallet'
+		},
+		{
+			id: 'addresses',
+			names: {
+				en: 'Addresses', de: 'Adressen', fr: 'Adresses', es: 'Direcciones', it: 'Indirizzi', nl: 'Adressen',
+				pl: 'Adresy', sv: 'Adresser', tr: 'Adresler', pt: 'Endereços', ja: 'アドレス帳', zh: '地址', ar: 'العناوين'
+			},
+			url: '/a/addresses'
+		},
+		{
+			id: 'gift-card-balance',
+			names: {
+				en: 'Gift Card Balance', de: 'Gutscheinguthaben', fr: 'Solde de chèque-cadeau', es: 'Saldo de cheque regalo',
+				it: 'Saldo buono regalo', nl: 'Cadeaubontegoed', pl: 'Saldo karty podarunkowej', sv: 'Presentkortssaldo',
+				tr: 'Hediye kartı bakiyesi', pt: 'Saldo do vale-presente', ja: 'ギフトカード残高', zh: '礼品卡余额', ar: 'رصيد بطاقة الهدايا'
+			},
+			url: '/gc/balance'
+		},
+		{
+			id: 'browsing-history',
+			names: {
+				en: 'Browsing History', de: 'Browserverlauf', fr: 'Historique de navigation', es: 'Historial de navegación',
+				it: 'Cronologia di navigazione', nl: 'Browsegeschiedenis', pl: 'Historia przeglądania', sv: 'Webbhistorik',
+				tr: 'Gezinme geçmişi', pt: 'Histórico de navegação', ja: '閲覧履歴', zh: '浏览历史', ar: 'سجل التصفح'
+			},
+			url: '/gp/history'
+		},
+		{
+			id: 'prime',
+			names: {
+				en: 'Prime Membership', de: 'Prime-Mitgliedschaft', fr: 'Abonnement Prime', es: 'Suscripción Prime',
+				it: 'Iscrizione Prime', nl: 'Prime-lidmaatschap', pl: 'Członkostwo Prime', sv: 'Prime-medlemskap',
+				tr: 'Prime üyeliği', pt: 'Assinatura Prime', ja: 'プライム会員情報', zh: 'Prime 会员', ar: 'عضوية برايم'
+			},
+			url: '/gp/primecentral'
+		},
+		{
+			id: 'message-center',
+			names: {
+				en: 'Message Center', de: 'Nachrichtencenter', fr: 'Centre de messagerie', es: 'Centro de mensajes',
+				it: 'Centro messaggi', nl: 'Berichtencentrum', pl: 'Centrum wiadomości', sv: 'Meddelandecenter',
+				tr: 'Mesaj merkezi', pt: 'Central de mensagens', ja: 'メッセージセンター', zh: '消息中心', ar: 'مركز الرسائل'
+			},
+			url: '/gp/message'
+		}
+	];
+
+	// Ids of the catalog entries that make up the initial set of links on first use.
+	const DEFAULT_LINK_IDS = ['returns', 'support'];
+
+	/**
+	 * Returns the language of the browser UI, used to pick display names.
+	 * @returns {string} A lowercase language tag (e.g. 'en-us', 'de').
+	 */
+	function getBrowserLanguage() {
+		return (navigator.language || 'en').toLowerCase();
+	}
+
+	/**
+	 * Looks up a catalog entry by its id.
+	 * @param {string} id - The entry id (e.g. 'returns').
+	 * @returns {object|undefined} The catalog entry, or undefined if the id is unknown.
+	 */
+	function getEntry(id) {
+		return ENTRIES.find(entry => entry.id === id);
+	}
+
+	/**
+	 * Returns the display name of an entry in the given language.
+	 * Falls back from the full tag ('pt-br') to the primary language ('pt'), then to English.
+	 * @param {object} entry - A catalog entry.
+	 * @param {string} [language] - A language tag. Defaults to the browser language.
+	 * @returns {string} The localized display name.
+	 */
+	function getName(entry, language = getBrowserLanguage()) {
+		const tag = language.toLowerCase();
+		const primary = tag.split('-')[0];
+		return entry.names[tag] || entry.names[primary] || entry.names.en;
+	}
+
+	/**
+	 * Returns the URL of an entry for the given marketplace.
+	 * @param {object} entry - A catalog entry.
+	 * @param {string} [hostnameOrDomain] - A hostname (e.g. 'www.amazon.co.jp') or `amazon_domain`.
+	 *                                      If omitted, the default URL is returned.
+	 * @returns {string} The per-marketplace override if one matches, otherwise the default URL.
+	 */
+	function getUrl(entry, hostnameOrDomain) {
+		let bestDomain = null;
+		Object.keys(entry.urls || {}).forEach(domain => {
+			if (ArinMarketplaces.hostMatchesDomain(hostnameOrDomain, domain)) {
+				if (!bestDomain || domain.length > bestDomain.length) {
+					bestDomain = domain;
+				}
+			}
+		});
+		return bestDomain ? entry.urls[bestDomain] : entry.url;
+	}
+
+	/**
+	 * Returns the name stored for links to an entry: its English name (see the module comment).
+	 * @param {object} entry - A catalog entry.
+	 * @returns {string} The stored name.
+	 */
+	function getStoredName(entry) {
+		return entry.names.en;
+	}
+
+	/**
+	 * Creates a new, enabled link object of type "predefined" for a catalog entry.
+	 * @param {string} id - The entry id.
+	 * @returns {object|null} The link object, or null if the id is unknown.
+	 */
+	function createLink(id) {
+		const entry = getEntry(id);
+		if (!entry) return null;
+		return {
+			type: "predefined",
+			id: entry.id,
+			name: getStoredName(entry),
+			url: entry.url,
+			enabled: true,
+			originalIndex: ENTRIES.indexOf(entry)
+		};
+	}
+
+	/**
+	 * Creates the default set of links used when no configuration is stored yet.
+	 * @returns {Array<object>} A fresh array of link objects.
+	 */
+	function createDefaultLinks() {
+		return DEFAULT_LINK_IDS.map(id => createLink(id));
+	}
+
+	/**
+	 * Brings stored predefined links in line with the catalog, matching them by `id`.
+	 * The stored `enabled` state, marketplace scope, `customName` and position are kept; the name, URL and
+	 * `originalIndex` are refreshed from the catalog (the name is the stored, English one, so the result
+	 * is the same in every browser language). Predefined links whose id is no longer in the catalog are
+	 * left untouched for `ArinStorage.validateLinks` to reject. Links inside groups are migrated too.
+	 * @param {Array<object>} links - The stored link objects.
+	 * @returns {Array<object>} A new array of link objects.
+	 */
+	function migrateLinks(links) {
+		return links.map(link => {
+			// Predefined links may also sit inside a group.
+			if (link && link.type === 'group' && Array.isArray(link.children)) {
+				return Object.assign({}, link, { children: migrateLinks(link.children) });
+			}
+			if (!link || link.type !== 'predefined') return link;
+			const entry = getEntry(link.id);
+			if (!entry) return link;
+			return Object.assign({}, link, {
+				name: getStoredName(entry),
+				url: entry.url,
+				originalIndex: ENTRIES.indexOf(entry)
+			});
+		});
+	}
+
+	/**
+	 * Resolves the name and URL a link should have on a given page.
+	 * Predefined links take their per-marketplace URL from the catalog, and their localized name
+	 * unless the user set a `customName`; other links are returned unchanged.
+	 * @param {object} link - A stored link object.
+	 * @param {string} hostname - The hostname of the page the link is shown on.
+	 * @param {string} [language] - Language used for the display name.
+	 * @returns {object} The link object with `name` and `url` resolved.
+	 */
+	function resolveLink(link, hostname, language) {
+		if (link.type !== 'predefined') return link;
+		const entry = getEntry(link.id);
+		if (!entry) return link;
+		return Object.assign({}, link, {
+			name: link.customName || getName(entry, language),
+			url: getUrl(entry, hostname)
+		});
+	}
+
+	return {
+		ENTRIES,
+		DEFAULT_LINK_IDS,
+		getBrowserLanguage,
+		getEntry,
+		getName,
+		getUrl,
+		createLink,
+		createDefaultLinks,
+		migrateLinks,
+		resolveLink
+	};
+})();
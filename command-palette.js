@@ -0,0 +1,274 @@
+/**
+ * command-palette.js
+ *
+ * Command palette overlay for the Amazon Easy Nav content script (arin.js).
+ * The palette is a search box over a list of destinations (the configured links and the predefined
+ * catalog, put together by arin.js). Typing fuzzy-filters the list; arrow keys move the selection,
+ * Enter opens it (Ctrl/Cmd+Enter in a new tab) and Escape closes the palette.
+ *
+ * The overlay lives in a shadow root, so Amazon's styles don't leak into it (and its styles don't
+ * leak into Amazon's page). Key events inside the palette are kept from reaching Amazon's own
+ * key handlers, which would otherwise e.g. move the focus to the Amazon search box.
+ */
+
+const ArinCommandPalette = (() => {
+	// Attribute marking the host element of the overlay.
+	const HOST_ATTRIBUTE = 'data-arin-palette';
+
+	// Maximum number of results shown at once.
+	const MAX_RESULTS = 12;
+
+	const STYLES = `
+		:host { all: initial; }
+		.backdrop {
+			position: fixed; inset: 0; z-index: 2147483647;
+			display: flex; justify-content: center; align-items: flex-start;
+			padding-top: 12vh; background: rgba(0, 0, 0, 0.35);
+			font-family: "Amazon Ember", Arial, sans-serif;
+		}
+		.palette {
+			width: min(560px, 92vw); background: #FFFFFF; border: 1px solid #BBB;
+			border-radius: 8px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3); overflow: hidden;
+		}
+		input {
+			box-sizing: border-box; width: 100%; padding: 14px 16px; border: none;
+			border-bottom: 1px solid #DDD; font-size: 16px; color: #0F1111; outline: none;
+		}
+		ul { list-style: none; margin: 0; padding: 6px 0; max-height: 60vh; overflow-y: auto; }
+		li {
+			display: flex; align-items: baseline; gap: 8px; padding: 8px 16px;
+			cursor: pointer; color: #444; font-size: 14px;
+		}
+		li[aria-selected="true"] { background: #F3F3F3; color: #C45500; }
+		.title { flex-grow: 1; }
+		.detail { font-size: 12px; color: #767676; }
+		kbd {
+			font-family: inherit; font-size: 11px; padding: 1px 5px; color: #555;
+			border: 1px solid #CCC; border-radius: 3px; background: #FAFAFA;
+		}
+		.empty { padding: 12px 16px; color: #767676; font-size: 14px; }
+	`;
+
+	// The current overlay: { host, input, list, items, results, selectedIndex, previousFocus }, or null.
+	let state = null;
+
+	/**
+	 * Scores how well a query matches a text, as a fuzzy subsequence match.
+	 * All characters of the query must appear in the text, in order. Matches at the start of words
+	 * and consecutive matches score higher; an exact prefix scores highest.
+	 * @param {string} query - The search text.
+	 * @param {string} text - The text to match against.
+	 * @returns {number|null} The score (higher is better), or null if the query doesn't match.
+	 */
+	function fuzzyScore(query, text) {
+		const needle = query.trim().toLowerCase();
+		const haystack = text.toLowerCase();
+		if (!needle) return 0;
+		if (haystack.startsWith(needle)) return 1000 - haystack.length;
+
+		let score = 0;
+		let position = 0;
+		let previousMatch = -2;
+		for (const character of needle) {
+			if (character === ' ') continue;
+			const index = haystack.indexOf(character, position);
+			if (index === -1) return null;
+			if (index === 0 || /[\s\-_/&]/.test(haystack[index - 1])) score += 10; // Start of a word.
+			if (index === previousMatch + 1) score += 5; // Consecutive characters.
+			score -= index - position; // Gaps between matches.
+			previousMatch = index;
+			position = index + 1;
+		}
+		return score;
+	}
+
+	/**
+	 * Renders the items matching the current query, best match first.
+	 * Side effects:
+	 *  - Repopulates the result list of the overlay and resets the selection.
+	 */
+	function renderResults() {
+		const query = state.input.value;
+		state.results = state.items
+			.map(item => ({ item, score: fuzzyScore(query, `${item.title} ${item.detail || ''}`) }))
+			.filter(result => result.score !== null)
+			.sort((a, b) => b.score - a.score)
+			.slice(0, MAX_RESULTS)
+			.map(result => result.item);
+		state.selectedIndex = 0;
+
+		state.list.innerHTML = '';
+		if (state.results.length === 0) {
+			const empty = document.createElement('li');
+			empty.className = 'empty';
+			empty.textContent = ArinI18n.getMessage('paletteNoResults');
+			state.list.appendChild(empty);
+			return;
+		}
+		state.results.forEach((item, index) => {
+			const listItem = document.createElement('li');
+			listItem.setAttribute('role', 'option');
+			listItem.id = `arin-palette-option-${index}`;
+			listItem.dataset.index = index;
+
+			const title = document.createElement('span');
+			title.className = 'title';
+			title.textContent = item.title;
+			listItem.appendChild(title);
+
+			if (item.detail) {
+				const detail = document.createElement('span');
+				detail.className = 'detail';
+				detail.textContent = item.detail;
+				listItem.appendChild(detail);
+			}
+			if (item.shortcut) {
+				const shortcut = document.createElement('kbd');
+				shortcut.textContent = ArinShortcuts.formatShortcut(item.shortcut);
+				listItem.appendChild(shortcut);
+			}
+			state.list.appendChild(listItem);
+		});
+		updateSelection();
+	}
+
+	/**
+	 * Marks the selected result and scrolls it into view.
+	 */
+	function updateSelection() {
+		state.list.querySelectorAll('li[role="option"]').forEach((listItem, index) => {
+			listItem.setAttribute('aria-selected', index === state.selectedIndex ? 'true' : 'false');
+			if (index === state.selectedIndex && listItem.scrollIntoView) listItem.scrollIntoView({ block: 'nearest' });
+		});
+		state.input.setAttribute('aria-activedescendant', `arin-palette-option-${state.selectedIndex}`);
+	}
+
+	/**
+	 * Opens a result and closes the palette.
+	 * @param {object} item - The result to open.
+	 * @param {boolean} inNewTab - Whether to open it in a new tab.
+	 */
+	function openItem(item, inNewTab) {
+		close();
+		if (inNewTab) {
+			window.open(item.href, '_blank', 'noopener');
+		} else {
+			location.assign(item.href);
+		}
+	}
+
+	/**
+	 * Handles the keys of the palette: arrows and Home/End move the selection, Enter opens it,
+	 * Escape closes the palette. Key events are not passed on to Amazon's handlers.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 */
+	function handleKeydown(event) {
+		event.stopPropagation();
+		const count = state.results.length;
+		if (event.key === 'Escape') {
+			event.preventDefault();
+			close();
+		} else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+			event.preventDefault();
+			if (count === 0) return;
+			state.selectedIndex = (state.selectedIndex + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+			updateSelection();
+		} else if (event.key === 'Enter') {
+			event.preventDefault();
+			if (count > 0) openItem(state.results[state.selectedIndex], event.ctrlKey || event.metaKey);
+		} else if (event.key === 'Tab') {
+			event.preventDefault(); // Keep the focus in the palette.
+		}
+	}
+
+	/**
+	 * Opens the palette over the page.
+	 * @param {Array<object>} items - The destinations to search: { title, detail, href, shortcut }.
+	 *                                `detail` (e.g. a group name) and `shortcut` are optional.
+	 * Side effects:
+	 *  - Adds the overlay to the page and moves the focus into it.
+	 */
+	function open(items) {
+		if (state) close();
+
+		const host = document.createElement('div');
+		host.setAttribute(HOST_ATTRIBUTE, '');
+		const root = host.attachShadow({ mode: 'open' });
+		const style = document.createElement('style');
+		style.textContent = STYLES;
+		root.appendChild(style);
+
+		const backdrop = document.createElement('div');
+		backdrop.className = 'backdrop';
+		// The palette is extension UI, so it follows the browser's UI language rather than the page's.
+		backdrop.lang = ArinI18n.getUILanguage();
+		backdrop.dir = ArinI18n.isRtlLanguage(backdrop.lang) ? 'rtl' : 'ltr';
+		const palette = document.createElement('div');
+		palette.className = 'palette';
+		palette.setAttribute('role', 'dialog');
+		palette.setAttribute('aria-label', ArinI18n.getMessage('paletteLabel'));
+
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.placeholder = ArinI18n.getMessage('palettePlaceholder');
+		input.setAttribute('role', 'combobox');
+		input.setAttribute('aria-expanded', 'true');
+		input.setAttribute('aria-controls', 'arin-palette-results');
+		input.setAttribute('autocomplete', 'off');
+		const list = document.createElement('ul');
+		list.id = 'arin-palette-results';
+		list.setAttribute('role', 'listbox');
+
+		palette.appendChild(input);
+		palette.appendChild(list);
+		backdrop.appendChild(palette);
+		root.appendChild(backdrop);
+
+		state = { host, input, list, items, results: [], selectedIndex: 0, previousFocus: document.activeElement };
+
+		input.addEventListener('input', renderResults);
+		// Keep key events inside the palette, away from Amazon's handlers.
+		palette.addEventListener('keydown', handleKeydown);
+		['keyup', 'keypress'].forEach(type => palette.addEventListener(type, event => event.stopPropagation()));
+		list.addEventListener('click', (event) => {
+			const listItem = event.target.closest('li[role="option"]');
+			if (listItem) openItem(state.results[Number(listItem.dataset.index)], event.ctrlKey || event.metaKey);
+		});
+		backdrop.addEventListener('mousedown', (event) => {
+			// Clicking outside the palette closes it.
+			if (event.target === backdrop) close();
+		});
+
+		document.documentElement.appendChild(host);
+		renderResults();
+		input.focus();
+	}
+
+	/**
+	 * Closes the palette, if it's open, and gives the focus back to where it was.
+	 * Side effects:
+	 *  - Removes the overlay from the page.
+	 */
+	function close() {
+		if (!state) return;
+		const { host, previousFocus } = state;
+		state = null;
+		host.remove();
+		if (previousFocus && previousFocus.focus) previousFocus.focus();
+	}
+
+	/**
+	 * Checks whether the palette is open.
+	 * @returns {boolean} True if the overlay is shown.
+	 */
+	function isOpen() {
+		return state !== null;
+	}
+
+	return {
+		fuzzyScore,
+		open,
+		close,
+		isOpen
+	};
+})();
@@ -0,0 +1,120 @@
+/**
+ * conditions.js
+ *
+ * Conditional (contextual) links for the Amazon Easy Nav extension.
+ * This script is loaded by the content script (arin.js), the options page (options.js) and the popup.
+ *
+ * A link may carry an optional `condition` property, so that it's only shown where it makes sense:
+ *  {
+ *    "pathPattern": "/dp/*",   (optional) The page path must match this pattern. '*' matches any
+ *                              run of characters; the pattern must match the whole path.
+ *    "requires": ["asin"]      (optional) Page data that must be found on the page: 'asin' and/or 'orderId'.
+ *  }
+ * Independently of `condition`, a link whose URL uses {asin} or {orderId} (see urls.js) is only
+ * shown on pages where that data is found, since its URL can't be resolved anywhere else.
+ */
+
+const ArinConditions = (() => {
+	// Page data a condition can require. These are the page-data placeholders of urls.js.
+	const PAGE_DATA = ArinUrls.PAGE_DATA_PLACEHOLDERS;
+
+	// Message names (see _locales) of the human-readable names of the page data, used in the options page.
+	const PAGE_DATA_MESSAGES = {
+		asin: 'pageDataAsin',
+		orderId: 'pageDataOrderId'
+	};
+
+	/**
+	 * Turns a path pattern into a regular expression matching whole paths.
+	 * @param {string} pattern - The pattern, e.g. '/gp/your-account/order-details*'.
+	 * @returns {RegExp} The regular expression.
+	 */
+	function compilePathPattern(pattern) {
+		const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+		return new RegExp(`^${source}$`);
+	}
+
+	/**
+	 * Validates a link condition.
+	 * @param {*} condition - The value to validate.
+	 * @throws {Error} If the condition isn't an object, has an invalid path pattern,
+	 *                 requires unknown page data, or has no rule at all.
+	 */
+	function validateCondition(condition) {
+		if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+			throw new Error(ArinI18n.getMessage('conditionNotObject'));
+		}
+		if ('pathPattern' in condition &&
+			(typeof condition.pathPattern !== 'string' || !condition.pathPattern.startsWith('/') || /\s/.test(condition.pathPattern))) {
+			throw new Error(ArinI18n.getMessage('conditionBadPathPattern'));
+		}
+		if ('requires' in condition &&
+			(!Array.isArray(condition.requires) || !condition.requires.every(name => PAGE_DATA.includes(name)))) {
+			throw new Error(ArinI18n.getMessage('conditionBadRequires', PAGE_DATA.join(', ')));
+		}
+		if (!condition.pathPattern && !(condition.requires || []).length) {
+			throw new Error(ArinI18n.getMessage('conditionEmpty'));
+		}
+	}
+
+	/**
+	 * Lists the page data a link needs: what its condition requires, plus the page-data
+	 * placeholders used in its URL.
+	 * @param {object} link - A link object.
+	 * @returns {Array<string>} The names of the page data (e.g. ['asin']).
+	 */
+	function getRequiredPageData(link) {
+		const required = new Set((link.condition && link.condition.requires) || []);
+		if (typeof link.url === 'string') {
+			ArinUrls.getPlaceholders(link.url).filter(name => PAGE_DATA.includes(name)).forEach(name => required.add(name));
+		}
+		return [...required];
+	}
+
+	/**
+	 * Checks whether a link applies to a page.
+	 * @param {object} link - A link object, optionally carrying a `condition`.
+	 * @param {object} context - The page context from `ArinUrls.createContext`.
+	 * @returns {boolean} True if the path pattern (if any) matches and all required page data is found.
+	 */
+	function isConditionMet(link, context) {
+		const condition = link.condition;
+		if (condition && condition.pathPattern && !compilePathPattern(condition.pathPattern).test(context.pathname)) {
+			return false;
+		}
+		return getRequiredPageData(link).every(name => !!context[name]);
+	}
+
+	/**
+	 * Returns the human-readable name of a kind of page data, in the UI language.
+	 * @param {string} name - The page data name (e.g. 'asin').
+	 * @returns {string} The label (e.g. 'a product (ASIN)').
+	 */
+	function getPageDataLabel(name) {
+		return ArinI18n.getMessage(PAGE_DATA_MESSAGES[name]);
+	}
+
+	/**
+	 * Describes a link's condition for display, in the UI language (e.g. 'on /dp/* with a product (ASIN)').
+	 * @param {object} link - A link object.
+	 * @returns {string} The description, or an empty string if the link is shown on every page.
+	 */
+	function describeCondition(link) {
+		const parts = [];
+		if (link.condition && link.condition.pathPattern) {
+			parts.push(ArinI18n.getMessage('conditionOnPath', link.condition.pathPattern));
+		}
+		const required = getRequiredPageData(link).map(getPageDataLabel);
+		if (required.length > 0) parts.push(ArinI18n.getMessage('conditionWithData', ArinI18n.formatList(required)));
+		return parts.join(' ');
+	}
+
+	return {
+		PAGE_DATA,
+		getPageDataLabel,
+		validateCondition,
+		getRequiredPageData,
+		isConditionMet,
+		describeCondition
+	};
+})();
@@ -0,0 +1,222 @@
+/**
+ * config-io.js
+ *
+ * Import and export of link configurations for the Amazon Easy Nav options page.
+ * This lets a team share a standard set of shortcuts as a JSON file.
+ *
+ * Exported files have the following shape:
+ *  {
+ *    "format": "amazon-easy-nav-config",
+ *    "version": 1,
+ *    "schemaVersion": 1,
+ *    "exportedAt": "2024-12-22T01:29:34.000Z",
+ *    "allUserLinks": [ ...link objects, as stored in a profile in chrome.storage.sync... ]
+ *  }
+ * A bare array of link objects is also accepted on import. Export and import work on the links of the
+ * active profile (see profiles.js).
+ * Imported links are migrated and validated with the shared storage module (see storage.js).
+ */
+
+const ArinConfigIO = (() => {
+	// Identifies files written by this extension.
+	const FORMAT = 'amazon-easy-nav-config';
+
+	// Version of the file format. Files with a newer version are rejected.
+	const FORMAT_VERSION = 1;
+
+	/**
+	 * Builds the export document for a list of links.
+	 * @param {Array<object>} links - The link objects to export.
+	 * @returns {string} The JSON text of the export file.
+	 */
+	function createExport(links) {
+		return JSON.stringify({
+			format: FORMAT,
+			version: FORMAT_VERSION,
+			schemaVersion: ArinStorage.SCHEMA_VERSION,
+			exportedAt: new Date().toISOString(),
+			allUserLinks: links
+		}, null, 2);
+	}
+
+	/**
+	 * Parses and validates the text of an import file (or pasted text).
+	 * The links are migrated from the schema version they were exported with (see storage.js), then
+	 * validated as this version stores them. Links without an `enabled` value are imported as enabled.
+	 * @param {string} text - The JSON text.
+	 * @returns {Array<object>} The migrated and validated list of links.
+	 * @throws {Error} If the text isn't valid JSON, isn't a configuration, was exported by a newer version
+	 *                 of the extension, or contains malformed links.
+	 */
+	function parseImport(text) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (error) {
+			throw new Error(ArinI18n.getMessage('importNotJson'));
+		}
+
+		let links;
+		let schemaVersion = 0; // Bare arrays carry no schema version; the migrations are safe to run on them.
+		if (Array.isArray(data)) {
+			links = data;
+		} else if (data && data.format === FORMAT) {
+			if (typeof data.version !== 'number' || data.version > FORMAT_VERSION) {
+				throw new Error(ArinI18n.getMessage('importUnsupportedVersion', data.version));
+			}
+			links = data.allUserLinks;
+			if (typeof data.schemaVersion === 'number') schemaVersion = data.schemaVersion;
+		} else {
+			throw new Error(ArinI18n.getMessage('importNotConfig'));
+		}
+		// Links of a newer schema can't be migrated back.
+		if (schemaVersion > ArinStorage.SCHEMA_VERSION) {
+			throw new Error(ArinI18n.getMessage('importUnsupportedVersion', schemaVersion));
+		}
+		if (!Array.isArray(links)) {
+			throw new Error(ArinI18n.getMessage('linksNotList'));
+		}
+
+		const migrated = ArinStorage.migrateLinks(links, schemaVersion);
+		ArinStorage.validateLinks(migrated);
+
+		const enableByDefault = link => {
+			if (typeof link.enabled === 'undefined') link.enabled = true;
+			if (link.type === 'group') link.children.forEach(enableByDefault);
+		};
+		migrated.forEach(enableByDefault);
+		return migrated;
+	}
+
+	/**
+	 * Returns the identity of a link, used to de-duplicate links when merging and to compare configurations.
+	 * Predefined links and groups are identified by their id, custom links by their URL, and Amazon's own
+	 * items by their path (or name, if they have none).
+	 * @param {object} link - A link object.
+	 * @returns {string} The identity key.
+	 */
+	function getIdentity(link) {
+		if (link.type === 'custom') return `custom:${link.url}`;
+		if (link.type === 'native') return `native:${link.url || link.name}`;
+		return `${link.type}:${link.id}`;
+	}
+
+	/**
+	 * Flattens a list of links (including group children) into a map from identity to link.
+	 * @param {Array<object>} links - The link objects.
+	 * @returns {Map<string, object>} The links by identity.
+	 */
+	function indexLinks(links) {
+		const index = new Map();
+		links.forEach(link => {
+			index.set(getIdentity(link), link);
+			if (link.type === 'group') {
+				link.children.forEach(child => index.set(getIdentity(child), child));
+			}
+		});
+		return index;
+	}
+
+	/**
+	 * Merges imported links into the existing ones, skipping links that already exist anywhere
+	 * in the configuration. Imported groups that already exist get their missing links added.
+	 * @param {Array<object>} existingLinks - The current configuration.
+	 * @param {Array<object>} importedLinks - The validated imported links.
+	 * @returns {Array<object>} A new configuration with the imported links appended.
+	 */
+	function mergeLinks(existingLinks, importedLinks) {
+		const merged = JSON.parse(JSON.stringify(existingLinks));
+		const known = indexLinks(merged);
+
+		importedLinks.forEach(link => {
+			const existing = known.get(getIdentity(link));
+			if (!existing) {
+				const copy = JSON.parse(JSON.stringify(link));
+				if (copy.type === 'group') {
+					// Drop child links that are already in the configuration elsewhere.
+					copy.children = copy.children.filter(child => !known.has(getIdentity(child)));
+				}
+				merged.push(copy);
+				indexLinks([copy]).forEach((value, key) => known.set(key, value));
+			} else if (link.type === 'group') {
+				link.children.forEach(child => {
+					if (!known.has(getIdentity(child))) {
+						const childCopy = JSON.parse(JSON.stringify(child));
+						existing.children.push(childCopy);
+						known.set(getIdentity(childCopy), childCopy);
+					}
+				});
+			}
+		});
+		return merged;
+	}
+
+	/**
+	 * Keeps keyboard shortcuts unique, as the link editor does: when several links (group children
+	 * included) have the same shortcut, the first one keeps it and the others lose it. After a merge, the
+	 * existing links come first, so they keep their shortcuts.
+	 * @param {Array<object>} links - The configuration, e.g. the result of `mergeLinks`.
+	 * @returns {object} { links, conflicts }: a new configuration without duplicate shortcuts, and one
+	 *          { shortcut, link, keptBy } entry per link that lost its shortcut to `keptBy`.
+	 */
+	function resolveShortcutConflicts(links) {
+		const resolved = JSON.parse(JSON.stringify(links));
+		const owners = new Map();
+		const conflicts = [];
+		const check = link => {
+			if (link.shortcut) {
+				const owner = owners.get(link.shortcut);
+				if (owner) {
+					conflicts.push({ shortcut: link.shortcut, link, keptBy: owner });
+					delete link.shortcut;
+				} else {
+					owners.set(link.shortcut, link);
+				}
+			}
+			if (link.type === 'group') link.children.forEach(check);
+		};
+		resolved.forEach(check);
+		return { links: resolved, conflicts };
+	}
+
+	/**
+	 * Describes the difference between two configurations, for the import preview.
+	 * @param {Array<object>} before - The current configuration.
+	 * @param {Array<object>} after - The configuration after the import.
+	 * @returns {object} { added, removed, changed, unchanged }: arrays of links (from `after` for
+	 *                   added/changed/unchanged, from `before` for removed).
+	 */
+	function diffLinks(before, after) {
+		const beforeIndex = indexLinks(before);
+		const afterIndex = indexLinks(after);
+		const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+		afterIndex.forEach((link, key) => {
+			const previous = beforeIndex.get(key);
+			if (!previous) {
+				diff.added.push(link);
+			} else if (previous.name !== link.name || previous.customName !== link.customName || previous.enabled !== link.enabled ||
+				previous.url !== link.url || String(previous.marketplaces) !== String(link.marketplaces) ||
+				previous.shortcut !== link.shortcut || JSON.stringify(previous.condition) !== JSON.stringify(link.condition) ||
+				previous.icon !== link.icon || previous.accent !== link.accent) {
+				diff.changed.push(link);
+			} else {
+				diff.unchanged.push(link);
+			}
+		});
+		beforeIndex.forEach((link, key) => {
+			if (!afterIndex.has(key)) diff.removed.push(link);
+		});
+		return diff;
+	}
+
+	return {
+		FORMAT,
+		FORMAT_VERSION,
+		createExport,
+		parseImport,
+		mergeLinks,
+		resolveShortcutConflicts,
+		diffLinks
+	};
+})();
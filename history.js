@@ -0,0 +1,99 @@
+/**
+ * history.js
+ *
+ * Earlier versions of the links for the Amazon Easy Nav extension, so that a configuration that was
+ * changed by mistake can be restored. This script is loaded by the options page (options.js).
+ *
+ * The options page records a snapshot of a profile's links before it changes them: before the first
+ * change made on the page, and before an import, a reset to the defaults or the restore of a snapshot.
+ * Like the usage data (see usage.js), the snapshots are kept on this device only, in
+ * `chrome.storage.local`, under the 'linkHistory' key (newest first):
+ *   [{ "savedAt": 1700000000000, "profileId": "default", "reason": "import", "links": [...] }, ...]
+ * Only the last `MAX_SNAPSHOTS` snapshots are kept, across all profiles.
+ */
+
+const ArinHistory = (() => {
+	// Key in chrome.storage.local.
+	const HISTORY_KEY = 'linkHistory';
+
+	// Number of snapshots kept. When there are more, the oldest ones are dropped.
+	const MAX_SNAPSHOTS = 10;
+
+	// Why a snapshot was recorded, and the message name (see _locales) describing it.
+	const REASONS = ['edit', 'import', 'reset', 'restore'];
+	const REASON_LABELS = {
+		edit: 'historyReasonEdit',
+		import: 'historyReasonImport',
+		reset: 'historyReasonReset',
+		restore: 'historyReasonRestore'
+	};
+
+	/**
+	 * Loads the recorded snapshots.
+	 * @param {function(Array<object>)} callback - Called with the snapshots, newest first (see the module comment).
+	 */
+	function loadSnapshots(callback) {
+		chrome.storage.local.get(HISTORY_KEY, (result) => {
+			const snapshots = result && result[HISTORY_KEY];
+			callback(Array.isArray(snapshots) ? snapshots : []);
+		});
+	}
+
+	/**
+	 * Records a snapshot of a profile's links. Nothing is recorded if the links are those of the
+	 * profile's newest snapshot already.
+	 * @param {string} profileId - The id of the profile (see profiles.js).
+	 * @param {Array<object>} links - The profile's links, as stored.
+	 * @param {string} reason - Why the snapshot is recorded (one of `REASONS`).
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * @throws {Error} If the reason isn't one of `REASONS`.
+	 * Side effects:
+	 *  - Writes the snapshots to chrome.storage.local, dropping the oldest beyond `MAX_SNAPSHOTS`.
+	 */
+	function recordSnapshot(profileId, links, reason, callback = () => {}) {
+		if (!REASONS.includes(reason)) {
+			throw new Error(`Unknown history reason "${reason}".`);
+		}
+		loadSnapshots((snapshots) => {
+			const newest = snapshots.find(snapshot => snapshot.profileId === profileId);
+			if (newest && JSON.stringify(newest.links) === JSON.stringify(links)) {
+				callback(null);
+				return;
+			}
+			snapshots.unshift({ savedAt: Date.now(), profileId, reason, links });
+			chrome.storage.local.set({ [HISTORY_KEY]: snapshots.slice(0, MAX_SNAPSHOTS) }, () => {
+				if (chrome.runtime.lastError) console.warn('ARIN: Could not record a snapshot of the links:', chrome.runtime.lastError.message);
+				callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+			});
+		});
+	}
+
+	/**
+	 * Returns the message name (see _locales) describing why a snapshot was recorded.
+	 * @param {object} snapshot - A recorded snapshot.
+	 * @returns {string} The message name.
+	 */
+	function getReasonLabel(snapshot) {
+		return REASON_LABELS[snapshot.reason] || REASON_LABELS.edit;
+	}
+
+	/**
+	 * Calls the callback whenever the recorded snapshots change (e.g. on the options page in another tab).
+	 * @param {function(Array<object>)} callback - Called with the snapshots, newest first.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onSnapshotsChanged(callback) {
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName === 'local' && changes[HISTORY_KEY]) callback(changes[HISTORY_KEY].newValue || []);
+		});
+	}
+
+	return {
+		MAX_SNAPSHOTS,
+		loadSnapshots,
+		recordSnapshot,
+		getReasonLabel,
+		onSnapshotsChanged
+	};
+})();
@@ -0,0 +1,123 @@
+/**
+ * i18n.js
+ *
+ * Shared localization helpers for the Amazon Easy Nav extension.
+ * This script is loaded first by the content script (arin.js), the options page and the popup.
+ *
+ * There are two languages at play:
+ *  1. The UI language of the browser, for the extension's own UI (options page, popup, command
+ *     palette, messages). Its strings live in the `_locales/<language>/messages.json` catalogs and
+ *     are read with `chrome.i18n`.
+ *  2. The language of the Amazon marketplace a page belongs to, for the predefined link names
+ *     injected into that page (so amazon.de shows German names, whatever the browser language).
+ *     It comes from the `language` field of amazon-domains.json; the names are in catalog.js.
+ *
+ * Static pages are localized with attributes: `data-i18n` sets the text of an element, and
+ * `data-i18n-placeholder`, `data-i18n-title` and `data-i18n-aria-label` set those attributes.
+ */
+
+const ArinI18n = (() => {
+	// Languages written from right to left.
+	const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+	/**
+	 * Returns a localized UI string from the message catalogs.
+	 * @param {string} key - The message name in messages.json.
+	 * @param {*|Array<*>} [substitutions] - Values for the message's placeholders, in the order of their
+	 *                                       `$1`, `$2`, ... contents. Numbers are converted to strings.
+	 * @returns {string} The localized string, or the key itself if the message is missing.
+	 */
+	function getMessage(key, substitutions) {
+		const values = substitutions === undefined ? undefined : [].concat(substitutions).map(String);
+		const message = chrome.i18n ? chrome.i18n.getMessage(key, values) : '';
+		return message || key;
+	}
+
+	/**
+	 * Returns the UI language of the browser.
+	 * @returns {string} A lowercase language tag (e.g. 'en-us', 'de').
+	 */
+	function getUILanguage() {
+		const language = chrome.i18n && chrome.i18n.getUILanguage ? chrome.i18n.getUILanguage() : navigator.language;
+		return (language || 'en').toLowerCase();
+	}
+
+	/**
+	 * Joins items into a list in the UI language (e.g. 'a, b and c').
+	 * @param {Array<string>} items - The items to join.
+	 * @returns {string} The formatted list.
+	 */
+	function formatList(items) {
+		try {
+			return new Intl.ListFormat(getUILanguage(), { type: 'conjunction' }).format(items);
+		} catch (error) {
+			return items.join(', ');
+		}
+	}
+
+	/**
+	 * Checks whether a language is written from right to left.
+	 * @param {string} language - A language tag (e.g. 'ar', 'ar-sa').
+	 * @returns {boolean} True for right-to-left languages.
+	 */
+	function isRtlLanguage(language) {
+		return RTL_LANGUAGES.includes((language || '').toLowerCase().split('-')[0]);
+	}
+
+	/**
+	 * Returns the language of the marketplace a hostname belongs to, as listed in amazon-domains.json.
+	 * @param {string} hostname - The hostname of an Amazon page.
+	 * @param {Array<object>} marketplaces - The list loaded by `ArinMarketplaces.loadMarketplaces`.
+	 * @returns {string} The marketplace's language, or the browser language if it isn't known.
+	 */
+	function getMarketplaceLanguage(hostname, marketplaces) {
+		const marketplace = ArinMarketplaces.findMarketplaceForHost(hostname, marketplaces);
+		return marketplace && marketplace.language ? marketplace.language : ArinCatalog.getBrowserLanguage();
+	}
+
+	/**
+	 * Returns the name of a marketplace's country in the UI language (e.g. 'Deutschland' in German),
+	 * falling back to the English name from amazon-domains.json.
+	 * @param {object} marketplace - An entry of amazon-domains.json.
+	 * @returns {string} The country name.
+	 */
+	function getCountryName(marketplace) {
+		try {
+			const displayNames = new Intl.DisplayNames([getUILanguage()], { type: 'region' });
+			return displayNames.of(marketplace.country_code.toUpperCase()) || marketplace.country_name;
+		} catch (error) {
+			return marketplace.country_name;
+		}
+	}
+
+	/**
+	 * Localizes a static page: fills in the elements marked with `data-i18n*` attributes, and sets
+	 * the page's language and text direction from the UI language.
+	 * @param {Document} [pageDocument] - The page to localize. Defaults to `document`.
+	 * Side effects:
+	 *  - Sets the text and attributes of the marked elements, and `lang`/`dir` on the root element.
+	 */
+	function localizePage(pageDocument = document) {
+		pageDocument.querySelectorAll('[data-i18n]').forEach(element => {
+			element.textContent = getMessage(element.dataset.i18n);
+		});
+		[['data-i18n-placeholder', 'placeholder'], ['data-i18n-title', 'title'], ['data-i18n-aria-label', 'aria-label']]
+			.forEach(([marker, attribute]) => {
+				pageDocument.querySelectorAll(`[${marker}]`).forEach(element => {
+					element.setAttribute(attribute, getMessage(element.getAttribute(marker)));
+				});
+			});
+		pageDocument.documentElement.lang = getUILanguage();
+		pageDocument.documentElement.dir = isRtlLanguage(getUILanguage()) ? 'rtl' : 'ltr';
+	}
+
+	return {
+		getMessage,
+		getUILanguage,
+		formatList,
+		isRtlLanguage,
+		getMarketplaceLanguage,
+		getCountryName,
+		localizePage
+	};
+})();
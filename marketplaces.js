@@ -0,0 +1,134 @@
+/**
+ * marketplaces.js
+ *
+ * Shared marketplace helpers for the Amazon Easy Nav extension.
+ * This script is loaded by both the content script (arin.js) and the options page (options.js).
+ * It knows how to:
+ *  1. Load the list of supported Amazon storefronts from 'amazon-domains.json'.
+ *  2. Work out which storefront a given hostname belongs to (e.g. 'www.amazon.co.jp' -> 'amazon.co.jp').
+ *  3. Decide whether a link is scoped to a given storefront.
+ *
+ * Link scoping:
+ *  - A link may carry an optional `marketplaces` property: an array of `amazon_domain` values
+ *    taken from amazon-domains.json (e.g. ["amazon.com", "amazon.de"]).
+ *  - If `marketplaces` is missing or empty, the link applies to all marketplaces.
+ */
+
+const ArinMarketplaces = (() => {
+	// Path (relative to the extension root) of the JSON file listing the supported storefronts.
+	const DOMAINS_FILE = 'amazon-domains.json';
+
+	// The file is read once; every caller of `loadMarketplaces` gets the same list.
+	let loading = null;
+	let loadedMarketplaces = [];
+
+	/**
+	 * Loads the list of supported marketplaces from 'amazon-domains.json'.
+	 * Each entry has the shape { amazon_domain, country_code, country_name, language }.
+	 * @param {function(Array<object>)} callback - Called with the list of marketplaces.
+	 *                                             Called with an empty array if the file can't be read.
+	 * Side effects:
+	 *  - Performs a fetch of an extension resource (on the first call only).
+	 *  - Logs an error to the console if the file can't be loaded.
+	 */
+	function loadMarketplaces(callback) {
+		if (!loading) {
+			loading = fetch(chrome.runtime.getURL(DOMAINS_FILE))
+				.then(response => response.json())
+				.then(marketplaces => (Array.isArray(marketplaces) ? marketplaces : []))
+				.catch(error => {
+					console.error('ARIN: Could not load ' + DOMAINS_FILE + ':', error);
+					return [];
+				})
+				.then(marketplaces => {
+					loadedMarketplaces = marketplaces;
+					return marketplaces;
+				});
+		}
+		loading.then(marketplaces => callback(marketplaces));
+	}
+
+	/**
+	 * Returns the list of marketplaces, for code that can't wait for it.
+	 * @returns {Array<object>} The list, or an empty array until `loadMarketplaces` has finished.
+	 */
+	function getLoadedMarketplaces() {
+		return loadedMarketplaces;
+	}
+
+	/**
+	 * Checks whether a hostname belongs to a given Amazon domain.
+	 * 'www.amazon.de' and 'amazon.de' both match 'amazon.de', but 'www.amazon.com.au'
+	 * does not match 'amazon.com'.
+	 * @param {string} hostname - The hostname to test (e.g. `location.hostname`).
+	 * @param {string} domain - An `amazon_domain` value (e.g. 'amazon.de').
+	 * @returns {boolean} True if the hostname is the domain or one of its subdomains.
+	 */
+	function hostMatchesDomain(hostname, domain) {
+		if (!hostname || !domain) return false;
+		const host = hostname.toLowerCase();
+		const target = domain.toLowerCase();
+		return host === target || host.endsWith('.' + target);
+	}
+
+	/**
+	 * Finds the marketplace entry that a hostname belongs to.
+	 * The longest matching domain wins, so that 'amazon.com.au' is preferred over 'amazon.com'.
+	 * @param {string} hostname - The hostname to look up.
+	 * @param {Array<object>} marketplaces - The list loaded by `loadMarketplaces`.
+	 * @returns {object|null} The matching marketplace entry, or null if none matches.
+	 */
+	function findMarketplaceForHost(hostname, marketplaces) {
+		let bestMatch = null;
+		(marketplaces || []).forEach(marketplace => {
+			if (hostMatchesDomain(hostname, marketplace.amazon_domain)) {
+				if (!bestMatch || marketplace.amazon_domain.length > bestMatch.amazon_domain.length) {
+					bestMatch = marketplace;
+				}
+			}
+		});
+		return bestMatch;
+	}
+
+	/**
+	 * Checks whether a link is scoped to all marketplaces (i.e. has no marketplace restriction).
+	 * @param {object} link - A link object.
+	 * @returns {boolean} True if the link applies everywhere.
+	 */
+	function isAllMarketplaces(link) {
+		return !Array.isArray(link.marketplaces) || link.marketplaces.length === 0;
+	}
+
+	/**
+	 * Checks whether a link should be shown on the given hostname.
+	 * @param {object} link - A link object, optionally carrying a `marketplaces` array.
+	 * @param {string} hostname - The hostname of the current page.
+	 * @returns {boolean} True if the link is unscoped or scoped to the hostname's marketplace.
+	 */
+	function isLinkAvailableOnHost(link, hostname) {
+		if (isAllMarketplaces(link)) return true;
+		return link.marketplaces.some(domain => hostMatchesDomain(hostname, domain));
+	}
+
+	/**
+	 * Checks whether a link applies to a given marketplace domain.
+	 * Used by the options page to filter the list by storefront.
+	 * @param {object} link - A link object, optionally carrying a `marketplaces` array.
+	 * @param {string} domain - An `amazon_domain` value (e.g. 'amazon.de').
+	 * @returns {boolean} True if the link is unscoped or explicitly includes the domain.
+	 */
+	function isLinkInMarketplace(link, domain) {
+		if (isAllMarketplaces(link)) return true;
+		return link.marketplaces.includes(domain);
+	}
+
+	return {
+		loadMarketplaces,
+		getLoadedMarketplaces,
+		hostMatchesDomain,
+		findMarketplaceForHost,
+		isAllMarketplaces,
+		isLinkAvailableOnHost,
+		isLinkInMarketplace
+	};
+})();
@@ -0,0 +1,164 @@
+/**
+ * native-items.js
+ *
+ * Amazon's own nav items for the Amazon Easy Nav extension: the entries of the main nav bar
+ * (#nav-xshop, e.g. "Today's Deals", "Customer Service"), which can be hidden or moved among the links.
+ * This script is loaded by the content script (arin.js) and the options page (options.js).
+ *
+ * Such an item is kept in the link list as a link of type "native" (see the link schema in storage.js):
+ *  {
+ *    "type": "native",
+ *    "name": "Today's Deals",    The item's text, as last seen.
+ *    "url": "/gp/goldbox",       The path of the item's link, as last seen (see `getItemPath`). Empty if it has none.
+ *    "enabled": true             False hides the item.
+ *  }
+ * Amazon's markup differs per marketplace, language and layout, so items are recognized by the path of
+ * their link and by their text, whichever matches (see `findItem`). Items that aren't in the list stay
+ * where Amazon puts them.
+ *
+ * The items are recorded as they were last seen on each marketplace, so the options page can offer them.
+ * Like the usage data (see usage.js), they're kept in `chrome.storage.local`, under the 'nativeNavItems' key:
+ *   { "amazon.com": { "items": [{ "name": "Today's Deals", "url": "/gp/goldbox" }, ...], "lastSeen": 1700000000000 } }
+ */
+
+const ArinNativeItems = (() => {
+	// Key in chrome.storage.local.
+	const SEEN_ITEMS_KEY = 'nativeNavItems';
+
+	// Query parameters kept in an item's path: many of Amazon's pages are '/b?node=<category id>',
+	// so without the node they'd all look alike.
+	const KEPT_QUERY_PARAMETERS = ['node'];
+
+	// How often the time an unchanged list was last seen is written, at most.
+	const LAST_SEEN_INTERVAL = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Normalizes an item's text for comparisons: case, whitespace and Unicode forms are ignored.
+	 * @param {string} text - The text to normalize.
+	 * @returns {string} The normalized text.
+	 */
+	function normalizeText(text) {
+		return (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+	}
+
+	/**
+	 * Turns the href of an item's link into the path it's recognized by: tracking segments
+	 * ('/ref=nav_cs_gb') and parameters ('?ref_=nav_cs_gb') are left out, except for `KEPT_QUERY_PARAMETERS`.
+	 * @param {string} href - The href attribute (e.g. '/gp/goldbox?ref_=nav_cs_gb').
+	 * @param {string} baseUrl - The URL of the page, for relative hrefs.
+	 * @returns {string} The path (e.g. '/gp/goldbox' or '/b?node=12766669011'), or an empty string for
+	 *                   hrefs that don't lead to a page (e.g. 'javascript:void(0)').
+	 */
+	function getItemPath(href, baseUrl) {
+		let url;
+		try {
+			url = new URL(href, baseUrl);
+		} catch (error) {
+			return '';
+		}
+		if (url.protocol !== 'https:' && url.protocol !== 'http:') return '';
+		const segments = url.pathname.split('/').filter(segment => segment !== '' && !/^ref[=_]/.test(segment));
+		const query = KEPT_QUERY_PARAMETERS
+			.filter(name => url.searchParams.has(name))
+			.map(name => `${name}=${url.searchParams.get(name)}`)
+			.join('&');
+		return '/' + segments.join('/') + (query ? `?${query}` : '');
+	}
+
+	/**
+	 * Reads the name and path of one of Amazon's nav items.
+	 * @param {HTMLElement} element - The item's element (a child of Amazon's nav list).
+	 * @param {string} baseUrl - The URL of the page, for relative hrefs.
+	 * @returns {object} { name, url }: the item's text (whitespace collapsed) and its path (see `getItemPath`).
+	 */
+	function describeItem(element, baseUrl) {
+		const anchor = element.querySelector('a[href]') || (element.matches('a[href]') ? element : null);
+		return {
+			name: (anchor || element).textContent.replace(/\s+/g, ' ').trim(),
+			url: anchor ? getItemPath(anchor.getAttribute('href'), baseUrl) : ''
+		};
+	}
+
+	/**
+	 * Finds the item a stored native link stands for. An item whose path and text both match is
+	 * preferred, then one whose path matches (the text differs per language), then one whose text matches
+	 * (the path differs per marketplace).
+	 * @param {object} link - The native link ({ name, url }).
+	 * @param {Array<object>} items - The items on the page, as read by `describeItem`.
+	 * @param {Set<number>} [claimed] - Indexes of items already matched to other links, which are skipped.
+	 * @returns {number} The index of the item, or -1 if none matches.
+	 */
+	function findItem(link, items, claimed = new Set()) {
+		const path = (link.url || '').toLowerCase();
+		const name = normalizeText(link.name);
+		const matchesPath = item => path !== '' && item.url.toLowerCase() === path;
+		const matchesName = item => name !== '' && normalizeText(item.name) === name;
+		const tests = [item => matchesPath(item) && matchesName(item), matchesPath, matchesName];
+		for (const test of tests) {
+			const index = items.findIndex((item, candidate) => !claimed.has(candidate) && test(item));
+			if (index !== -1) return index;
+		}
+		return -1;
+	}
+
+	/**
+	 * Creates the native link for an item, shown by default.
+	 * @param {object} item - The item ({ name, url }).
+	 * @returns {object} The link object.
+	 */
+	function createLink(item) {
+		return { type: 'native', name: item.name, url: item.url, enabled: true };
+	}
+
+	/**
+	 * Loads the items recorded on each marketplace, for the options page.
+	 * @param {function(object)} callback - Called with the recorded items by marketplace domain (see the module comment).
+	 */
+	function loadSeenItems(callback) {
+		chrome.storage.local.get(SEEN_ITEMS_KEY, (result) => {
+			callback((result && result[SEEN_ITEMS_KEY]) || {});
+		});
+	}
+
+	/**
+	 * Records the items seen on a marketplace. Nothing is written if they're the ones recorded already
+	 * (apart from the time they were last seen, once a day).
+	 * @param {string} domain - The marketplace domain (e.g. 'amazon.de', see urls.js).
+	 * @param {Array<object>} items - The items, in Amazon's order: [{ name, url }].
+	 * Side effects:
+	 *  - May write the items to chrome.storage.local.
+	 */
+	function recordSeenItems(domain, items) {
+		loadSeenItems((seenItems) => {
+			const recorded = seenItems[domain];
+			const now = Date.now();
+			if (recorded && JSON.stringify(recorded.items) === JSON.stringify(items) && now - recorded.lastSeen < LAST_SEEN_INTERVAL) return;
+			seenItems[domain] = { items, lastSeen: now };
+			chrome.storage.local.set({ [SEEN_ITEMS_KEY]: seenItems }, () => {
+				if (chrome.runtime.lastError) console.warn('ARIN: Could not record Amazon\'s nav items:', chrome.runtime.lastError.message);
+			});
+		});
+	}
+
+	/**
+	 * Calls the callback whenever the recorded items change (e.g. on an Amazon page in another tab).
+	 * @param {function(object)} callback - Called with the recorded items by marketplace domain.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onSeenItemsChanged(callback) {
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName === 'local' && changes[SEEN_ITEMS_KEY]) callback(changes[SEEN_ITEMS_KEY].newValue || {});
+		});
+	}
+
+	return {
+		getItemPath,
+		describeItem,
+		findItem,
+		createLink,
+		loadSeenItems,
+		recordSeenItems,
+		onSeenItemsChanged
+	};
+})();
@@ -0,0 +1,741 @@
+/**
+ * nav-injector.js
+ *
+ * Resilient injection layer for the Amazon Easy Nav content script (arin.js).
+ * Amazon's header is not always present when the content script runs: it can load late,
+ * differ per layout (checkout, mobile-width header, Fresh, Business) or be re-rendered
+ * entirely during SPA-style navigations. This module:
+ *  1. Looks for a host container where the user chose to place the links (see `setPlacement`):
+ *     the start or end of the main nav bar, next to the account links, or a row of its own.
+ *     If that part of the header is missing, an ordered list of fallback selectors is used.
+ *  2. Watches the DOM with a MutationObserver until a host container appears. Bursts of mutations are
+ *     coalesced into one check per animation frame, and the extension's own changes are ignored.
+ *  3. Inserts the links idempotently: injected items are marked with a `data-arin-link`
+ *     attribute, so they are never inserted twice.
+ *  4. Updates the injected items in place when the links change (added, removed, reordered
+ *     or renamed), without touching items that are already correct.
+ *  5. Re-injects the links if Amazon re-renders the header or the page URL changes without a reload,
+ *     and tells its listeners about such URL changes (so page-dependent links can be re-evaluated).
+ *  6. Renders link groups as a single nav item with a keyboard-accessible flyout (styled in arin.css).
+ *     Links and groups show their icon, if any, before their name (see appearance.js).
+ *  7. Follows the text direction of the page (amazon.ae, amazon.sa and amazon.eg are right-to-left):
+ *     link texts get `dir="auto"`, so a Latin-script name keeps its order on an Arabic page and vice
+ *     versa, and flyouts open aligned to the right edge of their toggle on right-to-left pages.
+ *  8. Tells its listeners when an injected link is used (see `onLinkUse`), for the usage statistics.
+ *  9. Hides Amazon's own items of the main nav bar, or moves them among the links, as the links list
+ *     says (see native-items.js). Items the list doesn't mention keep Amazon's order, and everything is
+ *     put back when the rules go away. Tells its listeners which items the nav bar has (see `onNativeItemsSeen`).
+ */
+
+const ArinNavInjector = (() => {
+	// Candidate host containers, most preferred first.
+	// '#nav-xshop > ul.nav-ul' is the regular desktop header; the others cover alternative layouts.
+	const HOST_SELECTORS = [
+		'#nav-xshop > ul.nav-ul',
+		'#nav-xshop',
+		'#nav-subnav',
+		'#nav-main',
+		'#navbar-main',
+		'#navbar',
+		'#header'
+	];
+
+	// Attribute set on every injected <li>, holding the link's key.
+	const LINK_ATTRIBUTE = 'data-arin-link';
+
+	// Attribute set on every injected anchor, holding the usage key of its link (see usage.js).
+	const USAGE_ATTRIBUTE = 'data-arin-usage';
+
+	// Attribute set on the <ul> this module creates when the host container isn't a list itself.
+	const CONTAINER_ATTRIBUTE = 'data-arin-container';
+
+	// Attribute set on the row this module creates for the 'row' placement.
+	const ROW_ATTRIBUTE = 'data-arin-row';
+
+	// The extension's own nodes: the injected items, containers and rows, and the command palette's
+	// overlay (see command-palette.js). DOM changes inside them, or adding them, need no check.
+	const OWN_NODE_SELECTOR = `[${LINK_ATTRIBUTE}], [${CONTAINER_ATTRIBUTE}], [${ROW_ATTRIBUTE}], [data-arin-palette]`;
+
+	// Of those, the nodes whose removal needs no check either. (Removed links have to be re-injected.)
+	const DISPOSABLE_NODE_SELECTOR = '[data-arin-palette]';
+
+	// Where the 'nav-tools' placement goes: after the orders link, or at the end of #nav-tools without it.
+	const NAV_TOOLS_SELECTOR = '#nav-tools';
+	const NAV_ORDERS_SELECTOR = '#nav-orders';
+
+	// The 'row' placement goes right after the main nav bar (or the header belt on layouts without it).
+	const ROW_ANCHOR_SELECTORS = ['#nav-main', '#nav-belt'];
+
+	// Amazon's own list of items in the main nav bar, whose items can be hidden or moved among the links.
+	const NATIVE_LIST_SELECTOR = '#nav-xshop > ul.nav-ul';
+
+	// Attribute set on Amazon's own items once seen, holding their original position (so it can be restored).
+	const NATIVE_INDEX_ATTRIBUTE = 'data-arin-native-index';
+
+	// Attribute set on Amazon's own items that are hidden. See arin.css for the style.
+	const HIDDEN_ATTRIBUTE = 'data-arin-hidden';
+
+	// Class names used by group items and their flyouts. See arin.css for the styles.
+	const GROUP_TOGGLE_CLASS = 'arin-group-toggle';
+	const FLYOUT_CLASS = 'arin-flyout';
+
+	let desiredLinks = []; // The links that should currently be shown: [{ key, href, textContent, className, icon?, children? }],
+	                       // and rules for Amazon's own items: [{ key, native: { name, url }, hidden }].
+	let placement = ArinAppearance.DEFAULT_PLACEMENT; // Where the links go in the header (see appearance.js).
+	let openGroupItem = null; // The group <li> whose flyout is currently open, if any.
+	let observer = null; // MutationObserver watching for the header to appear or be re-rendered.
+	let checkScheduled = false; // Whether a check is already queued for the next animation frame.
+	let lastHref = location.href; // Used to detect SPA-style navigations.
+	let missingHostLogged = false; // Whether the "not found" message was already logged for this page.
+	const locationListeners = []; // Callbacks registered with `onLocationChange`.
+	let nextNativeIndex = 0; // Original position given to the next of Amazon's own items seen.
+	let reportedNativeItems = null; // JSON of the items last passed to the `onNativeItemsSeen` listeners.
+	const nativeItemsListeners = []; // Callbacks registered with `onNativeItemsSeen`.
+
+	/**
+	 * Returns the `ul.nav-ul` container this module created inside a host, creating it (once) if needed.
+	 * @param {HTMLElement} host - The element to put the container in.
+	 * @param {Node|null} referenceNode - The child of `host` to insert a new container before (null to append).
+	 * @returns {HTMLElement} The container.
+	 * Side effects:
+	 *  - May create and insert a <ul> container into the host.
+	 */
+	function getContainer(host, referenceNode) {
+		// Reuse our own container if it was already created inside this host.
+		let container = host.querySelector(`ul[${CONTAINER_ATTRIBUTE}]`);
+		if (!container) {
+			container = document.createElement('ul');
+			container.className = 'nav-ul';
+			container.setAttribute(CONTAINER_ATTRIBUTE, '');
+			container.style.display = 'flex';
+			container.style.margin = '0';
+			container.style.padding = '0';
+			host.insertBefore(container, referenceNode);
+		}
+		return container;
+	}
+
+	/**
+	 * Finds the list for the current placement, if that part of the header is on the page.
+	 * @returns {HTMLElement|null} The list element, or null for the 'xshop-*' placements (which use
+	 *                             `HOST_SELECTORS`) or when the placement's host is missing.
+	 * Side effects:
+	 *  - May create a container in #nav-tools, or a row after the main nav bar.
+	 */
+	function findPlacementListElement() {
+		if (placement === 'nav-tools') {
+			const tools = document.querySelector(NAV_TOOLS_SELECTOR);
+			if (!tools) return null;
+			const orders = tools.querySelector(`:scope > ${NAV_ORDERS_SELECTOR}`);
+			const container = getContainer(tools, orders ? orders.nextSibling : null);
+			container.classList.add('arin-nav-tools');
+			return container;
+		}
+		if (placement === 'row') {
+			const existingRow = document.querySelector(`[${ROW_ATTRIBUTE}]`);
+			if (existingRow) return getContainer(existingRow, null);
+			const anchor = ROW_ANCHOR_SELECTORS.map(selector => document.querySelector(selector)).find(Boolean);
+			if (!anchor) return null;
+			const row = document.createElement('div');
+			row.className = 'arin-row';
+			row.setAttribute(ROW_ATTRIBUTE, '');
+			anchor.after(row);
+			return getContainer(row, null);
+		}
+		return null;
+	}
+
+	/**
+	 * Finds the element the links should be inserted into: the host of the current placement or,
+	 * failing that, the first of `HOST_SELECTORS` on the page.
+	 * If the matching element isn't a list, a `ul.nav-ul` container is created inside it (once).
+	 * @returns {HTMLElement|null} The list element to insert into, or null if no host is on the page yet.
+	 * Side effects:
+	 *  - May create and insert a <ul> container into a fallback host, or a row for the 'row' placement.
+	 */
+	function findListElement() {
+		const placementList = findPlacementListElement();
+		if (placementList) return placementList;
+
+		for (const selector of HOST_SELECTORS) {
+			const host = document.querySelector(selector);
+			if (!host) continue;
+			if (host.tagName === 'UL') return host;
+			return getContainer(host, host.firstChild);
+		}
+		return null;
+	}
+
+	/**
+	 * Removes the containers and rows created for an earlier placement, once they no longer hold the links.
+	 * @param {HTMLElement|null} listElement - The list the links are in now, or null if they aren't shown.
+	 * Side effects:
+	 *  - Removes stale <ul> containers and rows from the page.
+	 */
+	function removeStaleContainers(listElement) {
+		document.querySelectorAll(`ul[${CONTAINER_ATTRIBUTE}]`).forEach(container => {
+			if (container !== listElement) container.remove();
+		});
+		document.querySelectorAll(`[${ROW_ATTRIBUTE}]`).forEach(row => {
+			if (!listElement || !row.contains(listElement)) row.remove();
+		});
+	}
+
+	/**
+	 * Creates the nav item for a link: li.nav-li > div.nav-div > a.nav-a
+	 * Group links (those with `children`) are delegated to `createGroupItem`.
+	 * @param {object} linkData - { key, href, textContent, className, icon?, usageKey? } for the link.
+	 * @returns {HTMLElement} The <li> element, marked with `data-arin-link`.
+	 */
+	function createNavItem(linkData) {
+		if (linkData.children) return createGroupItem(linkData);
+
+		const newLi = document.createElement('li');
+		newLi.className = 'nav-li';
+		newLi.style.listStyleType = 'none';
+		newLi.setAttribute(LINK_ATTRIBUTE, linkData.key);
+
+		const newDiv = document.createElement('div');
+		newDiv.className = 'nav-div';
+
+		const newLink = document.createElement('a');
+		newLink.href = linkData.href;
+		ArinAppearance.renderLinkContent(newLink, linkData.textContent, linkData.icon);
+		newLink.className = linkData.className;
+		newLink.dir = 'auto';
+		newLink.tabIndex = 0;
+		if (linkData.usageKey) newLink.setAttribute(USAGE_ATTRIBUTE, linkData.usageKey);
+
+		newDiv.appendChild(newLink);
+		newLi.appendChild(newDiv);
+		return newLi;
+	}
+
+	/**
+	 * Creates the nav item for a group: a single toggle that opens a flyout listing the child links.
+	 * Structure: li.nav-li > div.nav-div > (a.nav-a.arin-group-toggle + div.arin-flyout > ul > li > a)
+	 * @param {object} linkData - { key, textContent, className, icon?, children: [{ href, textContent, className, icon?, usageKey? }] }
+	 *                            for the group.
+	 * @returns {HTMLElement} The <li> element, marked with `data-arin-link`.
+	 */
+	function createGroupItem(linkData) {
+		const newLi = document.createElement('li');
+		newLi.className = 'nav-li arin-group';
+		newLi.style.listStyleType = 'none';
+		newLi.setAttribute(LINK_ATTRIBUTE, linkData.key);
+
+		const newDiv = document.createElement('div');
+		newDiv.className = 'nav-div';
+
+		// The toggle is an anchor without href, so it picks up Amazon's nav styling, with button semantics.
+		const toggle = document.createElement('a');
+		toggle.className = `${linkData.className} ${GROUP_TOGGLE_CLASS}`;
+		toggle.tabIndex = 0;
+		toggle.setAttribute('role', 'button');
+		toggle.setAttribute('aria-haspopup', 'menu');
+		toggle.setAttribute('aria-expanded', 'false');
+
+		const label = document.createElement('span');
+		label.className = 'arin-group-label';
+		ArinAppearance.renderLinkContent(label, linkData.textContent, linkData.icon);
+		label.dir = 'auto';
+		const caret = document.createElement('span');
+		caret.className = 'arin-group-caret';
+		caret.setAttribute('aria-hidden', 'true');
+		toggle.append(label, caret);
+
+		const flyout = document.createElement('div');
+		flyout.className = FLYOUT_CLASS;
+		flyout.hidden = true;
+		renderFlyoutLinks(flyout, linkData.children);
+
+		// Hovering opens the flyout like Amazon's own menus; clicking does too, for touch screens.
+		toggle.addEventListener('click', () => openFlyout(newLi, null));
+		toggle.addEventListener('keydown', event => {
+			if (event.key === 'Enter' || event.key === ' ' || event.key === 'ArrowDown') {
+				event.preventDefault();
+				openFlyout(newLi, 0);
+			} else if (event.key === 'ArrowUp') {
+				event.preventDefault();
+				openFlyout(newLi, -1);
+			} else if (event.key === 'Escape') {
+				closeFlyout(false);
+			}
+		});
+		flyout.addEventListener('keydown', handleFlyoutKeydown);
+		newLi.addEventListener('mouseenter', () => openFlyout(newLi, null));
+		newLi.addEventListener('mouseleave', () => {
+			if (openGroupItem === newLi) closeFlyout(false);
+		});
+
+		newDiv.append(toggle, flyout);
+		newLi.appendChild(newDiv);
+		return newLi;
+	}
+
+	/**
+	 * (Re)builds the list of child links inside a group's flyout.
+	 * The children are remembered in `data-arin-children`, so `updateNavItem` can tell whether
+	 * they changed.
+	 * @param {HTMLElement} flyout - The div.arin-flyout element.
+	 * @param {Array<object>} children - The child links: [{ href, textContent, className, icon?, usageKey? }].
+	 *                                   `className` carries the accent class; 'nav-a' itself is left out.
+	 */
+	function renderFlyoutLinks(flyout, children) {
+		const list = document.createElement('ul');
+		list.setAttribute('role', 'menu');
+		children.forEach(child => {
+			const childLi = document.createElement('li');
+			childLi.setAttribute('role', 'none');
+			const childLink = document.createElement('a');
+			childLink.href = child.href;
+			ArinAppearance.renderLinkContent(childLink, child.textContent, child.icon);
+			childLink.className = ['arin-flyout-link'].concat(child.className.split(' ').filter(name => name !== 'nav-a')).join(' ');
+			childLink.dir = 'auto';
+			if (child.usageKey) childLink.setAttribute(USAGE_ATTRIBUTE, child.usageKey);
+			childLink.setAttribute('role', 'menuitem');
+			childLink.tabIndex = -1; // Reached with the arrow keys, not with Tab.
+			childLi.appendChild(childLink);
+			list.appendChild(childLi);
+		});
+		flyout.replaceChildren(list);
+		flyout.setAttribute('data-arin-children', JSON.stringify(children));
+	}
+
+	/**
+	 * Opens the flyout of a group item, closing any other open flyout first.
+	 * The flyout is positioned with `position: fixed` under its toggle, because Amazon's
+	 * nav containers clip overflowing content. It's aligned with the toggle's left edge, or with its
+	 * right edge on right-to-left pages.
+	 * @param {HTMLElement} groupItem - The group's <li> element.
+	 * @param {number|null} focusIndex - Index of the child link to focus (-1 for the last one),
+	 *                                   or null to leave the focus where it is.
+	 */
+	function openFlyout(groupItem, focusIndex) {
+		if (openGroupItem && openGroupItem !== groupItem) closeFlyout(false);
+
+		const toggle = groupItem.querySelector(`.${GROUP_TOGGLE_CLASS}`);
+		const flyout = groupItem.querySelector(`.${FLYOUT_CLASS}`);
+		const toggleRect = toggle.getBoundingClientRect();
+		flyout.style.top = `${toggleRect.bottom}px`;
+		if (getComputedStyle(toggle).direction === 'rtl') {
+			flyout.style.left = '';
+			flyout.style.right = `${document.documentElement.clientWidth - toggleRect.right}px`;
+		} else {
+			flyout.style.left = `${toggleRect.left}px`;
+			flyout.style.right = '';
+		}
+		flyout.hidden = false;
+		toggle.setAttribute('aria-expanded', 'true');
+		openGroupItem = groupItem;
+
+		if (focusIndex !== null) {
+			const childLinks = flyout.querySelectorAll('a');
+			const target = focusIndex < 0 ? childLinks[childLinks.length - 1] : childLinks[focusIndex];
+			if (target) target.focus();
+		}
+	}
+
+	/**
+	 * Closes the currently open flyout, if any.
+	 * @param {boolean} returnFocus - Whether to move the focus back to the group's toggle.
+	 */
+	function closeFlyout(returnFocus) {
+		if (!openGroupItem) return;
+		const toggle = openGroupItem.querySelector(`.${GROUP_TOGGLE_CLASS}`);
+		openGroupItem.querySelector(`.${FLYOUT_CLASS}`).hidden = true;
+		toggle.setAttribute('aria-expanded', 'false');
+		openGroupItem = null;
+		if (returnFocus) toggle.focus();
+	}
+
+	/**
+	 * Keyboard navigation inside an open flyout: arrow keys, Home and End move between the
+	 * child links, Escape closes the flyout and Tab leaves it.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 */
+	function handleFlyoutKeydown(event) {
+		const childLinks = [...event.currentTarget.querySelectorAll('a')];
+		const currentIndex = childLinks.indexOf(document.activeElement);
+		let nextIndex = null;
+
+		if (event.key === 'ArrowDown') nextIndex = (currentIndex + 1) % childLinks.length;
+		else if (event.key === 'ArrowUp') nextIndex = (currentIndex - 1 + childLinks.length) % childLinks.length;
+		else if (event.key === 'Home') nextIndex = 0;
+		else if (event.key === 'End') nextIndex = childLinks.length - 1;
+		else if (event.key === 'Escape') {
+			event.preventDefault();
+			closeFlyout(true);
+			return;
+		} else if (event.key === 'Tab') {
+			closeFlyout(false);
+			return;
+		}
+
+		if (nextIndex !== null) {
+			event.preventDefault();
+			childLinks[nextIndex].focus();
+		}
+	}
+
+	/**
+	 * Updates an injected nav item so that it matches the given link data.
+	 * Properties are only written when they differ, so an up-to-date item causes no DOM mutations.
+	 * @param {HTMLElement} item - An injected <li> element.
+	 * @param {object} linkData - { key, href, textContent, className, icon?, usageKey?, children? } for the link.
+	 */
+	function updateNavItem(item, linkData) {
+		if (linkData.children) {
+			const label = item.querySelector('.arin-group-label');
+			if (!ArinAppearance.isContentCurrent(label, linkData.textContent, linkData.icon)) {
+				ArinAppearance.renderLinkContent(label, linkData.textContent, linkData.icon);
+			}
+			const toggle = item.querySelector(`.${GROUP_TOGGLE_CLASS}`);
+			const toggleClassName = `${linkData.className} ${GROUP_TOGGLE_CLASS}`;
+			if (toggle.className !== toggleClassName) toggle.className = toggleClassName;
+			const flyout = item.querySelector(`.${FLYOUT_CLASS}`);
+			if (flyout.getAttribute('data-arin-children') !== JSON.stringify(linkData.children)) {
+				renderFlyoutLinks(flyout, linkData.children);
+			}
+			return;
+		}
+
+		const link = item.querySelector('a');
+		if (link.getAttribute('href') !== linkData.href) link.href = linkData.href;
+		if (!ArinAppearance.isContentCurrent(link, linkData.textContent, linkData.icon)) {
+			ArinAppearance.renderLinkContent(link, linkData.textContent, linkData.icon);
+		}
+		if (link.className !== linkData.className) link.className = linkData.className;
+		if (link.getAttribute(USAGE_ATTRIBUTE) !== (linkData.usageKey || null)) {
+			if (linkData.usageKey) link.setAttribute(USAGE_ATTRIBUTE, linkData.usageKey);
+			else link.removeAttribute(USAGE_ATTRIBUTE);
+		}
+	}
+
+	/**
+	 * Lists Amazon's own items in its nav list, in their original order. Items seen for the first time
+	 * are given their original position, so it can be restored after they were moved.
+	 * Items added by Amazon later on count as coming after the ones seen before.
+	 * @param {HTMLElement} nativeList - Amazon's nav list (see `NATIVE_LIST_SELECTOR`).
+	 * @returns {Array<HTMLElement>} The items (not the injected ones).
+	 * Side effects:
+	 *  - Sets the `data-arin-native-index` attribute of items seen for the first time.
+	 */
+	function readNativeItems(nativeList) {
+		const items = [...nativeList.children].filter(item => !item.hasAttribute(LINK_ATTRIBUTE));
+		items.forEach(item => {
+			if (!item.hasAttribute(NATIVE_INDEX_ATTRIBUTE)) item.setAttribute(NATIVE_INDEX_ATTRIBUTE, String(nextNativeIndex++));
+		});
+		const originalIndex = item => parseInt(item.getAttribute(NATIVE_INDEX_ATTRIBUTE), 10);
+		return items.sort((a, b) => originalIndex(a) - originalIndex(b));
+	}
+
+	/**
+	 * Shows or hides one of Amazon's own items. Only changes the item if its state differs.
+	 * @param {HTMLElement} item - The item.
+	 * @param {boolean} hidden - Whether the item should be hidden.
+	 */
+	function setNativeItemHidden(item, hidden) {
+		if (item.hasAttribute(HIDDEN_ATTRIBUTE) === hidden) return;
+		if (hidden) {
+			item.setAttribute(HIDDEN_ATTRIBUTE, '');
+		} else {
+			item.removeAttribute(HIDDEN_ATTRIBUTE);
+		}
+	}
+
+	/**
+	 * Matches the rules for Amazon's own items (see native-items.js) to the items in its nav list,
+	 * hides the items whose rule says so and shows all others.
+	 * Each item is matched to one rule at most, the first one that matches it.
+	 * Also tells the `onNativeItemsSeen` listeners about the items, if they changed.
+	 * @param {Array<HTMLElement>} nativeItems - Amazon's items (see `readNativeItems`).
+	 * @returns {Map<string, HTMLElement>} The shown items that have a rule, by the key of their rule.
+	 * Side effects:
+	 *  - Hides or shows Amazon's items.
+	 */
+	function applyNativeRules(nativeItems) {
+		const described = nativeItems.map(item => ArinNativeItems.describeItem(item, location.href));
+		reportNativeItems(described.filter(item => item.name !== ''));
+
+		const claimed = new Set();
+		const hiddenItems = new Set();
+		const listedItems = new Map();
+		desiredLinks.filter(linkData => linkData.native).forEach(linkData => {
+			const index = ArinNativeItems.findItem(linkData.native, described, claimed);
+			if (index === -1) return;
+			claimed.add(index);
+			if (linkData.hidden) {
+				hiddenItems.add(nativeItems[index]);
+			} else {
+				listedItems.set(linkData.key, nativeItems[index]);
+			}
+		});
+		nativeItems.forEach(item => setNativeItemHidden(item, hiddenItems.has(item)));
+		return listedItems;
+	}
+
+	/**
+	 * Calls the `onNativeItemsSeen` listeners, unless they were already told about these items.
+	 * @param {Array<object>} items - Amazon's items: [{ name, url }], in their original order.
+	 */
+	function reportNativeItems(items) {
+		const json = JSON.stringify(items);
+		if (items.length === 0 || json === reportedNativeItems) return;
+		reportedNativeItems = json;
+		nativeItemsListeners.forEach(listener => listener(items));
+	}
+
+	/**
+	 * Puts the elements of a list in the given order, moving only those that aren't in place yet.
+	 * @param {HTMLElement} listElement - The list.
+	 * @param {Array<HTMLElement>} items - Its element children, in the desired order. Children not
+	 *                                     in this array end up after them.
+	 */
+	function arrangeItems(listElement, items) {
+		// Keep a cursor on the element that should follow the previous item. Items already in the right
+		// place are skipped, never re-inserted.
+		let cursor = listElement.firstElementChild;
+		items.forEach(item => {
+			if (item === cursor) {
+				cursor = cursor.nextElementSibling;
+			} else {
+				listElement.insertBefore(item, cursor);
+			}
+		});
+	}
+
+	/**
+	 * Makes sure the desired links are present in the header, in order and up to date, and that
+	 * Amazon's own items are hidden or placed as their rules say (see `injectLinks`).
+	 * Safe to call any number of times: if everything is already in place nothing happens.
+	 * Side effects:
+	 *  - Modifies the DOM of the header (see `injectLinks`).
+	 *  - Discards the observer's records of these changes: they're the extension's own, and
+	 *    mustn't schedule another check.
+	 */
+	function ensureInjected() {
+		injectLinks();
+		if (observer) observer.takeRecords();
+	}
+
+	/**
+	 * Brings the header in line with the desired links (see `ensureInjected`).
+	 * Existing items are matched by their `data-arin-link` key and reused, so only the
+	 * differences are applied.
+	 * Side effects:
+	 *  - Adds, removes, moves and updates injected items at the start of the host list, or at its
+	 *    end for the 'xshop-end' placement.
+	 *  - Hides, shows and moves Amazon's own items. Those with a rule go among the links when the links
+	 *    are in Amazon's nav list; the others keep their original order.
+	 *  - Removes containers left over from an earlier placement.
+	 *  - Logs a message once per page if no host container can be found.
+	 */
+	function injectLinks() {
+		const nativeList = document.querySelector(NATIVE_LIST_SELECTOR);
+		const nativeItems = nativeList ? readNativeItems(nativeList) : [];
+		const listedNativeItems = applyNativeRules(nativeItems);
+
+		// Without links to show, Amazon's items may still be rearranged in their own list.
+		const hasLinks = desiredLinks.some(linkData => !linkData.native);
+		const usesNativeList = placement === 'xshop-start' || placement === 'xshop-end';
+		const listElement = hasLinks ? findListElement() : (usesNativeList ? nativeList : null);
+		if (!listElement && hasLinks) {
+			// The header may still be loading; the observer will call us again when the DOM changes.
+			if (!missingHostLogged && document.readyState === 'complete') {
+				missingHostLogged = true;
+				console.log('ARIN: Amazon navigation element not found yet, waiting for it to appear.');
+			}
+			return;
+		}
+		removeStaleContainers(listElement);
+
+		// Collect the items injected earlier into this list, by key.
+		// Items in any other place (e.g. a host that is no longer used) or with a duplicate key are removed.
+		const existingItems = new Map();
+		document.querySelectorAll(`[${LINK_ATTRIBUTE}]`).forEach(item => {
+			const key = item.getAttribute(LINK_ATTRIBUTE);
+			if (item.parentElement === listElement && !existingItems.has(key)) {
+				existingItems.set(key, item);
+			} else {
+				item.remove();
+			}
+		});
+
+		// Build the items in the order of the desired links. Amazon's items only go among them if they
+		// share the list.
+		const mergesNativeItems = listElement !== null && listElement === nativeList;
+		const linkItems = [];
+		desiredLinks.forEach(linkData => {
+			if (linkData.native) {
+				const nativeItem = listedNativeItems.get(linkData.key);
+				if (nativeItem && mergesNativeItems) linkItems.push(nativeItem);
+				return;
+			}
+			let item = existingItems.get(linkData.key);
+			if (item) {
+				existingItems.delete(linkData.key);
+				updateNavItem(item, linkData);
+			} else {
+				item = createNavItem(linkData);
+			}
+			linkItems.push(item);
+		});
+
+		// Whatever is left over is no longer wanted.
+		existingItems.forEach(item => item.remove());
+
+		if (mergesNativeItems) {
+			// At the end of the list, the links start after the last of Amazon's own items.
+			const otherItems = nativeItems.filter(item => !linkItems.includes(item));
+			arrangeItems(nativeList, placement === 'xshop-end' ? otherItems.concat(linkItems) : linkItems.concat(otherItems));
+		} else {
+			if (listElement) arrangeItems(listElement, linkItems);
+			if (nativeList) arrangeItems(nativeList, nativeItems);
+		}
+	}
+
+	/**
+	 * Checks whether a DOM mutation only concerns the extension's own nodes: it happened inside one of
+	 * them, or it only added them (or removed nodes that needn't come back, see `DISPOSABLE_NODE_SELECTOR`).
+	 * @param {MutationRecord} record - The mutation.
+	 * @returns {boolean} True if the mutation can't have affected the injected links.
+	 */
+	function isOwnMutation(record) {
+		const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+		if (target && target.closest(OWN_NODE_SELECTOR)) return true;
+		const matches = selector => node => node.nodeType === Node.ELEMENT_NODE && node.matches(selector);
+		return [...record.addedNodes].every(matches(OWN_NODE_SELECTOR)) &&
+			[...record.removedNodes].every(matches(DISPOSABLE_NODE_SELECTOR));
+	}
+
+	/**
+	 * Schedules a check after DOM mutations, unless they only concern the extension's own nodes.
+	 * @param {Array<MutationRecord>} records - The mutations.
+	 */
+	function handleMutations(records) {
+		if (!records.every(isOwnMutation)) scheduleCheck();
+	}
+
+	/**
+	 * Queues a call to `ensureInjected` for the next animation frame.
+	 * Bursts of DOM mutations are coalesced into a single check.
+	 */
+	function scheduleCheck() {
+		if (checkScheduled) return;
+		checkScheduled = true;
+		requestAnimationFrame(() => {
+			checkScheduled = false;
+			if (location.href !== lastHref) {
+				// SPA-style navigation: the header may have been swapped out, so force a fresh lookup.
+				lastHref = location.href;
+				missingHostLogged = false;
+				locationListeners.forEach(listener => listener(location.href));
+			}
+			ensureInjected();
+		});
+	}
+
+	/**
+	 * Starts watching the page for the header to appear, be re-rendered or change via SPA navigation.
+	 * Calling it more than once has no additional effect.
+	 * Side effects:
+	 *  - Registers a MutationObserver on the document and listeners for history navigation.
+	 */
+	function startObserving() {
+		if (observer) return;
+		observer = new MutationObserver(handleMutations);
+		observer.observe(document.documentElement, { childList: true, subtree: true });
+		// Close an open group flyout when clicking elsewhere, or when its position goes stale.
+		document.addEventListener('click', event => {
+			if (openGroupItem && !openGroupItem.contains(event.target)) closeFlyout(false);
+		});
+		window.addEventListener('scroll', () => closeFlyout(false), { passive: true });
+		window.addEventListener('resize', () => closeFlyout(false));
+		window.addEventListener('popstate', scheduleCheck);
+		window.addEventListener('hashchange', scheduleCheck);
+		window.addEventListener('load', scheduleCheck);
+	}
+
+	/**
+	 * Sets the links to show in the header and injects them as soon as a host container is available.
+	 * @param {Array<object>} navLinks - The links to show, in order: [{ key, href, textContent, className, icon?, usageKey? }].
+	 *                                   Groups carry `children: [{ href, textContent, className, icon?, usageKey? }]`
+	 *                                   instead of `href`.
+	 *                                   `key` must be unique and stable for a given link; `usageKey` is
+	 *                                   passed to the `onLinkUse` listeners when the link is used.
+	 *                                   Rules for Amazon's own items are { key, native: { name, url }, hidden }
+	 *                                   (see native-items.js): the item is hidden, or else shown at this place.
+	 * Side effects:
+	 *  - Modifies the DOM of the header (see `ensureInjected`).
+	 *  - Starts the MutationObserver (see `startObserving`).
+	 */
+	function setLinks(navLinks) {
+		desiredLinks = navLinks.slice();
+		ensureInjected();
+		startObserving();
+	}
+
+	/**
+	 * Sets where the links go in the header, and moves them there.
+	 * @param {string} newPlacement - One of `ArinAppearance.PLACEMENTS`. Unknown values use the default.
+	 * Side effects:
+	 *  - Modifies the DOM of the header (see `ensureInjected`).
+	 */
+	function setPlacement(newPlacement) {
+		placement = ArinAppearance.normalizePlacement(newPlacement);
+		ensureInjected();
+	}
+
+	/**
+	 * Registers a callback for page URL changes that happen without a reload (SPA-style navigations).
+	 * The callback runs before the links are re-injected, so it can still change them with `setLinks`.
+	 * @param {function(string)} callback - Called with the new URL.
+	 * Side effects:
+	 *  - Starts the MutationObserver (see `startObserving`), which detects the URL changes.
+	 */
+	function onLocationChange(callback) {
+		locationListeners.push(callback);
+		startObserving();
+	}
+
+	/**
+	 * Registers a callback for uses of the injected links: clicks, including middle clicks that open
+	 * the link in a new tab. Clicks on group toggles aren't uses, only clicks on their child links are.
+	 * @param {function(string)} callback - Called with the usage key of the link.
+	 * Side effects:
+	 *  - Registers click and auxclick listeners on the document (in the capture phase, so Amazon's
+	 *    handlers can't keep the click from being seen).
+	 */
+	function onLinkUse(callback) {
+		const handleClick = (event) => {
+			if (event.type === 'auxclick' && event.button !== 1) return;
+			const link = event.target.closest ? event.target.closest(`a[${USAGE_ATTRIBUTE}]`) : null;
+			if (link) callback(link.getAttribute(USAGE_ATTRIBUTE));
+		};
+		document.addEventListener('click', handleClick, true);
+		document.addEventListener('auxclick', handleClick, true);
+	}
+
+	/**
+	 * Registers a callback for the items of Amazon's main nav bar: called when they're first seen on this
+	 * page, and again whenever they change (e.g. the header is re-rendered in another language).
+	 * @param {function(Array<object>)} callback - Called with the items, in Amazon's order: [{ name, url }]
+	 *                                             (see `ArinNativeItems.describeItem`).
+	 */
+	function onNativeItemsSeen(callback) {
+		nativeItemsListeners.push(callback);
+	}
+
+	return {
+		HOST_SELECTORS,
+		NATIVE_LIST_SELECTOR,
+		LINK_ATTRIBUTE,
+		setLinks,
+		setPlacement,
+		ensureInjected,
+		onLocationChange,
+		onLinkUse,
+		onNativeItemsSeen
+	};
+})();
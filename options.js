@@ -8,17 +8,42 @@
  * This includes:
  *
  *  - Loading and saving navigation links (predefined and custom).
+ *  - Keeping the links in named profiles (see profiles.js): creating, renaming, duplicating, deleting
+ *    and switching profiles, and naming the account a profile is chosen for automatically on Amazon pages.
  *  - Rendering these links in a sortable list.
- *  - Allowing users to add new custom links.
- *  - Allowing users to remove custom links.
+ *  - Allowing users to add new custom links, and to edit their name and URL in place. URLs are
+ *    validated and normalized first (see urls.js).
+ *  - Allowing users to override the display name of predefined destinations, and to reset it.
+ *  - Recording a keyboard shortcut per link (see shortcuts.js), used on Amazon pages by arin.js.
+ *  - Making links conditional: shown only on matching paths, or on pages with a product or order (see conditions.js).
+ *  - Giving links an icon (built-in or emoji) and an accent style, choosing where the links go in
+ *    Amazon's header, and showing a live preview of the header (see appearance.js).
+ *  - Browsing the shared catalog of predefined destinations (see catalog.js) and picking entries.
+ *  - Listing Amazon's own nav items as last seen on Amazon pages (see native-items.js), and adding them
+ *    to the list of links, where they can be hidden (unchecked) or dragged among the links.
+ *  - Allowing users to remove custom links and predefined destinations.
  *  - Allowing users to enable/disable any link.
+ *  - Scoping links to all marketplaces or a chosen subset, and viewing the list per marketplace.
  *  - Implementing drag-and-drop reordering of links using SortableJS.
- *  - Automatically saving all changes to Chrome's synchronized storage.
+ *  - Grouping links into dropdown groups, using nested sortable lists.
+ *  - Exporting the configuration to a file, and importing it (merge or replace) after a preview.
+ *  - Automatically saving all changes to Chrome's synchronized storage, and showing the storage status
+ *    (quota usage, sharding, or the fallback to local storage when sync is unavailable or full).
+ *  - Showing how often each link was used (counted on Amazon pages, see usage.js), sorting the list by
+ *    usage, and suggesting frequently visited pages as links (if the user opted in to recording them).
+ *  - Undoing and redoing changes to the links (with the keyboard, the Undo and Redo buttons, or the notice
+ *    shown after removing a link), and keeping earlier versions of the links on this device (see
+ *    history.js), which can be restored, as can the default links.
+ *  - Showing every text in the browser's UI language: static texts are filled in from the `data-i18n`
+ *    attributes of options.html, dynamic ones are read from the message catalogs (see i18n.js).
  *
  */
 
 // Wait for the entire HTML document to be fully loaded and parsed before running the script.
 document.addEventListener('DOMContentLoaded', () => {
+	// Fill in the static texts of the page (headings, labels, buttons) from the message catalogs.
+	ArinI18n.localizePage();
+
 	// --- DOM Element References ---
 	// Get references to various HTML elements needed for the script.
 	// These elements are used for user input, displaying links, and providing feedback.
@@ -26,7 +51,44 @@ document.addEventListener('DOMContentLoaded', () => {
 	const linkNameInput = document.getElementById('linkName'); // Input field for the custom link's name.
 	const linkUrlInput = document.getElementById('linkUrl');   // Input field for the custom link's URL.
 	const addLinkButton = document.getElementById('addLink'); // Button to add a new custom link.
+	const groupNameInput = document.getElementById('groupName'); // Input field for a new group's name.
+	const addGroupButton = document.getElementById('addGroup'); // Button to add a new group.
 	const linksListContainer = document.getElementById('linksListContainer'); // UL element where links are displayed.
+	const catalogListContainer = document.getElementById('catalogList'); // UL element listing the predefined destinations.
+	const nativeItemsListContainer = document.getElementById('nativeItemsList'); // UL element listing Amazon's own nav items.
+	const addAllNativeItemsButton = document.getElementById('addAllNativeItems'); // Button adding all of Amazon's listed items.
+	const marketplaceFilterSelect = document.getElementById('marketplaceFilter'); // Select used to view the list per marketplace.
+	const exportLinksButton = document.getElementById('exportLinks'); // Button to export the configuration to a file.
+	const importFileInput = document.getElementById('importFile'); // File input for importing a configuration.
+	const importTextInput = document.getElementById('importText'); // Textarea for pasting a configuration.
+	const previewImportButton = document.getElementById('previewImport'); // Button to preview an import.
+	const importPreviewElement = document.getElementById('importPreview'); // Container for the import preview.
+	const importPreviewList = document.getElementById('importPreviewList'); // UL element listing the changes of an import.
+	const applyImportButton = document.getElementById('applyImport'); // Button to apply the previewed import.
+	const cancelImportButton = document.getElementById('cancelImport'); // Button to discard the previewed import.
+	const storageStatusElement = document.getElementById('storageStatus'); // Paragraph describing where the links are stored.
+	const storageMeterBar = document.getElementById('storageMeterBar'); // Bar showing how much of the sync quota is used.
+	const paletteHelpElement = document.getElementById('paletteHelp'); // Help text naming the command palette hotkey.
+	const placementSelect = document.getElementById('linkPlacement'); // Select choosing where the links go in the header.
+	const headerPreviewElement = document.getElementById('headerPreview'); // Live preview of Amazon's header with the links.
+	const sortByUsageButton = document.getElementById('sortByUsage'); // Button sorting the links by how often they're used.
+	const trackVisitedPathsCheckbox = document.getElementById('trackVisitedPaths'); // Opt-in to recording visited pages.
+	const suggestedLinksContainer = document.getElementById('suggestedLinks'); // UL element listing the suggested links.
+	const clearUsageButton = document.getElementById('clearUsage'); // Button deleting the usage data.
+	const profileSelect = document.getElementById('profileSelect'); // Select switching the active profile.
+	const newProfileButton = document.getElementById('newProfile'); // Button creating a profile.
+	const renameProfileButton = document.getElementById('renameProfile'); // Button renaming the active profile.
+	const duplicateProfileButton = document.getElementById('duplicateProfile'); // Button copying the active profile.
+	const deleteProfileButton = document.getElementById('deleteProfile'); // Button deleting the active profile.
+	const profileAccountInput = document.getElementById('profileAccountName'); // Account name the active profile is chosen for.
+	const historyHelpElement = document.getElementById('historyHelp'); // Help text naming the undo and redo hotkeys.
+	const undoButton = document.getElementById('undoChange'); // Button undoing the last change to the links.
+	const redoButton = document.getElementById('redoChange'); // Button redoing the last undone change.
+	const resetDefaultsButton = document.getElementById('resetToDefaults'); // Button going back to the default links.
+	const historyListContainer = document.getElementById('historyList'); // UL element listing earlier versions of the links.
+	const toastElement = document.getElementById('toast'); // Notice shown after a change that can be undone.
+	const toastMessageElement = document.getElementById('toastMessage'); // Text of the notice.
+	const toastActionButton = document.getElementById('toastAction'); // Undo (or Redo) button of the notice.
 
 	// The manual save button was removed in favor of auto-saving.
 	// const saveOptionsButton = document.getElementById('saveOptions');
@@ -40,7 +102,7 @@ document.addEventListener('DOMContentLoaded', () => {
 	if (!statusMessageElement) {
 		statusMessageElement = document.createElement('span');
 		statusMessageElement.id = 'statusMessage'; // Assign an ID for potential styling.
-		statusMessageElement.style.marginLeft = '10px'; // Basic styling.
+		statusMessageElement.style.marginInlineStart = '10px'; // Basic styling.
 
 		// Try to insert the status message near the main content area.
 		const manageLinksSection = document.querySelector('h2'); // Find the first h2, assuming it's "Manage Links" or similar.
@@ -58,34 +120,72 @@ document.addEventListener('DOMContentLoaded', () => {
 
 	// --- Constants and Configuration ---
 
-	// Key used to store the array of all user links in Chrome's synchronized storage.
-	const STORAGE_KEY = 'allUserLinks';
+	// List of supported marketplaces, loaded from 'amazon-domains.json' before the links are rendered.
+	// Each entry has the shape { amazon_domain, country_code, country_name, language }.
+	let marketplaces = [];
 
-	/**
-	 * Default predefined links.
-	 * This array provides the initial set of links if none are found in storage.
-	 * Each link object has the following properties:
-	 *  - type: (string) "predefined" - Indicates it's a default, non-removable link (but can be disabled).
-	 *  - id: (string) A unique identifier for the predefined link (matches checkbox ID in original HTML).
-	 *  - name: (string) The display name of the link.
-	 *  - url: (string) The URL path for the link.
-	 *  - enabled: (boolean) Whether the link is currently active and should be shown in the extension.
-	 *  - originalIndex: (number) The original sort order of this predefined link.
-	 */
-	const DEFAULT_PREDEFINED_LINKS = [
-		{ type: "predefined", id: "returns", name: "Returns", url: "/spr/returns/history", enabled: true, originalIndex: 0 },
-		{ type: "predefined", id: "support", name: "Support Call", url: "/gp/help/customer/express/c2c/popup.html", enabled: true, originalIndex: 1 }
-	];
+	// The configuration an import would produce, kept between "Preview Import" and "Apply Import".
+	let pendingImportLinks = null;
+
+	// The stored profiles (see profiles.js) and the id of the active one, whose links are listed on the page.
+	let profiles = [];
+	let activeProfileId = ArinProfiles.DEFAULT_PROFILE_ID;
+
+	// Usage data recorded on Amazon pages (see usage.js): link uses by usage key, and visited path categories.
+	let linkUsage = {};
+	let visitedPaths = {};
+
+	// Amazon's own nav items recorded on Amazon pages, by marketplace domain (see native-items.js).
+	let seenNativeItems = {};
+
+	// Undo and redo, for this page only: the links as last saved (or loaded), the versions before them
+	// (most recent last) and the versions undone since. At most `UNDO_LIMIT` versions are kept.
+	let savedLinks = null;
+	const undoStack = [];
+	const redoStack = [];
+	const UNDO_LIMIT = 50;
+
+	// Hotkeys for undo and redo (with Ctrl on Windows/Linux and Meta on macOS, see shortcuts.js).
+	const UNDO_SHORTCUTS = ['Ctrl+Z', 'Meta+Z'];
+	const REDO_SHORTCUTS = ['Ctrl+Shift+Z', 'Shift+Meta+Z', 'Ctrl+Y'];
+
+	// Earlier versions of the links kept on this device (see history.js), and whether the links as they
+	// were when this page was opened (or the profile was switched) have been kept already.
+	let snapshots = [];
+	let snapshotKept = false;
+
+	// The action of the notice's button, and the timer hiding the notice.
+	let toastAction = null;
+	let toastTimer = null;
+	const TOAST_DURATION = 8000;
+
+	// Value of the "Emoji" option of the icon picker in the link editor (built-in icon ids never contain ':').
+	const EMOJI_ICON_OPTION = ':emoji';
 
 	// --- SortableJS Initialization ---
-	// Initialize the SortableJS library to enable drag-and-drop reordering of links.
-	if (typeof Sortable !== 'undefined') {
-		new Sortable(linksListContainer, {
+
+	/**
+	 * Enables drag-and-drop reordering on a list of links using the SortableJS library.
+	 * The top-level list and every group's child list share the same Sortable group, so links can be
+	 * dragged into and out of groups. Groups themselves, and Amazon's own items, can't be dropped into a group.
+	 * @param {HTMLElement} listElement - The <ul> element to make sortable.
+	 * @param {boolean} isGroupList - True for the child list of a group, false for the top-level list.
+	 */
+	function makeSortable(listElement, isGroupList) {
+		if (typeof Sortable === 'undefined') return;
+		new Sortable(listElement, {
+			group: {
+				name: 'links',
+				// Only links may be dropped into a group's child list, not groups or Amazon's own items.
+				put: isGroupList ? (to, from, dragEl) => !['group', 'native'].includes(dragEl.dataset.linkType) : true
+			},
 			animation: 150, // Animation speed for sorting (ms).
 			handle: '.drag-handle', // CSS selector for the element to use as a drag handle.
 			ghostClass: 'sortable-ghost',  // CSS class for the placeholder item while dragging.
 			chosenClass: 'sortable-chosen',  // CSS class for the item being dragged.
 			dragClass: 'sortable-drag',  // CSS class applied to the item while it's being dragged.
+			fallbackOnBody: true, // Needed for dragging between nested lists.
+			swapThreshold: 0.65, // Makes it easier to drop into or out of a nested list.
 
 			// Called when a drag-and-drop operation ends (item is dropped).
 			onEnd: () => {
@@ -93,66 +193,251 @@ document.addEventListener('DOMContentLoaded', () => {
 				autoSaveAllLinks();
 			}
 		});
+	}
+
+	// Initialize the SortableJS library to enable drag-and-drop reordering of links.
+	if (typeof Sortable !== 'undefined') {
+		makeSortable(linksListContainer, false);
 	} else {
 		// Log an error and show a message if SortableJS is not available.
 		console.error("SortableJS library not found. Drag and drop will not work.");
 		// Show a persistent error message (duration 0).
-		showStatusMessage("Error: SortableJS library not found.", true, 0);
+		showStatusMessage(ArinI18n.getMessage('sortableMissing'), true, 0);
 	}
 
 	/**
-	 * Loads links from Chrome storage and populates the list in the DOM.
-	 * If no links are found in storage, it loads and saves the default predefined links.
+	 * Loads the profiles from Chrome storage and populates the list in the DOM with the links of the active one.
+	 * Loading goes through the shared storage module (see storage.js), which migrates old
+	 * configurations, drops malformed entries and falls back to (and saves) the default links.
+	 * Undo and redo start over when another profile is listed.
 	 * Side effects:
+	 *  - Updates `profiles` and `activeProfileId`, and the profile controls.
 	 *  - Modifies the DOM by clearing and then populating `linksListContainer`.
-	 *  - May call `autoSaveAllLinks` if default links are loaded, which saves to Chrome storage.
+	 *  - Updates `savedLinks` (and clears the undo and redo stacks), and re-renders the history.
+	 *  - Shows an error status message if malformed stored entries were dropped, or if the stored
+	 *    links can't be read.
 	 */
 	function loadLinks() {
-		// Fetch the array of links from Chrome's synchronized storage.
-		chrome.storage.sync.get([STORAGE_KEY], (result) => {
-			// Clear any existing items from the list container before rendering.
-			linksListContainer.innerHTML = '';
-
-			let linksToRender = []; // Array to hold the links that will be displayed.
-			let saveDefaultsNeeded = false; // Flag to indicate if default links need to be saved.
-
-			// Check if links were successfully retrieved from storage and if the array is not empty.
-			if (result[STORAGE_KEY] && Array.isArray(result[STORAGE_KEY]) && result[STORAGE_KEY].length > 0) {
-				// Links found in storage.
-				linksToRender = result[STORAGE_KEY].map(link => {
-					// Backward compatibility: If a custom link from storage doesn't have an 'enabled' property,
-					// default it to true. This ensures older stored links are usable.
-					if (link.type === "custom" && typeof link.enabled === 'undefined') {
-						link.enabled = true;
-					}
-					return link;
-				});
-			} else {
-				// No links found in storage, or the stored array is empty.
-				// Use a deep copy of the default predefined links.
-				linksToRender = JSON.parse(JSON.stringify(DEFAULT_PREDEFINED_LINKS));
-				saveDefaultsNeeded = true; // Mark that these defaults should be saved to storage.
+		ArinStorage.loadProfiles((loadedProfiles, { activeProfileId: loadedProfileId, errors, unreadable }) => {
+			if (loadedProfileId !== activeProfileId) {
+				undoStack.length = 0;
+				redoStack.length = 0;
+				snapshotKept = false;
+			}
+			profiles = loadedProfiles;
+			activeProfileId = loadedProfileId;
+			renderProfiles();
+
+			// Render the links of the active profile in the DOM.
+			renderAllLinks(ArinProfiles.getActiveProfile(profiles, activeProfileId).links);
+			savedLinks = collectAllLinks();
+			updateUndoButtons();
+			renderHistory();
+
+			// Let the user know if the stored links, or some stored entries, couldn't be read.
+			if (unreadable) {
+				showStatusMessage(errors.join(' '), true, 0);
+			} else if (errors.length > 0) {
+				showStatusMessage(ArinI18n.getMessage('malformedLinksSkipped', [errors.length, errors.join(' ')]), true, 0);
 			}
+		});
+	}
+
+	/**
+	 * Fills the profile controls: one option per profile with the active one selected, and the active
+	 * profile's account name. The last profile can't be deleted.
+	 */
+	function renderProfiles() {
+		if (!profileSelect) return;
+		profileSelect.innerHTML = '';
+		profiles.forEach(profile => {
+			const option = document.createElement('option');
+			option.value = profile.id;
+			option.textContent = profile.name;
+			profileSelect.appendChild(option);
+		});
+		profileSelect.value = activeProfileId;
+		profileAccountInput.value = ArinProfiles.getActiveProfile(profiles, activeProfileId).accountName || '';
+		deleteProfileButton.disabled = profiles.length <= 1;
+	}
 
-			// Render each link item in the DOM.
-			linksToRender.forEach(linkData => renderLinkItem(linkData));
+	/**
+	 * Asks for a profile name.
+	 * @param {string} messageName - The message name (see _locales) of the question.
+	 * @param {string} defaultName - The name suggested in the prompt.
+	 * @returns {string|null} The trimmed name, or null if the user cancelled or entered no name.
+	 */
+	function promptProfileName(messageName, defaultName) {
+		const name = prompt(ArinI18n.getMessage(messageName), defaultName);
+		if (name === null) return null;
+		if (!name.trim()) {
+			showStatusMessage(ArinI18n.getMessage('emptyProfileName'), true);
+			return null;
+		}
+		return name.trim();
+	}
+
+	/**
+	 * Changes the stored profiles, then shows the result.
+	 * The profiles are re-read first, so changes saved elsewhere (e.g. on another device) are kept.
+	 * @param {function(Array<object>): (string|undefined)} mutate - Changes the profiles in place, and
+	 *        returns the id of the profile to make active (or nothing to keep the active profile).
+	 * @param {string} successMessage - The status message shown once the profiles are saved.
+	 * Side effects:
+	 *  - Writes the profiles and the active profile to storage, then reloads the page's lists.
+	 *  - Shows an error status message instead if the stored profiles can't be read.
+	 */
+	function changeProfiles(mutate, successMessage) {
+		ArinStorage.loadProfiles((storedProfiles, { unreadable }) => {
+			if (unreadable) {
+				showStatusMessage(ArinI18n.getMessage('saveError', ArinI18n.getMessage('storedConfigUnreadable')), true, 0);
+				return;
+			}
+			const newActiveProfileId = mutate(storedProfiles) || activeProfileId;
+			ArinStorage.saveProfiles(storedProfiles, (error) => {
+				if (error) {
+					showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+					console.error('ARIN Options: Error saving profiles:', error);
+					return;
+				}
+				ArinStorage.setActiveProfile(newActiveProfileId, (activeError) => {
+					if (activeError) console.error('ARIN Options: Error saving the active profile:', activeError);
+					cancelImport(); // A previewed import was computed against the previous list.
+					loadLinks();
+					updateStorageStatus();
+					showStatusMessage(successMessage, false);
+				});
+			});
+		});
+	}
 
-			// If default links were loaded (because storage was empty), save them to storage.
-			// Pass `false` to `autoSaveAllLinks` to prevent showing a status message for this initial setup.
-			if (saveDefaultsNeeded) {
-				autoSaveAllLinks(false);
+	/**
+	 * Makes the profile selected in the profile select the active one, and lists its links.
+	 * Side effects:
+	 *  - Writes the active profile to storage (see `ArinStorage.setActiveProfile`) and reloads the lists.
+	 */
+	function handleProfileSwitch() {
+		const profile = profiles.find(candidate => candidate.id === profileSelect.value);
+		if (!profile) return;
+		ArinStorage.setActiveProfile(profile.id, (error) => {
+			if (error) {
+				showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+				console.error('ARIN Options: Error saving the active profile:', error);
+				return;
 			}
+			cancelImport();
+			loadLinks();
+			showStatusMessage(ArinI18n.getMessage('profileSwitched', profile.name), false);
 		});
 	}
 
+	/**
+	 * Creates a profile holding the default links, and makes it the active one.
+	 */
+	function handleNewProfile() {
+		const name = promptProfileName('newProfilePrompt', '');
+		if (name === null) return;
+		changeProfiles((storedProfiles) => {
+			const profile = ArinProfiles.createProfile(name, ArinStorage.createDefaultLinks(), storedProfiles);
+			storedProfiles.push(profile);
+			return profile.id;
+		}, ArinI18n.getMessage('profileSwitched', name));
+	}
+
+	/**
+	 * Renames the active profile.
+	 */
+	function handleRenameProfile() {
+		const activeProfile = ArinProfiles.getActiveProfile(profiles, activeProfileId);
+		const name = promptProfileName('renameProfilePrompt', activeProfile.name);
+		if (name === null) return;
+		changeProfiles((storedProfiles) => {
+			const profile = storedProfiles.find(candidate => candidate.id === activeProfile.id);
+			if (profile) profile.name = name;
+		}, ArinI18n.getMessage('savedAutomatically'));
+	}
+
+	/**
+	 * Creates a copy of the active profile's links under a new name, and makes it the active profile.
+	 * The copy isn't chosen for an account automatically.
+	 */
+	function handleDuplicateProfile() {
+		const activeProfile = ArinProfiles.getActiveProfile(profiles, activeProfileId);
+		const name = promptProfileName('duplicateProfilePrompt', ArinI18n.getMessage('profileCopyName', activeProfile.name));
+		if (name === null) return;
+		const links = collectAllLinks();
+		changeProfiles((storedProfiles) => {
+			const profile = ArinProfiles.createProfile(name, links, storedProfiles);
+			storedProfiles.push(profile);
+			return profile.id;
+		}, ArinI18n.getMessage('profileSwitched', name));
+	}
+
+	/**
+	 * Deletes the active profile, after confirmation. The first remaining profile becomes the active one.
+	 * The last profile can't be deleted.
+	 */
+	function handleDeleteProfile() {
+		const activeProfile = ArinProfiles.getActiveProfile(profiles, activeProfileId);
+		if (profiles.length <= 1 || !confirm(ArinI18n.getMessage('deleteProfileConfirm', activeProfile.name))) return;
+		changeProfiles((storedProfiles) => {
+			const index = storedProfiles.findIndex(candidate => candidate.id === activeProfile.id);
+			if (index === -1 || storedProfiles.length <= 1) return undefined;
+			storedProfiles.splice(index, 1);
+			return storedProfiles[0].id;
+		}, ArinI18n.getMessage('savedAutomatically'));
+	}
+
+	/**
+	 * Saves the account name the active profile is chosen for. An empty name turns this off.
+	 */
+	function handleProfileAccountChange() {
+		const accountName = profileAccountInput.value.trim();
+		changeProfiles((storedProfiles) => {
+			const profile = storedProfiles.find(candidate => candidate.id === activeProfileId);
+			if (!profile) return;
+			if (accountName) {
+				profile.accountName = accountName;
+			} else {
+				delete profile.accountName;
+			}
+		}, ArinI18n.getMessage('savedAutomatically'));
+	}
+
+	/**
+	 * Replaces the whole links list in the DOM with the given links.
+	 * @param {Array<object>} links - The link objects to render, in order.
+	 * Side effects:
+	 *  - Clears and repopulates `linksListContainer`, re-applies the marketplace filter and re-renders the catalog.
+	 */
+	function renderAllLinks(links) {
+		// Clear any existing items from the list container before rendering.
+		linksListContainer.innerHTML = '';
+
+		// Render each link item in the DOM.
+		links.forEach(linkData => renderLinkItem(linkData));
+
+		// Only show the links of the currently selected marketplace (if any).
+		applyMarketplaceFilter();
+
+		// Mark catalog entries and Amazon's items that are already in the list.
+		renderCatalog();
+		renderNativeItems();
+
+		renderHeaderPreview();
+		renderUsage();
+	}
+
 	/**
 	 * Renders a single link item (<li> element) and appends it to the links list container.
 	 * @param {object} linkData - An object containing the data for the link to be rendered.
-	 *                            Properties: type, name, url, enabled, id (for predefined), originalIndex (for predefined).
+	 *                            Properties: type, name, url, enabled, id (for predefined and group),
+	 *                            originalIndex (for predefined), children (for group).
+	 * @param {HTMLElement} [container=linksListContainer] - The list to append to (a group's child list for nested links).
 	 * Side effects:
 	 *  - Modifies the DOM by creating and appending list item elements.
 	 */
-	function renderLinkItem(linkData) {
+	function renderLinkItem(linkData, container = linksListContainer) {
 		// Create the main list item (<li>).
 		const listItem = document.createElement('li');
 		listItem.classList.add('link-item'); // Add class for styling.
@@ -162,6 +447,20 @@ document.addEventListener('DOMContentLoaded', () => {
 		listItem.dataset.linkType = linkData.type;
 		listItem.dataset.linkName = linkData.name;
 		listItem.dataset.linkUrl = linkData.url;
+		// Marketplace scope is stored as a comma-separated list of domains. Empty means "all marketplaces".
+		listItem.dataset.marketplaces = Array.isArray(linkData.marketplaces) ? linkData.marketplaces.join(',') : '';
+		if (linkData.shortcut) {
+			listItem.dataset.shortcut = linkData.shortcut; // Keyboard shortcut (predefined and custom links only).
+		}
+		if (linkData.condition) {
+			listItem.dataset.condition = JSON.stringify(linkData.condition); // Pages the link is shown on, as JSON.
+		}
+		if (linkData.icon) {
+			listItem.dataset.icon = linkData.icon; // Built-in icon id or emoji.
+		}
+		if (linkData.accent) {
+			listItem.dataset.accent = linkData.accent; // Accent style.
+		}
 
 		// Create the drag handle (☰ symbol).
 		const dragHandle = document.createElement('span');
@@ -174,8 +473,9 @@ document.addEventListener('DOMContentLoaded', () => {
 		checkbox.type = 'checkbox';
 		checkbox.checked = linkData.enabled; // Set the initial checked state based on link data.
 
-		// Create the span to display the link's name (and URL for custom links).
+		// Create the span to display the link's name (and URL for custom links). Its text is set by `updateLinkLabel`.
 		const nameSpan = document.createElement('span');
+		nameSpan.classList.add('link-label');
 
 		// Differentiate between predefined and custom links for specific attributes and display.
 		if (linkData.type === 'predefined') {
@@ -185,187 +485,1793 @@ document.addEventListener('DOMContentLoaded', () => {
 			}
 			checkbox.classList.add('predefined-link-toggle'); // Add class for specific styling or selection.
 			checkbox.dataset.linkId = linkData.id; // Also add linkId to checkbox for easier access if needed.
-			nameSpan.textContent = linkData.name; // Predefined links only show their name.
+			if (linkData.customName) {
+				listItem.dataset.customName = linkData.customName; // Display name chosen by the user.
+			}
+		} else if (linkData.type === 'group') {
+			listItem.classList.add('group-item');
+			listItem.dataset.linkId = linkData.id; // Groups have a generated unique ID.
+			checkbox.classList.add('group-link-toggle'); // Add class for specific styling or selection.
+		} else if (linkData.type === 'native') {
+			// One of Amazon's own items: unchecked hides it on Amazon pages.
+			listItem.classList.add('native-link');
+			checkbox.classList.add('native-link-toggle');
+			checkbox.title = ArinI18n.getMessage('nativeItemToggleTitle');
 		} else { // Custom link
 			checkbox.classList.add('custom-link-toggle'); // Add class for specific styling or selection.
-			nameSpan.textContent = `${linkData.name} (${linkData.url})`; // Custom links show "Name (URL)".
 		}
 
 		// Append the checkbox and name span to the list item.
 		listItem.appendChild(checkbox);
 		listItem.appendChild(nameSpan);
+		updateLinkLabel(listItem);
+
+		// Create the span showing how often the link was used. Its text is set by `updateLinkUsage`.
+		// Uses of Amazon's own items aren't counted.
+		if (linkData.type !== 'native') {
+			const usageSpan = document.createElement('span');
+			usageSpan.classList.add('link-usage');
+			listItem.appendChild(usageSpan);
+		}
+
+		// Add the marketplace scope editor (applies to both predefined and custom links).
+		listItem.appendChild(createMarketplaceScopeEditor(listItem));
+
+		// Add an "Edit" button to links (not groups, nor Amazon's own items): custom links can change their
+		// name and URL, predefined links can get a display name of their own.
+		if (linkData.type !== 'group' && linkData.type !== 'native') {
+			const editButton = document.createElement('button');
+			editButton.textContent = ArinI18n.getMessage('editButton');
+			editButton.classList.add('edit-link'); // Add class for styling and event delegation.
+			listItem.appendChild(editButton);
+		}
+
+		// Add a "Remove" button. Removed predefined links go back to the catalog and can be picked again,
+		// and so do Amazon's own items (which go back to where Amazon puts them).
+		// Removing a group keeps its links: they move back to the place of the group.
+		const removeButton = document.createElement('button');
+		removeButton.textContent = ArinI18n.getMessage('removeButton');
+		// Add class for styling and event delegation.
+		const removeButtonClasses = { predefined: 'remove-predefined-link', group: 'remove-group', native: 'remove-native-link' };
+		removeButton.classList.add(removeButtonClasses[linkData.type] || 'remove-custom-link');
+		listItem.appendChild(removeButton);
 
-		// If it's a custom link, add a "Remove" button.
-		if (linkData.type === 'custom') {
-			const removeButton = document.createElement('button');
-			removeButton.textContent = 'Remove';
-			removeButton.classList.add('remove-custom-link'); // Add class for styling and event delegation.
-			listItem.appendChild(removeButton);
+		// A group gets its own sortable list for its child links.
+		if (linkData.type === 'group') {
+			const childList = document.createElement('ul');
+			childList.classList.add('group-children');
+			listItem.appendChild(childList);
+			(linkData.children || []).forEach(childData => renderLinkItem(childData, childList));
+			makeSortable(childList, true);
 		}
+		updateLinkUsage(listItem);
 
-		// Add the fully constructed list item to the main list container in the DOM.
-		linksListContainer.appendChild(listItem);
+		// Add the fully constructed list item to the given list container in the DOM.
+		container.appendChild(listItem);
 	}
 
 	/**
-	 * Saves the current list of all links (as represented in the DOM) to Chrome's synchronized storage.
-	 * This function is called automatically after any modification to the links:
-	 * add, remove, reorder (drag-and-drop), or toggle enable/disable state.
-	 * @param {boolean} [showMessage=true] - Whether to display a status message (e.g., "Options saved!").
-	 *                                       Defaults to true. Set to false for silent saves (e.g., initial default save).
+	 * Returns the catalog name of a predefined link in the UI language. The stored name is the English
+	 * one (see catalog.js); it's shown only if the link's entry is no longer in the catalog.
+	 * @param {HTMLElement} listItem - The predefined link's <li> element.
+	 * @returns {string} The catalog name.
+	 */
+	function getCatalogName(listItem) {
+		const entry = ArinCatalog.getEntry(listItem.dataset.linkId);
+		return entry ? ArinCatalog.getName(entry) : listItem.dataset.linkName;
+	}
+
+	/**
+	 * Returns the name a link is shown with: the user's display name or the catalog name for
+	 * predefined links, the stored name for the others.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * @returns {string} The name.
+	 */
+	function getDisplayName(listItem) {
+		if (listItem.dataset.linkType !== 'predefined') return listItem.dataset.linkName;
+		return listItem.dataset.customName || getCatalogName(listItem);
+	}
+
+	/**
+	 * Sets the text of a list item's label from its data-* attributes.
+	 * Predefined links show their custom display name if they have one (with the catalog name as a tooltip),
+	 * custom links show "Name (URL)", groups show "Name (group)" and Amazon's own items "Name (Amazon item, path)".
+	 * Keyboard shortcuts and conditions are shown after the name.
+	 * @param {HTMLElement} listItem - The link's <li> element.
 	 * Side effects:
-	 *  - Reads link data from DOM elements.
-	 *  - Saves an array of link objects to `chrome.storage.sync`.
-	 *  - Calls `showStatusMessage` to provide user feedback (if `showMessage` is true).
+	 *  - Modifies the label <span> of the list item.
 	 */
-	function autoSaveAllLinks(showMessage = false) {
-		const newAllUserLinksArray = []; // Array to hold the link objects to be saved.
+	function updateLinkLabel(listItem) {
+		const nameSpan = listItem.querySelector(':scope > .link-label');
+		const { linkType, linkName, linkUrl, customName } = listItem.dataset;
+		nameSpan.title = '';
+		nameSpan.classList.toggle('renamed', !!customName);
+		if (linkType === 'predefined') {
+			nameSpan.textContent = getDisplayName(listItem);
+			if (customName) nameSpan.title = ArinI18n.getMessage('defaultNameTitle', getCatalogName(listItem));
+		} else if (linkType === 'group') {
+			nameSpan.textContent = ArinI18n.getMessage('groupItemLabel', linkName);
+		} else if (linkType === 'native') {
+			nameSpan.textContent = linkUrl ? ArinI18n.getMessage('nativeItemLabel', [linkName, linkUrl]) : ArinI18n.getMessage('nativeItemNoUrl', linkName);
+		} else {
+			nameSpan.textContent = ArinI18n.getMessage('linkWithUrl', [linkName, linkUrl]);
+		}
+		if (listItem.dataset.icon) {
+			nameSpan.prepend(ArinAppearance.createIconElement(listItem.dataset.icon));
+		}
+		if (listItem.dataset.shortcut) {
+			const shortcutElement = document.createElement('kbd');
+			shortcutElement.classList.add('link-shortcut');
+			shortcutElement.textContent = ArinShortcuts.formatShortcut(listItem.dataset.shortcut);
+			nameSpan.appendChild(shortcutElement);
+		}
+		const conditionText = ArinConditions.describeCondition({
+			url: linkType === 'custom' ? linkUrl : '',
+			condition: listItem.dataset.condition ? JSON.parse(listItem.dataset.condition) : undefined
+		});
+		if (conditionText) {
+			const conditionElement = document.createElement('span');
+			conditionElement.classList.add('link-condition');
+			conditionElement.textContent = ArinI18n.getMessage('conditionLabel', conditionText);
+			nameSpan.appendChild(conditionElement);
+		}
+	}
 
-		// Iterate over each list item (<li>) in the links container.
-		linksListContainer.querySelectorAll('li.link-item').forEach(listItem => {
-			// Retrieve link data stored in data-* attributes of the list item.
-			const type = listItem.dataset.linkType;
-			const name = listItem.dataset.linkName;
-			const url = listItem.dataset.linkUrl;
+	/**
+	 * Replaces the label of a link with an inline editor: name and URL inputs for custom links,
+	 * a display-name input (with a "Reset" button) for predefined links. Both get a keyboard shortcut
+	 * input, which records the keys pressed in it (Backspace clears it), and condition inputs: a path
+	 * pattern and one checkbox per kind of page data the link needs (see conditions.js). Last come the icon picker (a built-in
+	 * icon, or an emoji typed in after choosing "Emoji") and the accent style (see appearance.js).
+	 * Enter saves the edit, Escape cancels it.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * Side effects:
+	 *  - Hides the label and "Edit" button of the list item and inserts the editor after the label.
+	 */
+	function openLinkEditor(listItem) {
+		if (listItem.querySelector(':scope > .link-editor')) return; // Already editing.
+		const { linkType, linkName, linkUrl, customName } = listItem.dataset;
+		const catalogName = linkType === 'predefined' ? getCatalogName(listItem) : linkName;
 
-			let enabled = true; // Default 'enabled' state, especially for custom links.
+		const editor = document.createElement('div');
+		editor.classList.add('link-editor');
 
-			// Find the checkbox within this list item to get its 'enabled' state.
-			const checkbox = listItem.querySelector('input[type="checkbox"]');
-			if (checkbox) {
-				enabled = checkbox.checked;
-			}
+		const nameInput = document.createElement('input');
+		nameInput.type = 'text';
+		nameInput.classList.add('link-editor-name');
+		nameInput.setAttribute('aria-label', ArinI18n.getMessage(linkType === 'predefined' ? 'displayNameLabel' : 'linkNameInputLabel'));
+		if (linkType === 'predefined') {
+			nameInput.value = customName || catalogName;
+			nameInput.placeholder = catalogName;
+		} else {
+			nameInput.value = linkName;
+		}
+		editor.appendChild(nameInput);
 
-			// Construct the link object to be saved.
-			// Structure: { type, name, url, enabled, id (optional), originalIndex (optional) }
-			const linkData = { type, name, url, enabled };
+		if (linkType === 'custom') {
+			const urlInput = document.createElement('input');
+			urlInput.type = 'text';
+			urlInput.classList.add('link-editor-url');
+			urlInput.setAttribute('aria-label', ArinI18n.getMessage('linkUrlInputLabel'));
+			urlInput.value = linkUrl;
+			editor.appendChild(urlInput);
+		}
 
-			// If it's a predefined link, also save its 'id' and 'originalIndex'.
-			if (type === 'predefined') {
-				linkData.id = listItem.dataset.linkId;
-				if (listItem.dataset.originalIndex !== undefined) {
-					linkData.originalIndex = parseInt(listItem.dataset.originalIndex, 10);
-				}
+		const shortcutInput = document.createElement('input');
+		shortcutInput.type = 'text';
+		shortcutInput.classList.add('link-editor-shortcut');
+		shortcutInput.setAttribute('aria-label', ArinI18n.getMessage('shortcutInputLabel'));
+		shortcutInput.placeholder = ArinI18n.getMessage('shortcutPlaceholder');
+		shortcutInput.value = listItem.dataset.shortcut || '';
+		shortcutInput.addEventListener('keydown', (event) => {
+			// Enter and Escape go to the editor (save / cancel), Tab moves the focus as usual.
+			if (['Enter', 'Escape', 'Tab'].includes(event.key)) return;
+			event.preventDefault();
+			event.stopPropagation();
+			if (['Backspace', 'Delete'].includes(event.key)) {
+				shortcutInput.value = '';
+				return;
 			}
-			newAllUserLinksArray.push(linkData);
+			const shortcut = ArinShortcuts.fromKeyboardEvent(event);
+			if (shortcut) shortcutInput.value = shortcut;
 		});
+		editor.appendChild(shortcutInput);
 
-		// Save the newly constructed array of links to Chrome storage.
-		chrome.storage.sync.set({ [STORAGE_KEY]: newAllUserLinksArray }, () => {
-			// Callback function after the save operation.
-			if (chrome.runtime.lastError) {
-				// An error occurred during saving.
-				if (showMessage) {
-					showStatusMessage('Error saving options: ' + chrome.runtime.lastError.message, true);
-				}
-				console.error('ARIN Options: Error saving options:', chrome.runtime.lastError.message);
-			} else {
-				// Options saved successfully.
-				if (showMessage) {
-					showStatusMessage('Options saved automatically!', false);
-				}
-				console.log('ARIN Options: Options saved automatically.');
+		const condition = listItem.dataset.condition ? JSON.parse(listItem.dataset.condition) : {};
+		const pathInput = document.createElement('input');
+		pathInput.type = 'text';
+		pathInput.classList.add('link-editor-path');
+		pathInput.setAttribute('aria-label', ArinI18n.getMessage('pathPatternInputLabel'));
+		pathInput.placeholder = ArinI18n.getMessage('pathPatternPlaceholder');
+		pathInput.value = condition.pathPattern || '';
+		editor.appendChild(pathInput);
+
+		// A link can need several kinds of page data; none checked means any page.
+		const requiresGroup = document.createElement('div');
+		requiresGroup.classList.add('link-editor-requires');
+		requiresGroup.setAttribute('role', 'group');
+		requiresGroup.setAttribute('aria-label', ArinI18n.getMessage('requiresInputLabel'));
+		ArinConditions.PAGE_DATA.forEach(name => {
+			const label = document.createElement('label');
+			const requiresCheckbox = document.createElement('input');
+			requiresCheckbox.type = 'checkbox';
+			requiresCheckbox.value = name;
+			requiresCheckbox.checked = (condition.requires || []).includes(name);
+			label.appendChild(requiresCheckbox);
+			label.appendChild(document.createTextNode(ArinI18n.getMessage('requiresOption', ArinConditions.getPageDataLabel(name))));
+			requiresGroup.appendChild(label);
+		});
+		editor.appendChild(requiresGroup);
+
+		// The icon is picked from the built-in set, or typed as an emoji after choosing "Emoji".
+		const iconSelect = document.createElement('select');
+		iconSelect.classList.add('link-editor-icon');
+		iconSelect.setAttribute('aria-label', ArinI18n.getMessage('iconInputLabel'));
+		[['', ArinI18n.getMessage('iconNone')],
+			...Object.keys(ArinAppearance.ICONS).map(id => [id, ArinI18n.getMessage(ArinAppearance.ICONS[id].label)]),
+			[EMOJI_ICON_OPTION, ArinI18n.getMessage('iconEmoji')]]
+			.forEach(([value, text]) => {
+				const option = document.createElement('option');
+				option.value = value;
+				option.textContent = text;
+				iconSelect.appendChild(option);
+			});
+		const icon = listItem.dataset.icon || '';
+		iconSelect.value = icon && !ArinAppearance.isBuiltInIcon(icon) ? EMOJI_ICON_OPTION : icon;
+		editor.appendChild(iconSelect);
+
+		const emojiInput = document.createElement('input');
+		emojiInput.type = 'text';
+		emojiInput.classList.add('link-editor-emoji');
+		emojiInput.setAttribute('aria-label', ArinI18n.getMessage('emojiInputLabel'));
+		emojiInput.placeholder = ArinI18n.getMessage('emojiPlaceholder');
+		emojiInput.value = iconSelect.value === EMOJI_ICON_OPTION ? icon : '';
+		emojiInput.hidden = iconSelect.value !== EMOJI_ICON_OPTION;
+		iconSelect.addEventListener('change', () => {
+			emojiInput.hidden = iconSelect.value !== EMOJI_ICON_OPTION;
+			if (!emojiInput.hidden) emojiInput.focus();
+		});
+		editor.appendChild(emojiInput);
+
+		const accentSelect = document.createElement('select');
+		accentSelect.classList.add('link-editor-accent');
+		accentSelect.setAttribute('aria-label', ArinI18n.getMessage('accentInputLabel'));
+		[['', ArinI18n.getMessage('accentNone')],
+			...ArinAppearance.ACCENTS.map(accent => [accent, ArinI18n.getMessage(ArinAppearance.ACCENT_LABELS[accent])])]
+			.forEach(([value, text]) => {
+				const option = document.createElement('option');
+				option.value = value;
+				option.textContent = text;
+				accentSelect.appendChild(option);
+			});
+		accentSelect.value = listItem.dataset.accent || '';
+		editor.appendChild(accentSelect);
+
+		const saveButton = document.createElement('button');
+		saveButton.textContent = ArinI18n.getMessage('saveButton');
+		saveButton.classList.add('save-link-edit');
+		editor.appendChild(saveButton);
+
+		const cancelButton = document.createElement('button');
+		cancelButton.textContent = ArinI18n.getMessage('cancelButton');
+		cancelButton.classList.add('cancel-link-edit', 'secondary-button');
+		editor.appendChild(cancelButton);
+
+		if (linkType === 'predefined') {
+			const resetButton = document.createElement('button');
+			resetButton.textContent = ArinI18n.getMessage('resetButton');
+			resetButton.title = ArinI18n.getMessage('resetNameTitle', catalogName);
+			resetButton.classList.add('reset-link-name', 'secondary-button');
+			resetButton.disabled = !customName;
+			editor.appendChild(resetButton);
+		}
+
+		// Validation errors are shown here, below the inputs.
+		const errorElement = document.createElement('span');
+		errorElement.classList.add('link-editor-error');
+		errorElement.setAttribute('role', 'alert');
+		editor.appendChild(errorElement);
+
+		editor.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				saveLinkEdit(listItem);
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				closeLinkEditor(listItem);
 			}
 		});
+
+		const nameSpan = listItem.querySelector(':scope > .link-label');
+		nameSpan.hidden = true;
+		listItem.querySelector(':scope > .edit-link').hidden = true;
+		nameSpan.after(editor);
+		nameInput.focus();
+		nameInput.select();
 	}
 
 	/**
-	 * Handles the "Add Link" button click event.
-	 * Creates a new custom link object from user input, renders it in the list,
-	 * and triggers an auto-save.
+	 * Removes the inline editor of a link, discarding unsaved input, and shows its label again.
+	 * @param {HTMLElement} listItem - The link's <li> element.
 	 * Side effects:
-	 *  - Reads values from input fields.
-	 *  - Calls `renderLinkItem` to modify the DOM.
+	 *  - Modifies the DOM of the list item.
+	 */
+	function closeLinkEditor(listItem) {
+		const editor = listItem.querySelector(':scope > .link-editor');
+		if (editor) editor.remove();
+		listItem.querySelector(':scope > .link-label').hidden = false;
+		listItem.querySelector(':scope > .edit-link').hidden = false;
+	}
+
+	/**
+	 * Validates and applies the input of a link's inline editor, then triggers an auto-save.
+	 * The item stays where it is, so the order of the links is kept.
+	 * For predefined links, a name equal to the catalog name removes the override.
+	 * A keyboard shortcut must be valid (see shortcuts.js) and not used by another link, and a
+	 * condition (see conditions.js) and an emoji icon (see appearance.js) must be valid.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * Side effects:
+	 *  - Shows a validation error in the editor, or updates the item's data-* attributes and label.
 	 *  - Calls `autoSaveAllLinks` to save to Chrome storage.
-	 *  - Clears input fields.
 	 */
-	function handleAddLink() {
-		// Get the name and URL from the input fields, trimming whitespace.
-		const name = linkNameInput.value.trim();
-		const url = linkUrlInput.value.trim();
+	function saveLinkEdit(listItem) {
+		const editor = listItem.querySelector(':scope > .link-editor');
+		const errorElement = editor.querySelector('.link-editor-error');
+		const name = editor.querySelector('.link-editor-name').value.trim();
 
-		// Basic validation: ensure name and URL are not empty.
-		if (!name || !url) {
-			alert("Link name and URL cannot be empty."); // Simple alert for validation.
-			return; // Stop further execution.
+		// Check the shortcut first, so that nothing is changed if it's rejected.
+		let shortcut = editor.querySelector('.link-editor-shortcut').value.trim();
+		if (shortcut) {
+			try {
+				shortcut = ArinShortcuts.normalizeShortcut(shortcut);
+			} catch (error) {
+				errorElement.textContent = error.message;
+				return;
+			}
+			const otherItem = [...linksListContainer.querySelectorAll('li.link-item')]
+				.find(item => item !== listItem && item.dataset.shortcut === shortcut);
+			if (otherItem) {
+				errorElement.textContent = ArinI18n.getMessage('shortcutTaken', [shortcut, getDisplayName(otherItem)]);
+				return;
+			}
 		}
 
-		// Create the data object for the new custom link.
-		// Custom links are always of type "custom" and default to enabled: true.
-		const customLinkData = {
-			type: "custom",
-			name: name,
-			url: url,
-			enabled: true
-		};
+		// Build the condition from the path pattern and the required page data. Empty inputs mean "any page".
+		const condition = {};
+		const pathPattern = editor.querySelector('.link-editor-path').value.trim();
+		const required = [...editor.querySelectorAll('.link-editor-requires input:checked')].map(checkbox => checkbox.value);
+		if (pathPattern) condition.pathPattern = pathPattern;
+		if (required.length > 0) condition.requires = required;
+		const hasCondition = Object.keys(condition).length > 0;
+		if (hasCondition) {
+			try {
+				ArinConditions.validateCondition(condition);
+			} catch (error) {
+				errorElement.textContent = error.message;
+				return;
+			}
+		}
 
-		// Render the new link item in the DOM.
-		renderLinkItem(customLinkData);
+		// The icon is a built-in icon id or the typed emoji (no emoji means no icon).
+		const iconChoice = editor.querySelector('.link-editor-icon').value;
+		const icon = iconChoice === EMOJI_ICON_OPTION ? editor.querySelector('.link-editor-emoji').value.trim() : iconChoice;
+		if (icon) {
+			try {
+				ArinAppearance.validateIcon(icon);
+			} catch (error) {
+				errorElement.textContent = error.message;
+				return;
+			}
+		}
+		const accent = editor.querySelector('.link-editor-accent').value;
 
-		// Auto-save all links, including the newly added one.
-		autoSaveAllLinks(false);
+		if (listItem.dataset.linkType === 'predefined') {
+			if (!name) {
+				errorElement.textContent = ArinI18n.getMessage('emptyDisplayName');
+				return;
+			}
+			if (name === getCatalogName(listItem)) {
+				delete listItem.dataset.customName;
+			} else {
+				listItem.dataset.customName = name;
+			}
+		} else {
+			let url = editor.querySelector('.link-editor-url').value.trim();
+			// Apply the same rules as the stored configuration (see storage.js), then normalize the URL (see urls.js).
+			try {
+				ArinStorage.validateLink({ type: 'custom', name, url }, ArinI18n.getMessage('editedLinkPath'), false);
+				url = ArinUrls.normalizeUrl(url);
+			} catch (error) {
+				errorElement.textContent = error.message;
+				return;
+			}
+			listItem.dataset.linkName = name;
+			listItem.dataset.linkUrl = url;
+		}
 
-		// Clear the input fields for the next entry.
-		linkNameInput.value = '';
-		linkUrlInput.value = '';
+		if (shortcut) {
+			listItem.dataset.shortcut = shortcut;
+		} else {
+			delete listItem.dataset.shortcut;
+		}
+		if (hasCondition) {
+			listItem.dataset.condition = JSON.stringify(condition);
+		} else {
+			delete listItem.dataset.condition;
+		}
+		if (icon) {
+			listItem.dataset.icon = icon;
+		} else {
+			delete listItem.dataset.icon;
+		}
+		if (accent) {
+			listItem.dataset.accent = accent;
+		} else {
+			delete listItem.dataset.accent;
+		}
+		closeLinkEditor(listItem);
+		updateLinkLabel(listItem);
+		autoSaveAllLinks(true);
 	}
 
 	/**
-	 * Displays a status message to the user.
-	 * The message disappears automatically after a set duration, unless duration is 0.
-	 * @param {string} message - The text of the message to display.
-	 * @param {boolean} [isError=false] - If true, styles the message as an error (e.g., red text).
-	 * @param {number} [duration=3000] - How long to display the message in milliseconds.
-	 *                                    If 0, the message will be persistent until cleared manually or by another message.
+	 * Removes the display-name override of a predefined link, going back to the catalog name,
+	 * and triggers an auto-save.
+	 * @param {HTMLElement} listItem - The predefined link's <li> element.
 	 * Side effects:
-	 *  - Modifies the content and style of `statusMessageElement`.
+	 *  - Modifies the item's data-* attributes and label, and calls `autoSaveAllLinks`.
 	 */
-	function showStatusMessage(message, isError = false, duration = 3000) {
-		// If the status message element doesn't exist for some reason, do nothing.
-		if (!statusMessageElement) return;
+	function resetLinkName(listItem) {
+		delete listItem.dataset.customName;
+		closeLinkEditor(listItem);
+		updateLinkLabel(listItem);
+		autoSaveAllLinks(true);
+	}
 
-		statusMessageElement.textContent = message; // Set the message text.
-		statusMessageElement.style.color = isError ? 'red' : 'green'; // Set color based on error status.
-		statusMessageElement.hidden = false; // Make the message visible.
+	/**
+	 * Removes a group from the list, moving its child links to the place where the group was.
+	 * @param {HTMLElement} groupItem - The group's <li> element.
+	 * Side effects:
+	 *  - Modifies the DOM of `linksListContainer`.
+	 */
+	function removeGroup(groupItem) {
+		groupItem.querySelectorAll(':scope > ul.group-children > li.link-item').forEach(childItem => {
+			groupItem.parentElement.insertBefore(childItem, groupItem);
+		});
+		groupItem.remove();
+	}
 
-		// If a duration is specified (greater than 0), set a timeout to hide the message.
-		if (duration > 0) {
-			setTimeout(() => {
-				statusMessageElement.textContent = ''; // Clear the text.
-				statusMessageElement.hidden = true;  // Hide the element.
-			}, duration);
+	/**
+	 * Renders the catalog of predefined destinations (see catalog.js) into `catalogListContainer`.
+	 * Entries that are already in the links list are shown with a disabled "Added" button.
+	 * Side effects:
+	 *  - Clears and repopulates `catalogListContainer`.
+	 */
+	function renderCatalog() {
+		catalogListContainer.innerHTML = '';
+
+		// Collect the ids of the predefined links currently in the list.
+		const addedIds = [...linksListContainer.querySelectorAll('li.link-item[data-link-type="predefined"]')]
+			.map(listItem => listItem.dataset.linkId);
+
+		ArinCatalog.ENTRIES.forEach(entry => {
+			const catalogItem = document.createElement('li');
+			catalogItem.classList.add('catalog-item');
+			catalogItem.dataset.catalogId = entry.id;
+
+			const nameSpan = document.createElement('span');
+			nameSpan.textContent = ArinI18n.getMessage('linkWithUrl', [ArinCatalog.getName(entry), entry.url]);
+			catalogItem.appendChild(nameSpan);
+
+			const addButton = document.createElement('button');
+			addButton.classList.add('add-catalog-link'); // Add class for styling and event delegation.
+			if (addedIds.includes(entry.id)) {
+				addButton.textContent = ArinI18n.getMessage('catalogAddedButton');
+				addButton.disabled = true;
+			} else {
+				addButton.textContent = ArinI18n.getMessage('catalogAddButton');
+			}
+			catalogItem.appendChild(addButton);
+
+			catalogListContainer.appendChild(catalogItem);
+		});
+	}
+
+	/**
+	 * Adds a predefined destination from the catalog to the links list and triggers an auto-save.
+	 * @param {string} id - The catalog entry id.
+	 * Side effects:
+	 *  - Calls `renderLinkItem` to modify the DOM and re-renders the catalog.
+	 *  - Calls `autoSaveAllLinks` to save to Chrome storage.
+	 */
+	function handleAddCatalogLink(id) {
+		const linkData = ArinCatalog.createLink(id);
+		if (!linkData) return;
+
+		// If the list is currently filtered to a marketplace, scope the new link to that marketplace.
+		if (marketplaceFilterSelect.value) {
+			linkData.marketplaces = [marketplaceFilterSelect.value];
 		}
+
+		renderLinkItem(linkData);
+		renderCatalog();
+		autoSaveAllLinks(false);
 	}
 
-	// --- Event Listeners ---
+	/**
+	 * Lists Amazon's own nav items as last seen on Amazon pages: those of the marketplace selected in the
+	 * filter, or else those of every marketplace (an item seen on several marketplaces is listed once).
+	 * @returns {Array<object>} The items: { item, domain, lastSeen }, in Amazon's order per marketplace.
+	 */
+	function listSeenNativeItems() {
+		const filterDomain = marketplaceFilterSelect.value;
+		const domains = filterDomain ? [filterDomain] : Object.keys(seenNativeItems).sort();
+		const entries = [];
+		domains.filter(domain => seenNativeItems[domain]).forEach(domain => {
+			const { items, lastSeen } = seenNativeItems[domain];
+			items.forEach(item => {
+				if (ArinNativeItems.findItem(item, entries.map(entry => entry.item)) === -1) entries.push({ item, domain, lastSeen });
+			});
+		});
+		return entries;
+	}
 
-	// Listen for clicks on the "Add Link" button.
-	addLinkButton.addEventListener('click', handleAddLink);
+	/**
+	 * Checks whether one of Amazon's items is in the links list already.
+	 * @param {object} item - The item ({ name, url }).
+	 * @returns {boolean} True if one of the native links in the list stands for the item.
+	 */
+	function isNativeItemAdded(item) {
+		return collectAllLinks().some(link => link.type === 'native' && ArinNativeItems.findItem(link, [item]) !== -1);
+	}
 
-	// The manual save button and its listener were removed.
-	// saveOptionsButton.addEventListener('click', saveOptions);
+	/**
+	 * Renders Amazon's own nav items (see `listSeenNativeItems`) into `nativeItemsListContainer`.
+	 * Items that are already in the links list are shown with a disabled "Added" button.
+	 * Side effects:
+	 *  - Clears and repopulates `nativeItemsListContainer`, and enables "Add All" if there's anything to add.
+	 */
+	function renderNativeItems() {
+		if (!nativeItemsListContainer) return;
+		nativeItemsListContainer.innerHTML = '';
+		addAllNativeItemsButton.disabled = true;
 
-	// Use event delegation on the links list container for handling clicks on dynamic elements
-	// (remove buttons and checkboxes for individual links).
-	// This is more efficient than adding an event listener to each button/checkbox.
-	linksListContainer.addEventListener('click', (event) => {
-		// Check if the clicked element is a "Remove" button for a custom link.
-		if (event.target.classList.contains('remove-custom-link')) {
-			// Find the closest parent <li> element and remove it from the DOM.
-			event.target.closest('li.link-item').remove();
-			autoSaveAllLinks(false); // Auto-save after removing a link.
+		const entries = listSeenNativeItems();
+		if (entries.length === 0) {
+			const emptyItem = document.createElement('li');
+			emptyItem.classList.add('native-items-empty');
+			emptyItem.textContent = ArinI18n.getMessage('nativeItemsNone');
+			nativeItemsListContainer.appendChild(emptyItem);
+			return;
 		}
-		// Check if the clicked element is a checkbox for enabling/disabling a link.
-		// This selector matches checkboxes for both predefined and custom links.
-		else if (event.target.matches('.predefined-link-toggle, .custom-link-toggle')) {
-			// The checkbox state is visually updated by the browser automatically.
-			// We just need to auto-save the new state.
+
+		entries.forEach(({ item, domain, lastSeen }, index) => {
+			const nativeItem = document.createElement('li');
+			nativeItem.classList.add('native-item');
+			nativeItem.dataset.index = index;
+
+			const nameSpan = document.createElement('span');
+			const itemText = item.url ? ArinI18n.getMessage('linkWithUrl', [item.name, item.url]) : item.name;
+			nameSpan.textContent = ArinI18n.getMessage('nativeItemSeen',
+				[itemText, domain, new Date(lastSeen).toLocaleDateString(ArinI18n.getUILanguage())]);
+			nativeItem.appendChild(nameSpan);
+
+			const addButton = document.createElement('button');
+			addButton.classList.add('add-native-item'); // Add class for styling and event delegation.
+			if (isNativeItemAdded(item)) {
+				addButton.textContent = ArinI18n.getMessage('catalogAddedButton');
+				addButton.disabled = true;
+			} else {
+				addButton.textContent = ArinI18n.getMessage('catalogAddButton');
+				addAllNativeItemsButton.disabled = false;
+			}
+			nativeItem.appendChild(addButton);
+
+			nativeItemsListContainer.appendChild(nativeItem);
+		});
+	}
+
+	/**
+	 * Adds some of Amazon's listed items to the end of the links list, in Amazon's order, and triggers
+	 * an auto-save. Items that are already in the list are skipped.
+	 * @param {Array<number>|null} indexes - Indexes of the items (see `listSeenNativeItems`), or null for all of them.
+	 * Side effects:
+	 *  - Calls `renderLinkItem` to modify the DOM and re-renders the list of Amazon's items.
+	 *  - Calls `autoSaveAllLinks` to save to Chrome storage.
+	 */
+	function handleAddNativeItems(indexes) {
+		let added = false;
+		listSeenNativeItems().forEach(({ item }, index) => {
+			if ((indexes && !indexes.includes(index)) || isNativeItemAdded(item)) return;
+
+			const linkData = ArinNativeItems.createLink(item);
+			// If the list is currently filtered to a marketplace, scope the item to that marketplace.
+			if (marketplaceFilterSelect.value) {
+				linkData.marketplaces = [marketplaceFilterSelect.value];
+			}
+			renderLinkItem(linkData);
+			added = true;
+		});
+		if (!added) return;
+		renderNativeItems();
+		autoSaveAllLinks(false);
+	}
+
+	/**
+	 * Loads Amazon's own nav items recorded on Amazon pages and lists them.
+	 * Side effects:
+	 *  - Updates `seenNativeItems` and calls `renderNativeItems`.
+	 */
+	function loadNativeItems() {
+		ArinNativeItems.loadSeenItems((items) => {
+			seenNativeItems = items;
+			renderNativeItems();
+		});
+	}
+
+	/**
+	 * Reads the marketplace scope of a list item from its `data-marketplaces` attribute.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * @returns {Array<string>} The list of domains the link is scoped to. Empty means all marketplaces.
+	 */
+	function getItemMarketplaces(listItem) {
+		return listItem.dataset.marketplaces ? listItem.dataset.marketplaces.split(',') : [];
+	}
+
+	/**
+	 * Names a marketplace for lists, e.g. "Germany (amazon.de)", with the country name in the UI language.
+	 * @param {object} marketplace - An entry of amazon-domains.json.
+	 * @returns {string} The country name and domain.
+	 */
+	function describeMarketplace(marketplace) {
+		return ArinI18n.getMessage('marketplaceOption', [ArinI18n.getCountryName(marketplace), marketplace.amazon_domain]);
+	}
+
+	/**
+	 * Builds the summary text for a marketplace scope (e.g. "All marketplaces", "Germany, Japan").
+	 * @param {Array<string>} domains - The list of domains the link is scoped to.
+	 * @returns {string} A short human-readable description of the scope.
+	 */
+	function describeMarketplaceScope(domains) {
+		if (domains.length === 0) return ArinI18n.getMessage('allMarketplaces');
+		if (domains.length > 3) return ArinI18n.getMessage('marketplaceCount', domains.length);
+		return domains.map(domain => {
+			const marketplace = marketplaces.find(entry => entry.amazon_domain === domain);
+			return marketplace ? ArinI18n.getCountryName(marketplace) : domain;
+		}).join(', ');
+	}
+
+	/**
+	 * Creates the collapsible marketplace scope editor for a link item.
+	 * The editor lists one checkbox per marketplace. Leaving all boxes unchecked scopes the link
+	 * to all marketplaces.
+	 * @param {HTMLElement} listItem - The link's <li> element. Its `data-marketplaces` attribute
+	 *                                 provides the initial state.
+	 * @returns {HTMLElement} A <details> element to append to the list item.
+	 */
+	function createMarketplaceScopeEditor(listItem) {
+		const selectedDomains = getItemMarketplaces(listItem);
+
+		const details = document.createElement('details');
+		details.classList.add('marketplace-scope');
+
+		const summary = document.createElement('summary');
+		summary.textContent = describeMarketplaceScope(selectedDomains);
+		details.appendChild(summary);
+
+		const optionsContainer = document.createElement('div');
+		optionsContainer.classList.add('marketplace-scope-options');
+		marketplaces.forEach(marketplace => {
+			const label = document.createElement('label');
+			const scopeCheckbox = document.createElement('input');
+			scopeCheckbox.type = 'checkbox';
+			scopeCheckbox.classList.add('marketplace-scope-toggle'); // Used for event delegation.
+			scopeCheckbox.value = marketplace.amazon_domain;
+			scopeCheckbox.checked = selectedDomains.includes(marketplace.amazon_domain);
+			label.appendChild(scopeCheckbox);
+			label.appendChild(document.createTextNode(describeMarketplace(marketplace)));
+			optionsContainer.appendChild(label);
+		});
+		details.appendChild(optionsContainer);
+
+		return details;
+	}
+
+	/**
+	 * Updates a list item's marketplace scope from the state of its scope checkboxes.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * Side effects:
+	 *  - Updates the item's `data-marketplaces` attribute and the scope summary text.
+	 */
+	function updateItemMarketplaces(listItem) {
+		// Only look at the item's own scope editor, not those of a group's child links.
+		const scopeEditor = listItem.querySelector(':scope > .marketplace-scope');
+		const domains = [...scopeEditor.querySelectorAll('.marketplace-scope-toggle:checked')].map(box => box.value);
+		listItem.dataset.marketplaces = domains.join(',');
+		scopeEditor.querySelector('summary').textContent = describeMarketplaceScope(domains);
+	}
+
+	/**
+	 * Shows only the links that apply to the marketplace selected in `marketplaceFilterSelect`.
+	 * Hidden links stay in the DOM so that saving keeps them (and their position) intact.
+	 * Side effects:
+	 *  - Toggles the `hidden` property of the list items.
+	 */
+	function applyMarketplaceFilter() {
+		const domain = marketplaceFilterSelect.value;
+		linksListContainer.querySelectorAll('li.link-item').forEach(listItem => {
+			listItem.hidden = domain !== '' && !ArinMarketplaces.isLinkInMarketplace({ marketplaces: getItemMarketplaces(listItem) }, domain);
+		});
+	}
+
+	/**
+	 * Reads the data of a link from its list item (<li> element), as stored in its data-* attributes.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * @returns {object} The link object to be saved.
+	 *                   Structure: { type, name, url, enabled, marketplaces (optional), id (optional),
+	 *                   originalIndex (optional), children (groups only) }
+	 */
+	function readLinkItem(listItem) {
+		// Retrieve link data stored in data-* attributes of the list item.
+		const type = listItem.dataset.linkType;
+		const name = listItem.dataset.linkName;
+		const url = listItem.dataset.linkUrl;
+
+		let enabled = true; // Default 'enabled' state, especially for custom links.
+
+		// Find the checkbox of this list item (not of a group's child links) to get its 'enabled' state.
+		const checkbox = listItem.querySelector(':scope > input[type="checkbox"]');
+		if (checkbox) {
+			enabled = checkbox.checked;
+		}
+
+		// Construct the link object to be saved.
+		// Groups have no URL of their own; they hold their child links instead.
+		const linkData = type === 'group' ? { type, name, enabled } : { type, name, url, enabled };
+
+		// Only store a condition if the link is conditional.
+		if (listItem.dataset.condition) {
+			linkData.condition = JSON.parse(listItem.dataset.condition);
+		}
+
+		// Only store a keyboard shortcut if the link has one (groups can't have one).
+		if (type !== 'group' && listItem.dataset.shortcut) {
+			linkData.shortcut = listItem.dataset.shortcut;
+		}
+
+		// Only store an icon and an accent style if the link has them.
+		if (listItem.dataset.icon) {
+			linkData.icon = listItem.dataset.icon;
+		}
+		if (listItem.dataset.accent) {
+			linkData.accent = listItem.dataset.accent;
+		}
+
+		// Only store a marketplace scope if the link is restricted to specific marketplaces.
+		const scopedMarketplaces = getItemMarketplaces(listItem);
+		if (scopedMarketplaces.length > 0) {
+			linkData.marketplaces = scopedMarketplaces;
+		}
+
+		// If it's a predefined link, also save its 'id', 'originalIndex' and display-name override.
+		if (type === 'predefined') {
+			linkData.id = listItem.dataset.linkId;
+			if (listItem.dataset.originalIndex !== undefined) {
+				linkData.originalIndex = parseInt(listItem.dataset.originalIndex, 10);
+			}
+			if (listItem.dataset.customName) {
+				linkData.customName = listItem.dataset.customName;
+			}
+		}
+
+		// If it's a group, save its 'id' and its child links, in order.
+		if (type === 'group') {
+			linkData.id = listItem.dataset.linkId;
+			linkData.children = [...listItem.querySelectorAll(':scope > ul.group-children > li.link-item')].map(readLinkItem);
+		}
+		return linkData;
+	}
+
+	/**
+	 * Reads the full link configuration from the DOM, in order.
+	 * @returns {Array<object>} The link objects, as they would be saved.
+	 */
+	function collectAllLinks() {
+		// Read the top-level list items in order. Groups read their own child items (see `readLinkItem`).
+		return [...linksListContainer.querySelectorAll(':scope > li.link-item')].map(readLinkItem);
+	}
+
+	/**
+	 * Saves the current list of all links (as represented in the DOM) to Chrome's synchronized storage,
+	 * as the links of the active profile.
+	 * This function is called automatically after any modification to the links:
+	 * add, remove, reorder (drag-and-drop), or toggle enable/disable state.
+	 * @param {boolean} [showMessage=true] - Whether to display a status message (e.g., "Options saved!").
+	 *                                       Defaults to true. Set to false for silent saves (e.g., initial default save).
+	 * Side effects:
+	 *  - Reads link data from DOM elements, and records the change for undo (see `recordChange`).
+	 *  - Saves an array of link objects to `chrome.storage.sync` (or `chrome.storage.local`, see storage.js).
+	 *  - Always shows a message if the links could not be saved, or were only saved on this device.
+	 *  - Calls `showStatusMessage` to provide user feedback (if `showMessage` is true).
+	 */
+	function autoSaveAllLinks(showMessage = false) {
+		const newAllUserLinksArray = collectAllLinks();
+		recordChange(newAllUserLinksArray);
+		renderHeaderPreview();
+		renderUsage();
+
+		// Save the newly constructed array of links to Chrome storage (see storage.js).
+		ArinStorage.saveLinks(activeProfileId, newAllUserLinksArray, (error, saveInfo) => {
+			// Callback function after the save operation.
+			if (error) {
+				// An error occurred during saving. Always tell the user: their changes are not stored.
+				showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+				console.error('ARIN Options: Error saving options:', error);
+			} else if (saveInfo.area === 'local') {
+				// Saved, but only on this device. Always tell the user, since the links won't sync.
+				showStatusMessage(ArinI18n.getMessage('savedLocally', saveInfo.reason), true, 6000);
+				console.warn('ARIN Options: Options saved to local storage:', saveInfo.reason);
+			} else {
+				// Options saved successfully.
+				if (showMessage) {
+					showStatusMessage(ArinI18n.getMessage('savedAutomatically'), false);
+				}
+				console.log('ARIN Options: Options saved automatically.');
+			}
+			updateStorageStatus();
+		});
+	}
+
+	/**
+	 * Records a change of the links for undo: the links as saved before go on the undo stack, and
+	 * whatever was undone before can no longer be redone. The first change after the page was opened
+	 * also keeps the links as they were in the history (see history.js).
+	 * @param {Array<object>} links - The links about to be saved.
+	 * Side effects:
+	 *  - Updates `savedLinks` and the undo and redo stacks, and hides the notice of an earlier change.
+	 */
+	function recordChange(links) {
+		if (savedLinks === null || JSON.stringify(links) === JSON.stringify(savedLinks)) {
+			// Nothing changed, e.g. the links were saved again after an undo.
+			savedLinks = links;
+			return;
+		}
+		if (!snapshotKept) keepSnapshot('edit');
+		undoStack.push(savedLinks);
+		if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+		redoStack.length = 0;
+		savedLinks = links;
+		hideToast(); // Its Undo button would now undo this change instead.
+		updateUndoButtons();
+	}
+
+	/**
+	 * Enables the Undo and Redo buttons if there is something to undo or redo.
+	 */
+	function updateUndoButtons() {
+		if (!undoButton) return;
+		undoButton.disabled = undoStack.length === 0;
+		redoButton.disabled = redoStack.length === 0;
+	}
+
+	/**
+	 * Lists the given version of the links and saves it, without recording it as a new change.
+	 * @param {Array<object>} links - The links, as collected from the list.
+	 * Side effects:
+	 *  - Discards a previewed import, re-renders the links list and calls `autoSaveAllLinks`.
+	 */
+	function restoreLinks(links) {
+		cancelImport(); // A previewed import was computed against the previous list.
+		savedLinks = links;
+		renderAllLinks(links);
+		autoSaveAllLinks(false);
+		updateUndoButtons();
+	}
+
+	/**
+	 * Undoes the last change to the links, and shows a notice with a Redo button.
+	 */
+	function undoChange() {
+		if (undoStack.length === 0) return;
+		redoStack.push(savedLinks);
+		restoreLinks(undoStack.pop());
+		showToast(ArinI18n.getMessage('toastChangeUndone'), 'redoButton', redoChange);
+	}
+
+	/**
+	 * Redoes the last undone change to the links, and shows a notice with an Undo button.
+	 */
+	function redoChange() {
+		if (redoStack.length === 0) return;
+		undoStack.push(savedLinks);
+		restoreLinks(redoStack.pop());
+		showToast(ArinI18n.getMessage('toastChangeRedone'), 'undoButton', undoChange);
+	}
+
+	/**
+	 * Undoes or redoes a change when its hotkey is pressed. Text fields keep their own undo.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 */
+	function handleUndoShortcut(event) {
+		if (ArinShortcuts.isEditableTarget(event.target)) return;
+		const shortcut = ArinShortcuts.fromKeyboardEvent(event);
+		if (UNDO_SHORTCUTS.includes(shortcut)) {
+			event.preventDefault();
+			undoChange();
+		} else if (REDO_SHORTCUTS.includes(shortcut)) {
+			event.preventDefault();
+			redoChange();
+		}
+	}
+
+	/**
+	 * Keeps the links as last saved in the history (see history.js), before they're changed.
+	 * @param {string} reason - Why they're kept: 'edit', 'import', 'reset' or 'restore'.
+	 * Side effects:
+	 *  - Writes the snapshot to chrome.storage.local (see `ArinHistory.recordSnapshot`).
+	 */
+	function keepSnapshot(reason) {
+		if (savedLinks === null) return;
+		snapshotKept = true;
+		ArinHistory.recordSnapshot(activeProfileId, savedLinks, reason, (error) => {
+			if (error) console.error('ARIN Options: Error keeping an earlier version of the links:', error);
+		});
+	}
+
+	/**
+	 * Formats the time a snapshot was kept, in the UI language.
+	 * @param {object} snapshot - A snapshot (see history.js).
+	 * @returns {string} The date and time.
+	 */
+	function formatSnapshotDate(snapshot) {
+		return new Date(snapshot.savedAt).toLocaleString(ArinI18n.getUILanguage());
+	}
+
+	/**
+	 * Lists the earlier versions of the active profile's links, newest first, each with a "Restore" button.
+	 * Side effects:
+	 *  - Clears and repopulates `historyListContainer`.
+	 */
+	function renderHistory() {
+		if (!historyListContainer) return;
+		historyListContainer.innerHTML = '';
+		let listed = 0;
+		snapshots.forEach((snapshot, index) => {
+			if (snapshot.profileId !== activeProfileId) return;
+			const historyItem = document.createElement('li');
+			historyItem.classList.add('history-item');
+			historyItem.dataset.index = index;
+
+			const labelSpan = document.createElement('span');
+			labelSpan.textContent = ArinI18n.getMessage('historySnapshotLabel',
+				[formatSnapshotDate(snapshot), ArinI18n.getMessage(ArinHistory.getReasonLabel(snapshot)), snapshot.links.length]);
+			historyItem.appendChild(labelSpan);
+
+			const restoreButton = document.createElement('button');
+			restoreButton.classList.add('restore-snapshot', 'secondary-button'); // Add class for styling and event delegation.
+			restoreButton.textContent = ArinI18n.getMessage('restoreSnapshotButton');
+			historyItem.appendChild(restoreButton);
+
+			historyListContainer.appendChild(historyItem);
+			listed++;
+		});
+		if (listed === 0) {
+			const emptyItem = document.createElement('li');
+			emptyItem.classList.add('history-empty');
+			emptyItem.textContent = ArinI18n.getMessage('historyNone');
+			historyListContainer.appendChild(emptyItem);
+		}
+	}
+
+	/**
+	 * Loads the earlier versions of the links kept on this device and lists them.
+	 * Side effects:
+	 *  - Updates `snapshots` and calls `renderHistory`.
+	 */
+	function loadHistory() {
+		ArinHistory.loadSnapshots((loadedSnapshots) => {
+			snapshots = loadedSnapshots;
+			renderHistory();
+		});
+	}
+
+	/**
+	 * Replaces the links of the active profile with an earlier version, keeping the current links in
+	 * the history first. The change can be undone like any other.
+	 * @param {number} index - The index of the snapshot in `snapshots`.
+	 * Side effects:
+	 *  - Records a snapshot, re-renders the links list, calls `autoSaveAllLinks` and shows a notice.
+	 */
+	function handleRestoreSnapshot(index) {
+		const snapshot = snapshots[index];
+		if (!snapshot) return;
+		keepSnapshot('restore');
+		cancelImport();
+		renderAllLinks(snapshot.links);
+		autoSaveAllLinks(false);
+		showToast(ArinI18n.getMessage('toastSnapshotRestored', formatSnapshotDate(snapshot)), 'undoButton', undoChange);
+	}
+
+	/**
+	 * Replaces the links of the active profile with the default links, after confirmation. The current
+	 * links are kept in the history first, and the change can be undone like any other.
+	 * Side effects:
+	 *  - Records a snapshot, re-renders the links list, calls `autoSaveAllLinks` and shows a notice.
+	 */
+	function handleResetToDefaults() {
+		const activeProfile = ArinProfiles.getActiveProfile(profiles, activeProfileId);
+		if (!confirm(ArinI18n.getMessage('resetDefaultsConfirm', activeProfile.name))) return;
+		keepSnapshot('reset');
+		cancelImport();
+		renderAllLinks(ArinStorage.createDefaultLinks());
+		autoSaveAllLinks(false);
+		showToast(ArinI18n.getMessage('toastLinksReset'), 'undoButton', undoChange);
+	}
+
+	/**
+	 * Creates the element of a link in the header preview, styled like the injected link (see nav-injector.js).
+	 * Names of predefined links are shown as on the marketplace selected in the filter.
+	 * Amazon's own items (native links) are shown like the stand-ins of `createPreviewNativeItem`.
+	 * @param {object} link - A link object as collected from the list. Groups get a caret.
+	 * @returns {HTMLElement} The preview item.
+	 */
+	function createPreviewItem(link) {
+		if (link.type === 'native') {
+			const nativeItem = document.createElement('span');
+			nativeItem.className = 'preview-native';
+			nativeItem.textContent = link.name;
+			return nativeItem;
+		}
+		const item = document.createElement('a');
+		item.className = `${ArinAppearance.getLinkClassName(link.accent)} preview-link`;
+		item.dir = 'auto';
+		const domain = marketplaceFilterSelect.value;
+		const language = domain ? ArinI18n.getMarketplaceLanguage(domain, marketplaces) : undefined;
+		const name = ArinCatalog.resolveLink(link, domain, language).name;
+		ArinAppearance.renderLinkContent(item, name, link.icon);
+		if (link.type === 'group') {
+			const caret = document.createElement('span');
+			caret.className = 'arin-group-caret';
+			item.appendChild(caret);
+		}
+		return item;
+	}
+
+	/**
+	 * Creates a stand-in for one of Amazon's own header items in the preview.
+	 * @param {string} messageName - The message name of the item's text (see _locales).
+	 * @returns {HTMLElement} The preview item.
+	 */
+	function createPreviewNativeItem(messageName) {
+		const item = document.createElement('span');
+		item.className = 'preview-native';
+		item.textContent = ArinI18n.getMessage(messageName);
+		return item;
+	}
+
+	/**
+	 * Renders a simplified Amazon header with the enabled links, where the selected placement puts them.
+	 * Only the links of the marketplace selected in the filter are shown, if one is selected.
+	 * Groups are shown if they have a link to show. Once Amazon's own items are in the list, they're shown
+	 * as listed (among the links, if those go in Amazon's nav bar) instead of the usual stand-ins.
+	 * Side effects:
+	 *  - Clears and repopulates `headerPreviewElement`.
+	 */
+	function renderHeaderPreview() {
+		if (!headerPreviewElement) return;
+		const domain = marketplaceFilterSelect.value;
+		const placement = placementSelect ? placementSelect.value : ArinAppearance.DEFAULT_PLACEMENT;
+		const mergesNativeItems = placement === 'xshop-start' || placement === 'xshop-end';
+		const isShown = link => link.enabled && (!domain || ArinMarketplaces.isLinkInMarketplace(link, domain));
+		const allLinks = collectAllLinks();
+		const shownLinks = allLinks.filter(link => isShown(link) && (link.type !== 'group' || link.children.some(isShown)));
+		const links = shownLinks.filter(link => mergesNativeItems || link.type !== 'native').map(createPreviewItem);
+		const nativeLinks = mergesNativeItems ? [] : shownLinks.filter(link => link.type === 'native').map(createPreviewItem);
+		const standInNames = allLinks.some(link => link.type === 'native')
+			? ['headerPreviewAll']
+			: ['headerPreviewAll', 'headerPreviewDeals', 'headerPreviewCustomerService', 'headerPreviewGiftCards'];
+
+		const belt = document.createElement('div');
+		belt.className = 'preview-belt';
+		const logo = document.createElement('span');
+		logo.className = 'preview-logo';
+		logo.textContent = 'amazon';
+		const search = document.createElement('span');
+		search.className = 'preview-search';
+		const tools = document.createElement('div');
+		tools.className = 'preview-tools';
+		tools.append(createPreviewNativeItem('headerPreviewAccount'), createPreviewNativeItem('headerPreviewOrders'));
+		belt.append(logo, search, tools);
+
+		const main = document.createElement('div');
+		main.className = 'preview-main';
+		main.append(...standInNames.map(createPreviewNativeItem), ...nativeLinks);
+
+		if (placement === 'xshop-start') {
+			main.prepend(...links);
+		} else if (placement === 'xshop-end') {
+			main.append(...links);
+		} else if (placement === 'nav-tools') {
+			tools.append(...links);
+		}
+		tools.appendChild(createPreviewNativeItem('headerPreviewCart'));
+
+		headerPreviewElement.replaceChildren(belt, main);
+		if (placement === 'row' && links.length > 0) {
+			const row = document.createElement('div');
+			row.className = 'arin-row';
+			row.append(...links);
+			headerPreviewElement.appendChild(row);
+		}
+	}
+
+	/**
+	 * Handles a change of the placement select: saves the new placement and updates the preview.
+	 * Open Amazon tabs move their links right away (see arin.js).
+	 * Side effects:
+	 *  - Writes the placement to storage (see `ArinStorage.savePlacement`) and re-renders the preview.
+	 */
+	function handlePlacementChange() {
+		renderHeaderPreview();
+		ArinStorage.savePlacement(placementSelect.value, (error) => {
+			if (error) {
+				showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+				console.error('ARIN Options: Error saving the placement:', error);
+			} else {
+				showStatusMessage(ArinI18n.getMessage('savedAutomatically'), false);
+			}
+		});
+	}
+
+	/**
+	 * Shows how often a link was used, and when it was last used as a tooltip. Groups show the total
+	 * of their links.
+	 * @param {HTMLElement} listItem - The link's <li> element.
+	 * Side effects:
+	 *  - Sets the text and title of the item's usage <span>.
+	 */
+	function updateLinkUsage(listItem) {
+		const usageSpan = listItem.querySelector(':scope > .link-usage');
+		if (!usageSpan) return;
+		const { count, lastUsed } = ArinUsage.getLinkUsage(readLinkItem(listItem), linkUsage);
+		usageSpan.textContent = count > 0 ? ArinI18n.getMessage('usageCount', count) : ArinI18n.getMessage('usageNone');
+		usageSpan.classList.toggle('unused', count === 0);
+		usageSpan.title = lastUsed ? ArinI18n.getMessage('usageLastUsed', new Date(lastUsed).toLocaleString(ArinI18n.getUILanguage())) : '';
+	}
+
+	/**
+	 * Lists the pages the user visits often that aren't in the links yet, each with an "Add" button.
+	 * Side effects:
+	 *  - Clears and repopulates `suggestedLinksContainer`.
+	 */
+	function renderSuggestions() {
+		if (!suggestedLinksContainer) return;
+		suggestedLinksContainer.innerHTML = '';
+		const suggestions = ArinUsage.getSuggestions(visitedPaths, collectAllLinks());
+		if (suggestions.length === 0) {
+			const emptyItem = document.createElement('li');
+			emptyItem.classList.add('suggestion-empty');
+			emptyItem.textContent = ArinI18n.getMessage(trackVisitedPathsCheckbox.checked ? 'suggestionsNone' : 'suggestionsOff');
+			suggestedLinksContainer.appendChild(emptyItem);
+			return;
+		}
+		suggestions.forEach(suggestion => {
+			const suggestionItem = document.createElement('li');
+			suggestionItem.classList.add('suggestion-item');
+			suggestionItem.dataset.path = suggestion.path;
+			suggestionItem.dataset.name = suggestion.name;
+			if (suggestion.catalogId) suggestionItem.dataset.catalogId = suggestion.catalogId;
+
+			const labelSpan = document.createElement('span');
+			labelSpan.textContent = ArinI18n.getMessage('suggestionLabel', [suggestion.name, suggestion.path, suggestion.count]);
+			suggestionItem.appendChild(labelSpan);
+
+			const addButton = document.createElement('button');
+			addButton.classList.add('add-suggestion'); // Add class for styling and event delegation.
+			addButton.textContent = ArinI18n.getMessage('catalogAddButton');
+			suggestionItem.appendChild(addButton);
+
+			suggestedLinksContainer.appendChild(suggestionItem);
+		});
+	}
+
+	/**
+	 * Refreshes everything that shows usage data: the usage of each link and the suggestions.
+	 */
+	function renderUsage() {
+		linksListContainer.querySelectorAll('li.link-item').forEach(updateLinkUsage);
+		renderSuggestions();
+	}
+
+	/**
+	 * Loads the usage data recorded on Amazon pages and shows it.
+	 * Side effects:
+	 *  - Updates `linkUsage`, `visitedPaths` and the opt-in checkbox, and calls `renderUsage`.
+	 */
+	function loadUsage() {
+		ArinUsage.loadUsage((usage) => {
+			linkUsage = usage.linkUsage;
+			visitedPaths = usage.visitedPaths;
+			if (trackVisitedPathsCheckbox) trackVisitedPathsCheckbox.checked = usage.trackVisitedPaths;
+			renderUsage();
+		});
+	}
+
+	/**
+	 * Adds a suggested link through the regular add flows: a catalog destination is added like from
+	 * the catalog, any other page as a custom link.
+	 * @param {HTMLElement} suggestionItem - The suggestion's <li> element.
+	 */
+	function handleAddSuggestion(suggestionItem) {
+		const { catalogId, name, path } = suggestionItem.dataset;
+		if (catalogId) {
+			handleAddCatalogLink(catalogId);
+		} else {
+			addCustomLink(name, path);
+		}
+	}
+
+	/**
+	 * Sorts the links by how often they were used, most used first. Links inside groups are sorted
+	 * within their group; links used equally often keep their order.
+	 * Side effects:
+	 *  - Reorders the items in the DOM and calls `autoSaveAllLinks`.
+	 */
+	function sortLinksByUsage() {
+		[linksListContainer, ...linksListContainer.querySelectorAll('ul.group-children')].forEach(list => {
+			[...list.querySelectorAll(':scope > li.link-item')]
+				.map(listItem => ({ listItem, count: ArinUsage.getLinkUsage(readLinkItem(listItem), linkUsage).count }))
+				.sort((a, b) => b.count - a.count)
+				.forEach(({ listItem }) => list.appendChild(listItem));
+		});
+		autoSaveAllLinks(true);
+	}
+
+	/**
+	 * Handles the opt-in checkbox for recording visited pages. Opting out deletes the pages recorded so far.
+	 * Side effects:
+	 *  - Writes the setting to chrome.storage.local (see `ArinUsage.setTrackVisitedPaths`).
+	 */
+	function handleTrackVisitedPathsChange() {
+		ArinUsage.setTrackVisitedPaths(trackVisitedPathsCheckbox.checked, (error) => {
+			if (error) {
+				showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+				console.error('ARIN Options: Error saving the usage setting:', error);
+			} else {
+				showStatusMessage(ArinI18n.getMessage('savedAutomatically'), false);
+			}
+			renderSuggestions();
+		});
+	}
+
+	/**
+	 * Deletes the recorded link uses and visited pages, after confirmation.
+	 * Side effects:
+	 *  - Removes the usage data from chrome.storage.local (see `ArinUsage.clearUsage`).
+	 */
+	function handleClearUsage() {
+		if (!confirm(ArinI18n.getMessage('clearUsageConfirm'))) return;
+		ArinUsage.clearUsage((error) => {
+			if (error) {
+				showStatusMessage(ArinI18n.getMessage('saveError', error), true, 0);
+				console.error('ARIN Options: Error clearing the usage data:', error);
+			} else {
+				showStatusMessage(ArinI18n.getMessage('usageCleared'), false);
+			}
+		});
+	}
+
+	/**
+	 * Formats a byte count for display (e.g. "12.3 KB").
+	 * @param {number} bytes - The number of bytes.
+	 * @returns {string} The formatted size.
+	 */
+	function formatBytes(bytes) {
+		return bytes < 1024
+			? ArinI18n.getMessage('sizeBytes', bytes.toLocaleString())
+			: ArinI18n.getMessage('sizeKilobytes', (bytes / 1024).toLocaleString(undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 }));
+	}
+
+	/**
+	 * Shows where the links are stored and how much of the sync quota is in use.
+	 * Side effects:
+	 *  - Reads the storage status (see `ArinStorage.getStorageStatus`).
+	 *  - Updates `storageStatusElement` and `storageMeterBar`.
+	 */
+	function updateStorageStatus() {
+		if (!storageStatusElement) return;
+		ArinStorage.getStorageStatus(status => {
+			let text;
+			let usedFraction = 0;
+			if (status.area === 'local') {
+				text = ArinI18n.getMessage('storageLocal');
+				storageStatusElement.classList.add('storage-warning');
+			} else {
+				text = ArinI18n.getMessage('storageSync');
+				if (status.bytesInUse !== null) {
+					usedFraction = status.bytesInUse / status.quotaBytes;
+					text = ArinI18n.getMessage('storageSyncUsage',
+						[formatBytes(status.bytesInUse), formatBytes(status.quotaBytes), Math.round(usedFraction * 100)]);
+				}
+				if (status.chunkCount > 0) {
+					text += ' ' + ArinI18n.getMessage('storageSyncChunks', status.chunkCount);
+				}
+				// Warn before the quota runs out; past it, links fall back to local storage.
+				storageStatusElement.classList.toggle('storage-warning', usedFraction >= 0.8);
+			}
+			storageStatusElement.textContent = text;
+			if (storageMeterBar) {
+				storageMeterBar.style.width = `${Math.min(100, Math.round(usedFraction * 100))}%`;
+				storageMeterBar.classList.toggle('storage-meter-full', status.area === 'local' || usedFraction >= 0.8);
+			}
+		});
+	}
+
+	/**
+	 * Handles the "Add Link" button click event.
+	 * Adds a custom link from the input fields (see `addCustomLink`), and clears them.
+	 * Side effects:
+	 *  - Reads values from input fields, and clears them once the link is added.
+	 */
+	function handleAddLink() {
+		// Get the name and URL from the input fields, trimming whitespace.
+		if (addCustomLink(linkNameInput.value.trim(), linkUrlInput.value.trim())) {
+			// Clear the input fields for the next entry.
+			linkNameInput.value = '';
+			linkUrlInput.value = '';
+		}
+	}
+
+	/**
+	 * Creates a new custom link object, renders it in the list, and triggers an auto-save.
+	 * Used by the "Add Link" button and by the suggested links.
+	 * @param {string} name - The link name.
+	 * @param {string} url - The link URL, as entered.
+	 * @returns {boolean} True if the link was added, false if the name or URL was rejected (with an alert).
+	 * Side effects:
+	 *  - Calls `renderLinkItem` to modify the DOM.
+	 *  - Calls `autoSaveAllLinks` to save to Chrome storage.
+	 */
+	function addCustomLink(name, url) {
+		// Basic validation: ensure name and URL are not empty.
+		if (!name || !url) {
+			alert(ArinI18n.getMessage('emptyLinkFields')); // Simple alert for validation.
+			return false; // Stop further execution.
+		}
+
+		// Reject unsafe or off-Amazon URLs, and store Amazon URLs so they work on every marketplace (see urls.js).
+		let normalizedUrl;
+		try {
+			normalizedUrl = ArinUrls.normalizeUrl(url);
+		} catch (error) {
+			alert(error.message);
+			return false;
+		}
+
+		// Create the data object for the new custom link.
+		// Custom links are always of type "custom" and default to enabled: true.
+		const customLinkData = {
+			type: "custom",
+			name: name,
+			url: normalizedUrl,
+			enabled: true
+		};
+
+		// If the list is currently filtered to a marketplace, scope the new link to that marketplace.
+		if (marketplaceFilterSelect.value) {
+			customLinkData.marketplaces = [marketplaceFilterSelect.value];
+		}
+
+		// Render the new link item in the DOM.
+		renderLinkItem(customLinkData);
+
+		// Auto-save all links, including the newly added one.
+		autoSaveAllLinks(false);
+		return true;
+	}
+
+	/**
+	 * Handles the "Add Group" button click event.
+	 * Creates a new, empty group that links can then be dragged into, and triggers an auto-save.
+	 * Side effects:
+	 *  - Reads the value of the group name input field, and clears it.
+	 *  - Calls `renderLinkItem` to modify the DOM.
+	 *  - Calls `autoSaveAllLinks` to save to Chrome storage.
+	 */
+	function handleAddGroup() {
+		const name = groupNameInput.value.trim();
+		if (!name) {
+			alert(ArinI18n.getMessage('emptyGroupName'));
+			return;
+		}
+
+		const groupData = {
+			type: "group",
+			id: `group-${Date.now().toString(36)}`, // Unique, stable id used to track the group in the nav bar.
+			name: name,
+			enabled: true,
+			children: []
+		};
+
+		// If the list is currently filtered to a marketplace, scope the new group to that marketplace.
+		if (marketplaceFilterSelect.value) {
+			groupData.marketplaces = [marketplaceFilterSelect.value];
+		}
+
+		renderLinkItem(groupData);
+		autoSaveAllLinks(false);
+		groupNameInput.value = '';
+	}
+
+	/**
+	 * Handles the "Export to File" button click event.
+	 * Downloads the current configuration as a versioned JSON file (see config-io.js).
+	 * Side effects:
+	 *  - Creates a temporary object URL and triggers a download.
+	 */
+	function handleExport() {
+		const blob = new Blob([ArinConfigIO.createExport(collectAllLinks())], { type: 'application/json' });
+		const downloadUrl = URL.createObjectURL(blob);
+		const downloadLink = document.createElement('a');
+		downloadLink.href = downloadUrl;
+		downloadLink.download = 'amazon-easy-nav-links.json';
+		downloadLink.click();
+		URL.revokeObjectURL(downloadUrl);
+	}
+
+	/**
+	 * Reads the text to import: the selected file if there is one, otherwise the pasted text.
+	 * @param {function(string)} callback - Called with the text (possibly empty).
+	 */
+	function readImportText(callback) {
+		const file = importFileInput.files[0];
+		if (!file) {
+			callback(importTextInput.value.trim());
+			return;
+		}
+		const reader = new FileReader();
+		reader.onload = () => callback(reader.result);
+		reader.onerror = () => {
+			showStatusMessage(ArinI18n.getMessage('importReadError'), true);
+			callback('');
+		};
+		reader.readAsText(file);
+	}
+
+	/**
+	 * Adds one line to the import preview list.
+	 * @param {string} text - The line's text.
+	 * @param {string} className - CSS class for the line (e.g. 'preview-added').
+	 */
+	function addPreviewLine(text, className) {
+		const line = document.createElement('li');
+		line.textContent = text;
+		line.classList.add(className);
+		importPreviewList.appendChild(line);
+	}
+
+	/**
+	 * Handles the "Preview Import" button click event.
+	 * Validates the import, works out the resulting configuration for the selected mode (merge
+	 * or replace) and shows what would change. Links whose shortcut is already taken are imported
+	 * without it, which the preview lists too. Nothing is saved until "Apply Import" is clicked.
+	 * Side effects:
+	 *  - Sets `pendingImportLinks` and renders the preview into `importPreviewElement`.
+	 *  - Shows an error status message if the import is invalid.
+	 */
+	function handlePreviewImport() {
+		readImportText(text => {
+			if (!text) {
+				showStatusMessage(ArinI18n.getMessage('importNothingChosen'), true);
+				return;
+			}
+
+			let importedLinks;
+			try {
+				importedLinks = ArinConfigIO.parseImport(text);
+			} catch (error) {
+				cancelImport();
+				showStatusMessage(ArinI18n.getMessage('importFailed', error.message), true, 0);
+				return;
+			}
+
+			const mode = document.querySelector('input[name="importMode"]:checked').value;
+			const currentLinks = collectAllLinks();
+			const { links: resultLinks, conflicts } = ArinConfigIO.resolveShortcutConflicts(
+				mode === 'replace' ? importedLinks : ArinConfigIO.mergeLinks(currentLinks, importedLinks));
+			pendingImportLinks = resultLinks;
+
+			// Render the preview: one line per shortcut conflict, and per added, changed or removed link.
+			const diff = ArinConfigIO.diffLinks(currentLinks, pendingImportLinks);
+			// Predefined links are shown with their name in the UI language (see catalog.js).
+			const describeLink = link => ArinCatalog.resolveLink(link).name || link.id;
+			importPreviewList.innerHTML = '';
+			conflicts.forEach(({ shortcut, link, keptBy }) => addPreviewLine(
+				ArinI18n.getMessage('previewShortcutConflict', [shortcut, describeLink(link), describeLink(keptBy)]), 'preview-conflict'));
+			diff.added.forEach(link => addPreviewLine(ArinI18n.getMessage('previewAdded', describeLink(link)), 'preview-added'));
+			diff.changed.forEach(link => addPreviewLine(ArinI18n.getMessage('previewChanged', describeLink(link)), 'preview-changed'));
+			diff.removed.forEach(link => addPreviewLine(ArinI18n.getMessage('previewRemoved', describeLink(link)), 'preview-removed'));
+			addPreviewLine(ArinI18n.getMessage('previewUnchanged', diff.unchanged.length), 'preview-unchanged');
+			importPreviewElement.hidden = false;
+		});
+	}
+
+	/**
+	 * Handles the "Apply Import" button click event.
+	 * Replaces the links list with the previewed configuration and saves it. The links as they were
+	 * are kept in the history first (see history.js).
+	 * Side effects:
+	 *  - Records a snapshot, re-renders the links list and calls `autoSaveAllLinks` to save to Chrome storage.
+	 */
+	function handleApplyImport() {
+		if (!pendingImportLinks) return;
+		keepSnapshot('import');
+		renderAllLinks(pendingImportLinks);
+		autoSaveAllLinks(true);
+		cancelImport();
+		importFileInput.value = '';
+		importTextInput.value = '';
+	}
+
+	/**
+	 * Discards a previewed import and hides the preview.
+	 */
+	function cancelImport() {
+		pendingImportLinks = null;
+		importPreviewList.innerHTML = '';
+		importPreviewElement.hidden = true;
+	}
+
+	/**
+	 * Displays a status message to the user.
+	 * The message disappears automatically after a set duration, unless duration is 0.
+	 * @param {string} message - The text of the message to display.
+	 * @param {boolean} [isError=false] - If true, styles the message as an error (e.g., red text).
+	 * @param {number} [duration=3000] - How long to display the message in milliseconds.
+	 *                                    If 0, the message will be persistent until cleared manually or by another message.
+	 * Side effects:
+	 *  - Modifies the content and style of `statusMessageElement`.
+	 */
+	function showStatusMessage(message, isError = false, duration = 3000) {
+		// If the status message element doesn't exist for some reason, do nothing.
+		if (!statusMessageElement) return;
+
+		statusMessageElement.textContent = message; // Set the message text.
+		statusMessageElement.style.color = isError ? 'red' : 'green'; // Set color based on error status.
+		statusMessageElement.hidden = false; // Make the message visible.
+
+		// If a duration is specified (greater than 0), set a timeout to hide the message.
+		if (duration > 0) {
+			setTimeout(() => {
+				statusMessageElement.textContent = ''; // Clear the text.
+				statusMessageElement.hidden = true;  // Hide the element.
+			}, duration);
+		}
+	}
+
+	/**
+	 * Shows a notice at the bottom of the page with a button, e.g. "Removed ..." with an Undo button.
+	 * The notice replaces any earlier one, and disappears after `TOAST_DURATION` or once its button is clicked.
+	 * @param {string} message - The text of the notice.
+	 * @param {string} actionMessageName - The message name (see _locales) of the button's text.
+	 * @param {function()} action - Called when the button is clicked.
+	 * Side effects:
+	 *  - Modifies `toastElement`, and sets a timer hiding it.
+	 */
+	function showToast(message, actionMessageName, action) {
+		if (!toastElement) return;
+		clearTimeout(toastTimer);
+		toastMessageElement.textContent = message;
+		toastActionButton.textContent = ArinI18n.getMessage(actionMessageName);
+		toastAction = action;
+		toastElement.hidden = false;
+		toastTimer = setTimeout(hideToast, TOAST_DURATION);
+	}
+
+	/**
+	 * Hides the notice shown by `showToast`, if any.
+	 */
+	function hideToast() {
+		if (!toastElement) return;
+		clearTimeout(toastTimer);
+		toastAction = null;
+		toastElement.hidden = true;
+	}
+
+	// --- Event Listeners ---
+
+	// Listen for clicks on the "Add Link" button.
+	addLinkButton.addEventListener('click', handleAddLink);
+
+	// Listen for clicks on the "Add Group" button.
+	addGroupButton.addEventListener('click', handleAddGroup);
+
+	// Import / export buttons.
+	exportLinksButton.addEventListener('click', handleExport);
+	previewImportButton.addEventListener('click', handlePreviewImport);
+	applyImportButton.addEventListener('click', handleApplyImport);
+	cancelImportButton.addEventListener('click', cancelImport);
+
+	// The manual save button and its listener were removed.
+	// saveOptionsButton.addEventListener('click', saveOptions);
+
+	// Use event delegation on the links list container for handling clicks on dynamic elements
+	// (remove buttons and checkboxes for individual links).
+	// This is more efficient than adding an event listener to each button/checkbox.
+	linksListContainer.addEventListener('click', (event) => {
+		// Check if the clicked element is a "Remove" button for a custom link.
+		if (event.target.matches('.remove-custom-link, .remove-predefined-link, .remove-native-link')) {
+			// Find the closest parent <li> element and remove it from the DOM.
+			const listItem = event.target.closest('li.link-item');
+			listItem.remove();
+			renderCatalog(); // A removed predefined link becomes available in the catalog again.
+			renderNativeItems(); // And so does a removed item of Amazon's.
+			autoSaveAllLinks(false); // Auto-save after removing a link.
+			showToast(ArinI18n.getMessage('toastLinkRemoved', getDisplayName(listItem)), 'undoButton', undoChange);
+		}
+		// Check if the clicked element is a "Remove" button for a group.
+		else if (event.target.classList.contains('remove-group')) {
+			const groupItem = event.target.closest('li.link-item');
+			removeGroup(groupItem);
+			applyMarketplaceFilter(); // Moved links are now filtered on their own.
+			autoSaveAllLinks(false);
+			showToast(ArinI18n.getMessage('toastGroupRemoved', groupItem.dataset.linkName), 'undoButton', undoChange);
+		}
+		// Check if the clicked element is one of the buttons of the inline editor.
+		else if (event.target.classList.contains('edit-link')) {
+			openLinkEditor(event.target.closest('li.link-item'));
+		}
+		else if (event.target.classList.contains('save-link-edit')) {
+			saveLinkEdit(event.target.closest('li.link-item'));
+		}
+		else if (event.target.classList.contains('cancel-link-edit')) {
+			closeLinkEditor(event.target.closest('li.link-item'));
+		}
+		else if (event.target.classList.contains('reset-link-name')) {
+			resetLinkName(event.target.closest('li.link-item'));
+		}
+		// Check if the clicked element is a checkbox for enabling/disabling a link.
+		// This selector matches checkboxes for both predefined and custom links.
+		else if (event.target.matches('.predefined-link-toggle, .custom-link-toggle, .group-link-toggle, .native-link-toggle')) {
+			// The checkbox state is visually updated by the browser automatically.
+			// We just need to auto-save the new state.
+			autoSaveAllLinks(false);
+		}
+		// Check if the clicked element is one of the marketplace scope checkboxes.
+		else if (event.target.matches('.marketplace-scope-toggle')) {
+			const listItem = event.target.closest('li.link-item');
+			updateItemMarketplaces(listItem);
+			applyMarketplaceFilter(); // The item may no longer belong to the selected marketplace.
 			autoSaveAllLinks(false);
 		}
 	});
 
+	// Listen for clicks on the "Add" buttons of the catalog entries.
+	catalogListContainer.addEventListener('click', (event) => {
+		if (event.target.classList.contains('add-catalog-link')) {
+			handleAddCatalogLink(event.target.closest('li.catalog-item').dataset.catalogId);
+		}
+	});
+
+	// Listen for clicks on the "Add" buttons of Amazon's own items, and on "Add All".
+	// The list follows the items recorded on Amazon pages in other tabs.
+	if (nativeItemsListContainer) {
+		nativeItemsListContainer.addEventListener('click', (event) => {
+			if (event.target.classList.contains('add-native-item')) {
+				handleAddNativeItems([parseInt(event.target.closest('li.native-item').dataset.index, 10)]);
+			}
+		});
+		addAllNativeItemsButton.addEventListener('click', () => handleAddNativeItems(null));
+		ArinNativeItems.onSeenItemsChanged((items) => {
+			seenNativeItems = items;
+			renderNativeItems();
+		});
+	}
+
+	// Listen for clicks on the "Add" buttons of the suggested links.
+	if (suggestedLinksContainer) {
+		suggestedLinksContainer.addEventListener('click', (event) => {
+			if (event.target.classList.contains('add-suggestion')) {
+				handleAddSuggestion(event.target.closest('li.suggestion-item'));
+			}
+		});
+	}
+
+	// Usage data: sorting, the opt-in to recording visited pages, and clearing it all.
+	// The shown usage follows new clicks on Amazon pages in other tabs.
+	if (sortByUsageButton) sortByUsageButton.addEventListener('click', sortLinksByUsage);
+	if (trackVisitedPathsCheckbox) trackVisitedPathsCheckbox.addEventListener('change', handleTrackVisitedPathsChange);
+	if (clearUsageButton) clearUsageButton.addEventListener('click', handleClearUsage);
+	ArinUsage.onUsageChanged(loadUsage);
+
+	// Profiles: switching, creating, renaming, duplicating, deleting, and the account name.
+	if (profileSelect) {
+		profileSelect.addEventListener('change', handleProfileSwitch);
+		newProfileButton.addEventListener('click', handleNewProfile);
+		renameProfileButton.addEventListener('click', handleRenameProfile);
+		duplicateProfileButton.addEventListener('click', handleDuplicateProfile);
+		deleteProfileButton.addEventListener('click', handleDeleteProfile);
+		profileAccountInput.addEventListener('change', handleProfileAccountChange);
+	}
+
+	// Undo and redo (buttons, hotkeys and the notice's button), going back to the defaults, and restoring
+	// earlier versions of the links. The history follows versions kept on the options page in other tabs.
+	document.addEventListener('keydown', handleUndoShortcut);
+	if (toastElement) {
+		toastActionButton.addEventListener('click', () => {
+			const action = toastAction;
+			hideToast();
+			if (action) action();
+		});
+	}
+	if (undoButton) {
+		undoButton.addEventListener('click', undoChange);
+		redoButton.addEventListener('click', redoChange);
+		resetDefaultsButton.addEventListener('click', handleResetToDefaults);
+	}
+	if (historyListContainer) {
+		historyListContainer.addEventListener('click', (event) => {
+			if (event.target.classList.contains('restore-snapshot')) {
+				handleRestoreSnapshot(parseInt(event.target.closest('li.history-item').dataset.index, 10));
+			}
+		});
+		ArinHistory.onSnapshotsChanged((changedSnapshots) => {
+			snapshots = changedSnapshots;
+			renderHistory();
+		});
+	}
+
+	// Re-filter the list (and the preview, and Amazon's items) whenever a different marketplace is selected.
+	marketplaceFilterSelect.addEventListener('change', () => {
+		applyMarketplaceFilter();
+		renderHeaderPreview();
+		renderNativeItems();
+	});
+
+	// Fill in the placement choices, select the stored placement and save any new choice.
+	if (placementSelect) {
+		ArinAppearance.PLACEMENTS.forEach(placement => {
+			const option = document.createElement('option');
+			option.value = placement;
+			option.textContent = ArinI18n.getMessage(ArinAppearance.PLACEMENT_LABELS[placement]);
+			placementSelect.appendChild(option);
+		});
+		ArinStorage.loadPlacement(placement => {
+			placementSelect.value = placement;
+			renderHeaderPreview();
+		});
+		placementSelect.addEventListener('change', handlePlacementChange);
+	}
+
+	// Name the command palette hotkey as it's written on this platform.
+	if (paletteHelpElement) {
+		paletteHelpElement.textContent = ArinI18n.getMessage('paletteHelp', ArinShortcuts.formatShortcut(ArinShortcuts.PALETTE_SHORTCUT));
+	}
+
+	// Name the undo and redo hotkeys the way they're pressed on this platform (Cmd on macOS).
+	if (historyHelpElement) {
+		const isMac = /Mac/i.test(navigator.platform || '');
+		historyHelpElement.textContent = ArinI18n.getMessage('historyHelp', [
+			ArinShortcuts.formatShortcut(isMac ? 'Meta+Z' : 'Ctrl+Z'),
+			ArinShortcuts.formatShortcut(isMac ? 'Shift+Meta+Z' : 'Ctrl+Shift+Z')
+		]);
+	}
+
 	// --- Initial Load ---
-	// Load links from storage (or defaults) when the page is ready.
-	loadLinks();
+	// Load the marketplace list first (needed to render the scope editors), then the links.
+	ArinMarketplaces.loadMarketplaces(loadedMarketplaces => {
+		marketplaces = loadedMarketplaces;
+		marketplaces.forEach(marketplace => {
+			const option = document.createElement('option');
+			option.value = marketplace.amazon_domain;
+			option.textContent = describeMarketplace(marketplace);
+			marketplaceFilterSelect.appendChild(option);
+		});
+		loadLinks();
+		loadUsage();
+		loadNativeItems();
+		loadHistory();
+		updateStorageStatus();
+	});
 
 }); // End of DOMContentLoaded listener
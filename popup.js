@@ -0,0 +1,203 @@
+/**
+ * popup.js
+ *
+ * Manages the Amazon Easy Nav toolbar popup.
+ * The popup makes the configured links reachable even when the Amazon header doesn't render.
+ *
+ * This includes:
+ *
+ *  - Listing the enabled links (and the links of enabled groups) as quick-launch buttons, for the
+ *    marketplace of the current tab, or the default marketplace if the tab isn't an Amazon page.
+ *    Conditional links (see conditions.js) are listed if their condition holds for the tab's URL.
+ *  - Filtering the list by name. Enter opens the first match.
+ *  - Pausing (and resuming) the injected links on the marketplace of the current tab (see arin.js).
+ *  - Opening the options page.
+ *  - Showing every text in the browser's UI language (see i18n.js).
+ *
+ */
+
+// Marketplace used when the current tab isn't an Amazon page.
+const DEFAULT_MARKETPLACE_DOMAIN = 'amazon.com';
+
+// Wait for the popup document to be fully loaded and parsed before running the script.
+document.addEventListener('DOMContentLoaded', () => {
+	// Fill in the static texts of the popup from the message catalogs.
+	ArinI18n.localizePage();
+
+	// --- DOM Element References ---
+	const marketplaceNameElement = document.getElementById('marketplaceName'); // Shows the marketplace the links open on.
+	const linkFilterInput = document.getElementById('linkFilter'); // Search box filtering the quick links.
+	const quickLinksList = document.getElementById('quickLinks'); // UL element listing the quick links.
+	const noLinksMessage = document.getElementById('noLinksMessage'); // Shown when no link matches.
+	const pauseOnSiteCheckbox = document.getElementById('pauseOnSite'); // Toggle pausing the links on this site.
+	const pauseOnSiteLabel = document.getElementById('pauseOnSiteLabel'); // Label of the pause toggle.
+	const openOptionsButton = document.getElementById('openOptions'); // Button opening the options page.
+
+	// The active tab, and the marketplace the links open on.
+	let activeTab = null;
+	let marketplaceDomain = DEFAULT_MARKETPLACE_DOMAIN;
+	let marketplaceHostname = 'www.' + DEFAULT_MARKETPLACE_DOMAIN;
+	let isAmazonTab = false;
+	// Data about the tab's page, read from its URL (see urls.js).
+	let pageContext = { domain: DEFAULT_MARKETPLACE_DOMAIN, pathname: '/', search: '', asin: '', orderId: '' };
+
+	/**
+	 * Turns a stored (non-group) link into an absolute URL on the selected marketplace.
+	 * @param {object} link - A stored link object of type "predefined" or "custom".
+	 * @returns {object|null} { name, href }, or null if the link can't be opened.
+	 */
+	function toQuickLink(link) {
+		const resolvedLink = ArinCatalog.resolveLink(link, marketplaceHostname);
+		if (!resolvedLink.url || !resolvedLink.name) return null;
+
+		const href = ArinUrls.resolveUrl(resolvedLink.url, pageContext);
+		if (!href) return null;
+		return { name: resolvedLink.name, href: new URL(href, `https://${marketplaceHostname}/`).href };
+	}
+
+	/**
+	 * Renders the enabled links available on the selected marketplace as quick-launch buttons.
+	 * Group links are listed under the name of their group. Amazon's own items (see native-items.js) aren't listed.
+	 * @param {Array<object>} links - The stored link objects.
+	 * Side effects:
+	 *  - Clears and repopulates `quickLinksList`, then re-applies the filter.
+	 */
+	function renderQuickLinks(links) {
+		quickLinksList.innerHTML = '';
+		const isShown = link => link.enabled === true && ArinMarketplaces.isLinkAvailableOnHost(link, marketplaceHostname) &&
+			ArinConditions.isConditionMet(link, pageContext);
+
+		links.filter(link => link.type !== 'native' && isShown(link)).forEach(link => {
+			const groupName = link.type === 'group' ? link.name : '';
+			const children = link.type === 'group' ? link.children.filter(isShown) : [link];
+			children.map(toQuickLink).filter(quickLink => quickLink !== null).forEach(quickLink => {
+				const listItem = document.createElement('li');
+				const button = document.createElement('button');
+				button.classList.add('quick-link');
+				button.dataset.href = quickLink.href;
+				button.title = quickLink.href;
+				button.textContent = quickLink.name;
+				if (groupName) {
+					// Show the group as a prefix, and let the filter match it too.
+					const groupLabel = document.createElement('span');
+					groupLabel.classList.add('quick-link-group');
+					groupLabel.textContent = groupName;
+					button.prepend(groupLabel);
+				}
+				listItem.appendChild(button);
+				quickLinksList.appendChild(listItem);
+			});
+		});
+		applyFilter();
+	}
+
+	/**
+	 * Shows only the quick links whose name (or group name) contains the filter text.
+	 * Side effects:
+	 *  - Hides list items that don't match, and shows `noLinksMessage` if none do.
+	 */
+	function applyFilter() {
+		const filterText = linkFilterInput.value.trim().toLowerCase();
+		let visibleCount = 0;
+		quickLinksList.querySelectorAll('li').forEach(listItem => {
+			const matches = listItem.textContent.toLowerCase().includes(filterText);
+			listItem.hidden = !matches;
+			if (matches) visibleCount++;
+		});
+		noLinksMessage.hidden = visibleCount > 0;
+	}
+
+	/**
+	 * Opens a quick link. Amazon tabs navigate in place; otherwise (or with Ctrl/Cmd or the middle
+	 * button) the link opens in a new tab.
+	 * @param {string} href - The absolute URL to open.
+	 * @param {boolean} inNewTab - Whether a new tab was asked for.
+	 * Side effects:
+	 *  - Navigates the active tab or opens a new one, then closes the popup.
+	 */
+	function openQuickLink(href, inNewTab) {
+		if (isAmazonTab && !inNewTab && activeTab) {
+			chrome.tabs.update(activeTab.id, { url: href });
+		} else {
+			chrome.tabs.create({ url: href });
+		}
+		window.close();
+	}
+
+	/**
+	 * Sets up the "Pause on this site" toggle for the marketplace of the active tab.
+	 * The toggle is disabled if the active tab isn't an Amazon page.
+	 * Side effects:
+	 *  - Reads the paused sites from storage and updates the toggle.
+	 */
+	function initPauseToggle() {
+		if (!isAmazonTab) {
+			pauseOnSiteCheckbox.disabled = true;
+			pauseOnSiteLabel.textContent = ArinI18n.getMessage('popupPauseAmazonOnly');
+			return;
+		}
+		pauseOnSiteLabel.textContent = ArinI18n.getMessage('popupPauseOnDomain', marketplaceDomain);
+		ArinStorage.loadPausedSites(pausedSites => {
+			pauseOnSiteCheckbox.checked = pausedSites.includes(marketplaceDomain);
+			pauseOnSiteCheckbox.disabled = false;
+		});
+	}
+
+	// --- Event Listeners ---
+	quickLinksList.addEventListener('click', (event) => {
+		const button = event.target.closest('button.quick-link');
+		if (button) openQuickLink(button.dataset.href, event.ctrlKey || event.metaKey);
+	});
+	quickLinksList.addEventListener('auxclick', (event) => {
+		const button = event.target.closest('button.quick-link');
+		if (button && event.button === 1) openQuickLink(button.dataset.href, true);
+	});
+
+	linkFilterInput.addEventListener('input', applyFilter);
+	linkFilterInput.addEventListener('keydown', (event) => {
+		// Enter opens the first visible link.
+		if (event.key === 'Enter') {
+			const firstMatch = quickLinksList.querySelector('li:not([hidden]) button.quick-link');
+			if (firstMatch) openQuickLink(firstMatch.dataset.href, event.ctrlKey || event.metaKey);
+		}
+	});
+
+	pauseOnSiteCheckbox.addEventListener('change', () => {
+		ArinStorage.setSitePaused(marketplaceDomain, pauseOnSiteCheckbox.checked, (error) => {
+			if (error) {
+				console.error('ARIN Popup: Error saving the paused sites:', error);
+				pauseOnSiteCheckbox.checked = !pauseOnSiteCheckbox.checked;
+			}
+		});
+	});
+
+	openOptionsButton.addEventListener('click', () => {
+		chrome.runtime.openOptionsPage();
+		window.close();
+	});
+
+	// --- Initial Load ---
+	// Find out which marketplace the active tab is on (from the marketplace list), then render the links for it.
+	ArinMarketplaces.loadMarketplaces(() => chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+		activeTab = tabs && tabs[0] ? tabs[0] : null;
+		let tabHostname = '';
+		try {
+			tabHostname = activeTab && activeTab.url ? new URL(activeTab.url).hostname : '';
+		} catch (error) {
+			tabHostname = '';
+		}
+		const tabDomain = ArinUrls.getMarketplaceDomain(tabHostname);
+		if (tabDomain) {
+			isAmazonTab = true;
+			marketplaceDomain = tabDomain;
+			marketplaceHostname = tabHostname;
+			// The popup can't see the page itself, only its URL.
+			pageContext = ArinUrls.createContext(new URL(activeTab.url), null);
+		}
+		marketplaceNameElement.textContent = isAmazonTab ? marketplaceDomain : ArinI18n.getMessage('popupDefaultMarketplace', marketplaceDomain);
+
+		initPauseToggle();
+		ArinStorage.loadLinks(renderQuickLinks);
+		linkFilterInput.focus();
+	}));
+});
@@ -0,0 +1,126 @@
+/**
+ * profiles.js
+ *
+ * Link profiles for the Amazon Easy Nav extension (e.g. "Personal", "Work", "Family").
+ * This script is loaded by the content script (arin.js), the options page (options.js) and the popup.
+ *
+ * Each profile holds a link list of its own:
+ *  {
+ *    "id": "profile-lq2x7a",     Unique, stable id. The profile created from older configurations is 'default'.
+ *    "name": "Work",             Name chosen by the user.
+ *    "accountName": "Jane",      (optional) Account name the profile is chosen for automatically.
+ *    "links": [ ... ]            The profile's links (see the link schema in storage.js).
+ *  }
+ * One profile is the active one (chosen on the options page). On Amazon pages, a profile whose
+ * `accountName` appears in the header greeting ("Hello, Jane") is used instead, so a shared browser
+ * shows each account its own links. Storage and validation are handled by storage.js.
+ */
+
+const ArinProfiles = (() => {
+	// Id of the profile created from the links stored before profiles existed, or from the defaults.
+	const DEFAULT_PROFILE_ID = 'default';
+
+	// Elements of Amazon's header that greet the signed-in account, most preferred first
+	// (desktop header, other desktop layouts, mobile-width header).
+	const ACCOUNT_NAME_SELECTORS = [
+		'#nav-link-accountList-nav-line-1',
+		'#nav-link-accountList .nav-line-1',
+		'#nav-link-yourAccount .nav-line-1',
+		'#nav-button-avatar .nav-line-1'
+	];
+
+	/**
+	 * Creates the profile used when there is none yet, named in the UI language.
+	 * @param {Array<object>} links - The profile's links.
+	 * @returns {object} The profile.
+	 */
+	function createDefaultProfile(links) {
+		return { id: DEFAULT_PROFILE_ID, name: ArinI18n.getMessage('defaultProfileName'), links };
+	}
+
+	/**
+	 * Creates a new profile with an id that isn't used by any of the existing profiles.
+	 * @param {string} name - The profile name.
+	 * @param {Array<object>} links - The profile's links.
+	 * @param {Array<object>} profiles - The existing profiles.
+	 * @returns {object} The new profile.
+	 */
+	function createProfile(name, links, profiles) {
+		const baseId = `profile-${Date.now().toString(36)}`;
+		let id = baseId;
+		for (let suffix = 2; profiles.some(profile => profile.id === id); suffix++) {
+			id = `${baseId}-${suffix}`;
+		}
+		return { id, name, links };
+	}
+
+	/**
+	 * Returns the active profile, falling back to the first one if the active id is unknown
+	 * (e.g. the profile was deleted on another device).
+	 * @param {Array<object>} profiles - The profiles.
+	 * @param {string} activeProfileId - The id of the active profile.
+	 * @returns {object|null} The profile, or null if there are no profiles.
+	 */
+	function getActiveProfile(profiles, activeProfileId) {
+		return profiles.find(profile => profile.id === activeProfileId) || profiles[0] || null;
+	}
+
+	/**
+	 * Reads the greeting of the signed-in account from Amazon's header.
+	 * @param {Document} pageDocument - The Amazon page.
+	 * @returns {string} The greeting (e.g. 'Hello, Jane'), or an empty string if the header has none.
+	 */
+	function readAccountName(pageDocument) {
+		for (const selector of ACCOUNT_NAME_SELECTORS) {
+			const element = pageDocument.querySelector(selector);
+			if (element && element.textContent.trim()) return element.textContent.trim();
+		}
+		return '';
+	}
+
+	/**
+	 * Normalizes text for comparing account names: case, whitespace and Unicode forms are ignored.
+	 * @param {string} text - The text to normalize.
+	 * @returns {string} The normalized text.
+	 */
+	function normalizeAccountName(text) {
+		return (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+	}
+
+	/**
+	 * Checks whether a header greeting names an account: the account name must appear in it as
+	 * whole words ('Jane' matches 'Hello, Jane' but not 'Hello, Janet').
+	 * @param {string} greeting - The greeting read by `readAccountName`.
+	 * @param {string} accountName - The account name of a profile.
+	 * @returns {boolean} True if the greeting names the account.
+	 */
+	function matchesAccountName(greeting, accountName) {
+		const name = normalizeAccountName(accountName);
+		if (!name) return false;
+		const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(normalizeAccountName(greeting));
+	}
+
+	/**
+	 * Chooses the profile to show on an Amazon page: the first profile whose account name appears in
+	 * the header greeting, or else the active profile.
+	 * @param {Array<object>} profiles - The profiles.
+	 * @param {string} activeProfileId - The id of the active profile.
+	 * @param {string} greeting - The greeting read by `readAccountName` (may be empty).
+	 * @returns {object|null} The profile, or null if there are no profiles.
+	 */
+	function selectProfile(profiles, activeProfileId, greeting) {
+		const matchingProfile = greeting ? profiles.find(profile => matchesAccountName(greeting, profile.accountName)) : null;
+		return matchingProfile || getActiveProfile(profiles, activeProfileId);
+	}
+
+	return {
+		DEFAULT_PROFILE_ID,
+		createDefaultProfile,
+		createProfile,
+		getActiveProfile,
+		readAccountName,
+		matchesAccountName,
+		selectProfile
+	};
+})();
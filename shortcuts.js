@@ -0,0 +1,138 @@
+/**
+ * shortcuts.js
+ *
+ * Shared keyboard shortcut helpers for the Amazon Easy Nav extension.
+ * This script is loaded by both the content script (arin.js) and the options page (options.js).
+ *
+ * Shortcuts are stored as strings on the link objects (the optional `shortcut` property), in a
+ * normalized form: modifiers in the order Ctrl, Alt, Shift, Meta, then the key, joined by '+'
+ * (e.g. 'Alt+R', 'Ctrl+Shift+1'). Keys are letters, digits and F1-F12, read from `event.code`
+ * so that the shortcut doesn't depend on the keyboard layout or on Option producing special characters.
+ *
+ * To avoid conflicts:
+ *  - Shortcuts need Ctrl, Alt or Meta (except F-keys), so they never fire while typing.
+ *  - Amazon's own shortcuts (Shift+Alt+..., listed on Amazon with Shift+Alt+Z) and common
+ *    browser shortcuts are reserved.
+ *  - Shortcuts are ignored while an input field has the focus (see `isEditableTarget`).
+ */
+
+const ArinShortcuts = (() => {
+	// Hotkey that opens the command palette on Amazon pages.
+	const PALETTE_SHORTCUT = 'Alt+K';
+
+	// Modifier names in their normalized order, with the aliases accepted when parsing.
+	const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+	const MODIFIER_ALIASES = {
+		ctrl: 'Ctrl', control: 'Ctrl',
+		alt: 'Alt', option: 'Alt',
+		shift: 'Shift',
+		meta: 'Meta', cmd: 'Meta', command: 'Meta', win: 'Meta'
+	};
+
+	// Shortcuts that are taken by Amazon or the browser, and the palette hotkey itself.
+	const RESERVED_SHORTCUTS = [
+		PALETTE_SHORTCUT,
+		// Amazon's keyboard shortcuts.
+		'Alt+Shift+0', 'Alt+Shift+A', 'Alt+Shift+C', 'Alt+Shift+D', 'Alt+Shift+E', 'Alt+Shift+H',
+		'Alt+Shift+O', 'Alt+Shift+S', 'Alt+Shift+Z',
+		// Browser shortcuts (with Ctrl on Windows/Linux and Meta on macOS).
+		...['A', 'C', 'D', 'F', 'L', 'N', 'P', 'Q', 'R', 'S', 'T', 'V', 'W', 'X', 'Z'].reduce((list, key) =>
+			list.concat(`Ctrl+${key}`, `Meta+${key}`), []),
+		'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Shift+W', 'Shift+Meta+N', 'Shift+Meta+T', 'Shift+Meta+W',
+		'Alt+F4', 'F5', 'F11', 'F12'
+	];
+
+	/**
+	 * Returns the shortcut key name for a `KeyboardEvent.code` value ('KeyR' -> 'R', 'Digit1' -> '1').
+	 * @param {string} code - The `code` of a keyboard event.
+	 * @returns {string|null} The key name, or null if the key can't be used in shortcuts.
+	 */
+	function getKeyName(code) {
+		const match = /^(?:Key([A-Z])|Digit([0-9])|Numpad([0-9])|(F[1-9]|F1[0-2]))$/.exec(code || '');
+		if (!match) return null;
+		return match[1] || match[2] || match[3] || match[4];
+	}
+
+	/**
+	 * Builds the normalized shortcut string of a keyboard event.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 * @returns {string|null} The shortcut (e.g. 'Alt+R'), or null if the pressed key isn't a shortcut key
+	 *                        (e.g. only a modifier was pressed).
+	 */
+	function fromKeyboardEvent(event) {
+		const key = getKeyName(event.code);
+		if (!key) return null;
+		const pressed = { Ctrl: event.ctrlKey, Alt: event.altKey, Shift: event.shiftKey, Meta: event.metaKey };
+		return MODIFIERS.filter(modifier => pressed[modifier]).concat(key).join('+');
+	}
+
+	/**
+	 * Validates a shortcut and returns it in normalized form.
+	 * @param {string} input - The shortcut, e.g. 'alt+r' or 'Shift+Ctrl+1'.
+	 * @returns {string} The normalized shortcut (e.g. 'Ctrl+Shift+1').
+	 * @throws {Error} If the shortcut is malformed, has no modifier, or is reserved.
+	 */
+	function normalizeShortcut(input) {
+		const parts = (typeof input === 'string' ? input : '').split('+').map(part => part.trim()).filter(Boolean);
+		const modifiers = new Set();
+		let key = null;
+		parts.forEach(part => {
+			const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+			if (modifier) {
+				modifiers.add(modifier);
+			} else if (key === null && /^([a-z0-9]|f[1-9]|f1[0-2])$/i.test(part)) {
+				key = part.toUpperCase();
+			} else {
+				throw new Error(ArinI18n.getMessage('shortcutInvalid', input));
+			}
+		});
+		if (key === null) {
+			throw new Error(ArinI18n.getMessage('shortcutNoKey', input));
+		}
+
+		const shortcut = MODIFIERS.filter(modifier => modifiers.has(modifier)).concat(key).join('+');
+		if (!/^F/.test(key) && !modifiers.has('Ctrl') && !modifiers.has('Alt') && !modifiers.has('Meta')) {
+			throw new Error(ArinI18n.getMessage('shortcutNeedsModifier', shortcut));
+		}
+		if (RESERVED_SHORTCUTS.includes(shortcut)) {
+			throw new Error(ArinI18n.getMessage('shortcutReserved', shortcut));
+		}
+		return shortcut;
+	}
+
+	/**
+	 * Checks whether a keyboard event comes from a place where the user types text
+	 * (inputs, textareas, selects and editable content), where shortcuts must not fire.
+	 * @param {EventTarget} target - The event target.
+	 * @returns {boolean} True if the target accepts text input.
+	 */
+	function isEditableTarget(target) {
+		if (!target || target.nodeType !== 1) return false;
+		if (target.isContentEditable) return true;
+		const tagName = target.tagName.toLowerCase();
+		if (tagName === 'textarea' || tagName === 'select') return true;
+		if (tagName !== 'input') return false;
+		const nonTextTypes = ['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'];
+		return !nonTextTypes.includes((target.type || 'text').toLowerCase());
+	}
+
+	/**
+	 * Formats a shortcut for display, using the macOS symbols on Macs.
+	 * @param {string} shortcut - A normalized shortcut.
+	 * @returns {string} The shortcut to show to the user.
+	 */
+	function formatShortcut(shortcut) {
+		const isMac = /Mac/i.test(navigator.platform || '');
+		if (!isMac) return shortcut;
+		const symbols = { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' };
+		return shortcut.split('+').map(part => symbols[part] || part).join('');
+	}
+
+	return {
+		PALETTE_SHORTCUT,
+		fromKeyboardEvent,
+		normalizeShortcut,
+		isEditableTarget,
+		formatShortcut
+	};
+})();
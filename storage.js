@@ -0,0 +1,961 @@
+/**
+ * storage.js
+ *
+ * Shared storage module for the Amazon Easy Nav extension.
+ * This script is loaded by the content script (arin.js), the options page (options.js) and the popup,
+ * and is the single source of truth for how the link configuration is stored:
+ *  1. The link schema and its strict validation.
+ *  2. A `schemaVersion`, stored next to the links, and an ordered pipeline of migrations that
+ *     upgrades configurations stored by older versions of the extension.
+ *  3. The default links used on first use (taken from the catalog, see catalog.js).
+ *  4. Loading, saving and watching the configuration in `chrome.storage.sync`. Large
+ *     configurations are sharded across several keys to stay within the per-item quota, and
+ *     `chrome.storage.local` is used as a fallback when sync storage is unavailable or full.
+ *  5. The list of sites (marketplace domains) the links are paused on, set from the toolbar popup.
+ *  6. Where the links are placed in Amazon's header (see appearance.js), set on the options page.
+ *  7. Profiles: the links are kept in named profiles, each with a link list of its own (see profiles.js).
+ *     The stored configuration is the list of profiles ('linkProfiles'); which one is active is a
+ *     setting of its own ('activeProfile'). Links stored by versions without profiles ('allUserLinks')
+ *     become the links of a "Default" profile.
+ *
+ * Link schema (current version):
+ *  - type: (string) "predefined", "custom", "group" or "native" (one of Amazon's own nav items, see native-items.js).
+ *  - id: (string) Catalog entry id for predefined links; generated unique id for groups.
+ *  - name: (string) Display name. For predefined links, the English catalog name, refreshed from the
+ *    catalog; the name shown is resolved in the page's language (see catalog.js).
+ *  - url: (string) URL path (not for groups). Custom links may also hold a full Amazon URL and
+ *    placeholders such as {domain} (see urls.js). For Amazon's own items, the path they're recognized
+ *    by, or an empty string.
+ *  - enabled: (boolean) Whether the link (or Amazon's own item) is shown in the nav bar.
+ *  - originalIndex: (number, predefined only) Position of the entry in the catalog.
+ *  - customName: (string, predefined only, optional) Display name chosen by the user, shown instead of `name`.
+ *  - marketplaces: (Array<string>, optional) Marketplaces the link is scoped to (see marketplaces.js).
+ *  - shortcut: (string, predefined and custom only, optional) Keyboard shortcut opening the link (see shortcuts.js).
+ *  - condition: (object, optional) Pages the link is shown on: { pathPattern, requires } (see conditions.js).
+ *  - icon: (string, optional) A built-in icon id or an emoji shown before the name (see appearance.js).
+ *  - accent: (string, optional) Accent style of the link: 'bold', 'highlight', 'badge' or 'outline' (see appearance.js).
+ *  - children: (Array<object>, groups only) The group's links. Groups can't be nested.
+ * Amazon's own items only have a type, name, url, enabled and (optionally) marketplaces, and can't be in groups.
+ */
+
+const ArinStorage = (() => {
+	// Key used to store the array of all link profiles in Chrome's synchronized storage.
+	const STORAGE_KEY = 'linkProfiles';
+
+	// Key under which versions without profiles stored the array of all user links. Read to migrate
+	// the links into a profile, and removed once the profiles are saved.
+	const LEGACY_STORAGE_KEY = 'allUserLinks';
+
+	// Key used to store the schema version of the stored links.
+	const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+	// Key holding the number of chunks when the profiles are sharded across several sync items
+	// (and the same for the legacy links).
+	const CHUNK_COUNT_KEY = 'linkProfilesChunks';
+	const LEGACY_CHUNK_COUNT_KEY = 'allUserLinksChunks';
+
+	// Match the keys of the chunks ('linkProfiles_0', 'linkProfiles_1', ... and 'allUserLinks_0', ...).
+	const CHUNK_KEY_PATTERN = /^linkProfiles_(\d+)$/;
+	const LEGACY_CHUNK_KEY_PATTERN = /^allUserLinks_(\d+)$/;
+
+	// Setting holding the id of the active profile (see profiles.js).
+	const ACTIVE_PROFILE_KEY = 'activeProfile';
+
+	// Key set to 'local' in `chrome.storage.local` when this device had to save the links there.
+	// It stays on this device: the synced configuration is left as it is for the other devices.
+	// (Older versions set it in sync storage; it is still honored there for a device holding a local copy.)
+	const STORAGE_AREA_KEY = 'linksStorageArea';
+
+	// Sync storage quotas. The constants are provided by Chrome; the fallbacks are Chrome's documented values.
+	const SYNC_QUOTA_BYTES = (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES) || 102400;
+	const SYNC_QUOTA_BYTES_PER_ITEM = (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192;
+	const SYNC_MAX_ITEMS = (chrome.storage.sync && chrome.storage.sync.MAX_ITEMS) || 512;
+
+	// Saves waiting to run (see `enqueueSave`). The first one is running.
+	const pendingSaves = [];
+
+	// Key holding the marketplace domains (e.g. 'amazon.de') on which the links are paused.
+	const PAUSED_SITES_KEY = 'pausedSites';
+
+	// Key of the placement of the links in the header (one of `ArinAppearance.PLACEMENTS`).
+	const PLACEMENT_KEY = 'linkPlacement';
+
+	// Link types known to the current schema.
+	const LINK_TYPES = ['predefined', 'custom', 'group', 'native'];
+
+	// Properties of links that Amazon's own items can't have: they're only hidden or moved, not restyled.
+	const NATIVE_UNSUPPORTED_PROPERTIES = ['shortcut', 'condition', 'icon', 'accent', 'customName', 'children'];
+
+	/**
+	 * Ordered migration pipeline. Each step upgrades links stored at `version - 1` to `version`.
+	 * Configurations saved before `schemaVersion` existed are treated as version 0.
+	 * Steps must be safe to run on data that already has the newer shape, and on malformed
+	 * entries (which are dropped by validation afterwards).
+	 * To change the schema, append a step here; `SCHEMA_VERSION` follows automatically.
+	 */
+	const MIGRATIONS = [
+		{
+			version: 1,
+			description: 'Custom links stored without an "enabled" property are enabled.',
+			migrate: links => links.map(link => {
+				if (link && link.type === 'custom' && typeof link.enabled === 'undefined') {
+					return Object.assign({}, link, { enabled: true });
+				}
+				return link;
+			})
+		},
+		{
+			version: 2,
+			description: 'Custom link URLs are normalized: full Amazon URLs follow the marketplace of the page (see urls.js).',
+			migrate: links => links.map(function normalize(link) {
+				if (link && link.type === 'group' && Array.isArray(link.children)) {
+					return Object.assign({}, link, { children: link.children.map(normalize) });
+				}
+				if (!link || link.type !== 'custom' || !ArinUrls.isValidUrl(link.url)) return link;
+				return Object.assign({}, link, { url: ArinUrls.normalizeUrl(link.url) });
+			})
+		}
+	];
+
+	// The schema version written by this version of the extension.
+	const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+	/**
+	 * Creates the default set of links used when no configuration is stored yet.
+	 * @returns {Array<object>} A fresh array of link objects.
+	 */
+	function createDefaultLinks() {
+		return ArinCatalog.createDefaultLinks();
+	}
+
+	/**
+	 * Upgrades links stored at an older schema version to the current one.
+	 * Predefined links are also matched to the catalog by id (see catalog.js), so they always
+	 * carry the name and URL of this version's catalog, whatever their schema version.
+	 * @param {Array<object>} links - The stored link objects.
+	 * @param {number} fromVersion - The schema version the links were stored with (0 if unknown).
+	 * @returns {Array<object>} The migrated links.
+	 */
+	function migrateLinks(links, fromVersion) {
+		const migrated = MIGRATIONS
+			.filter(step => step.version > fromVersion)
+			.reduce((current, step) => step.migrate(current), links);
+		return ArinCatalog.migrateLinks(migrated);
+	}
+
+	/**
+	 * Validates a single link object against the current schema.
+	 * @param {*} link - The value to validate.
+	 * @param {string} path - Where the link is (e.g. 'Link 3' or 'Link 2, child 1'), used in the (localized) error messages.
+	 * @param {boolean} [allowGroup=true] - Whether a group (or one of Amazon's own items) is allowed here:
+	 *                                      groups can't be nested, and Amazon's items can't be in groups.
+	 * @throws {Error} If the link is malformed. The message names the link and the problem.
+	 */
+	function validateLink(link, path, allowGroup = true) {
+		if (!link || typeof link !== 'object' || Array.isArray(link)) {
+			throw new Error(ArinI18n.getMessage('linkNotObject', path));
+		}
+		if (!LINK_TYPES.includes(link.type)) {
+			throw new Error(ArinI18n.getMessage('linkUnknownType', [path, link.type]));
+		}
+		if (link.type === 'group' && !allowGroup) {
+			throw new Error(ArinI18n.getMessage('linkNestedGroup', path));
+		}
+		if (link.type === 'native') {
+			if (!allowGroup) {
+				throw new Error(ArinI18n.getMessage('linkNativeInGroup', [path, link.name]));
+			}
+			const property = NATIVE_UNSUPPORTED_PROPERTIES.find(name => name in link);
+			if (property) {
+				throw new Error(ArinI18n.getMessage('linkNativeProperty', [path, link.name, property]));
+			}
+		}
+		if ('enabled' in link && typeof link.enabled !== 'boolean') {
+			throw new Error(ArinI18n.getMessage('linkInvalidEnabled', path));
+		}
+		if ('marketplaces' in link &&
+			(!Array.isArray(link.marketplaces) || !link.marketplaces.every(domain => typeof domain === 'string'))) {
+			throw new Error(ArinI18n.getMessage('linkInvalidMarketplaces', path));
+		}
+
+		if ('condition' in link) {
+			try {
+				ArinConditions.validateCondition(link.condition);
+			} catch (error) {
+				throw new Error(ArinI18n.getMessage('linkInvalidCondition', [path, error.message]));
+			}
+		}
+		if ('icon' in link) {
+			try {
+				ArinAppearance.validateIcon(link.icon);
+			} catch (error) {
+				throw new Error(ArinI18n.getMessage('linkInvalidIcon', [path, error.message]));
+			}
+		}
+		if ('accent' in link) {
+			try {
+				ArinAppearance.validateAccent(link.accent);
+			} catch (error) {
+				throw new Error(ArinI18n.getMessage('linkInvalidAccent', [path, error.message]));
+			}
+		}
+		if ('shortcut' in link) {
+			if (link.type === 'group') {
+				throw new Error(ArinI18n.getMessage('linkGroupShortcut', [path, link.name]));
+			}
+			try {
+				if (ArinShortcuts.normalizeShortcut(link.shortcut) !== link.shortcut) throw new Error(ArinI18n.getMessage('shortcutNotNormalized'));
+			} catch (error) {
+				throw new Error(ArinI18n.getMessage('linkInvalidShortcut', [path, error.message]));
+			}
+		}
+
+		if (link.type === 'predefined') {
+			if (typeof link.id !== 'string' || !link.id) {
+				throw new Error(ArinI18n.getMessage('linkMissingId', path));
+			}
+			// The name and URL of a predefined link come from the catalog, so an unknown id would leave its stored URL unchecked.
+			if (!ArinCatalog.getEntry(link.id)) {
+				throw new Error(ArinI18n.getMessage('linkUnknownCatalogId', [path, link.id]));
+			}
+			if ('customName' in link && (typeof link.customName !== 'string' || !link.customName.trim())) {
+				throw new Error(ArinI18n.getMessage('linkEmptyDisplayName', [path, link.id]));
+			}
+			return;
+		}
+
+		if (typeof link.name !== 'string' || !link.name.trim()) {
+			throw new Error(ArinI18n.getMessage('linkMissingName', path));
+		}
+		if (link.type === 'custom') {
+			if (typeof link.url !== 'string' || !link.url.trim()) {
+				throw new Error(ArinI18n.getMessage('linkMissingUrl', [path, link.name]));
+			}
+			try {
+				ArinUrls.normalizeUrl(link.url);
+			} catch (error) {
+				throw new Error(ArinI18n.getMessage('linkInvalidUrl', [path, link.name, error.message]));
+			}
+			return;
+		}
+		if (link.type === 'native') {
+			if (typeof link.url !== 'string' || (link.url !== '' && !link.url.startsWith('/'))) {
+				throw new Error(ArinI18n.getMessage('linkNativeInvalidUrl', [path, link.name]));
+			}
+			return;
+		}
+
+		// Group
+		if (typeof link.id !== 'string' || !link.id) {
+			throw new Error(ArinI18n.getMessage('linkGroupMissingId', [path, link.name]));
+		}
+		if (!Array.isArray(link.children)) {
+			throw new Error(ArinI18n.getMessage('linkGroupMissingChildren', [path, link.name]));
+		}
+		link.children.forEach((child, index) => validateLink(child, ArinI18n.getMessage('childLinkPath', [path, index + 1]), false));
+	}
+
+	/**
+	 * Validates a whole list of links, stopping at the first malformed entry.
+	 * @param {*} links - The value to validate.
+	 * @throws {Error} If the value isn't an array or contains a malformed link.
+	 */
+	function validateLinks(links) {
+		if (!Array.isArray(links)) {
+			throw new Error(ArinI18n.getMessage('linksNotList'));
+		}
+		links.forEach((link, index) => validateLink(link, ArinI18n.getMessage('linkPath', index + 1)));
+	}
+
+	/**
+	 * Drops malformed entries from a stored list of links, instead of rejecting the whole list.
+	 * Malformed children of an otherwise valid group are dropped from the group.
+	 * @param {Array<object>} links - The stored link objects.
+	 * @returns {object} { links, errors }: the valid links and one message per dropped entry.
+	 */
+	function sanitizeLinks(links) {
+		const errors = [];
+		const validLinks = [];
+		links.forEach((link, index) => {
+			const path = ArinI18n.getMessage('linkPath', index + 1);
+			let candidate = link;
+			if (link && link.type === 'group' && Array.isArray(link.children)) {
+				const validChildren = [];
+				link.children.forEach((child, childIndex) => {
+					try {
+						validateLink(child, ArinI18n.getMessage('childLinkPath', [path, childIndex + 1]), false);
+						validChildren.push(child);
+					} catch (error) {
+						errors.push(error.message);
+					}
+				});
+				candidate = Object.assign({}, link, { children: validChildren });
+			}
+			try {
+				validateLink(candidate, path);
+				validLinks.push(candidate);
+			} catch (error) {
+				errors.push(error.message);
+			}
+		});
+		return { links: validLinks, errors };
+	}
+
+	/**
+	 * Validates a single profile, apart from its links (see `sanitizeProfiles`).
+	 * @param {*} profile - The value to validate.
+	 * @param {string} path - Where the profile is (e.g. 'Profile 2'), used in the (localized) error messages.
+	 * @throws {Error} If the profile is malformed.
+	 */
+	function validateProfile(profile, path) {
+		if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+			throw new Error(ArinI18n.getMessage('profileNotObject', path));
+		}
+		if (typeof profile.id !== 'string' || !profile.id) {
+			throw new Error(ArinI18n.getMessage('profileMissingId', path));
+		}
+		if (typeof profile.name !== 'string' || !profile.name.trim()) {
+			throw new Error(ArinI18n.getMessage('profileMissingName', path));
+		}
+		if ('accountName' in profile && typeof profile.accountName !== 'string') {
+			throw new Error(ArinI18n.getMessage('profileInvalidAccountName', [path, profile.name]));
+		}
+		if (!Array.isArray(profile.links)) {
+			throw new Error(ArinI18n.getMessage('profileMissingLinks', [path, profile.name]));
+		}
+	}
+
+	/**
+	 * Drops malformed profiles (and malformed links within profiles) from a stored list of profiles.
+	 * @param {Array<object>} profiles - The stored profiles.
+	 * @returns {object} { profiles, errors }: the valid profiles and one message per dropped entry.
+	 */
+	function sanitizeProfiles(profiles) {
+		const errors = [];
+		const validProfiles = [];
+		profiles.forEach((profile, index) => {
+			try {
+				validateProfile(profile, ArinI18n.getMessage('profilePath', index + 1));
+				if (validProfiles.some(validProfile => validProfile.id === profile.id)) {
+					throw new Error(ArinI18n.getMessage('profileDuplicateId', [ArinI18n.getMessage('profilePath', index + 1), profile.id]));
+				}
+			} catch (error) {
+				errors.push(error.message);
+				return;
+			}
+			const { links, errors: linkErrors } = sanitizeLinks(profile.links);
+			linkErrors.forEach(message => errors.push(ArinI18n.getMessage('profileLinkError', [profile.name, message])));
+			validProfiles.push(Object.assign({}, profile, { links }));
+		});
+		return { profiles: validProfiles, errors };
+	}
+
+	/**
+	 * Checks whether `chrome.storage.sync` can be used at all (it may be missing or disabled
+	 * by policy in some browsers).
+	 * @returns {boolean} True if sync storage is available.
+	 */
+	function isSyncAvailable() {
+		return !!(chrome.storage && chrome.storage.sync);
+	}
+
+	/**
+	 * Estimates how many bytes an item takes up against the sync quotas: the length of the key
+	 * plus the length of the JSON-serialized value, in UTF-8.
+	 * @param {string} key - The storage key.
+	 * @param {*} value - The value to store.
+	 * @returns {number} The size in bytes.
+	 */
+	function getItemSize(key, value) {
+		return new TextEncoder().encode(key + JSON.stringify(value)).length;
+	}
+
+	/**
+	 * Returns the key of a chunk of a sharded configuration (e.g. 'linkProfiles_0').
+	 * @param {number} index - The chunk index.
+	 * @param {string} [key] - The key of the configuration. Defaults to `STORAGE_KEY`.
+	 * @returns {string} The storage key.
+	 */
+	function getChunkKey(index, key = STORAGE_KEY) {
+		return `${key}_${index}`;
+	}
+
+	/**
+	 * Checks whether a storage key holds (part of) the links stored by versions without profiles.
+	 * @param {string} key - The storage key.
+	 * @returns {boolean} True for the legacy links, their chunks and their count.
+	 */
+	function isLegacyKey(key) {
+		return key === LEGACY_STORAGE_KEY || key === LEGACY_CHUNK_COUNT_KEY || LEGACY_CHUNK_KEY_PATTERN.test(key);
+	}
+
+	/**
+	 * Reads a value that may be sharded across several sync items.
+	 * @param {object} result - Everything read from sync storage.
+	 * @param {string} key - The key of the value (e.g. 'linkProfiles').
+	 * @param {string} chunkCountKey - The key holding its number of chunks.
+	 * @returns {object} { value, chunkCount, unreadable }. `value` is undefined if it isn't stored, or if it
+	 *          is stored but can't be read: then `unreadable` is true (a chunk count or chunks are there, but
+	 *          a chunk is missing, e.g. while sync is still delivering them, or they don't parse).
+	 */
+	function readShardedValue(result, key, chunkCountKey) {
+		const chunkCount = result[chunkCountKey];
+		if (typeof chunkCount !== 'number') {
+			// Chunks without a count may be the start of a sharded value still being delivered.
+			const hasChunks = Object.keys(result).some(candidate => candidate.startsWith(`${key}_`));
+			return { value: result[key], chunkCount: 0, unreadable: result[key] === undefined && hasChunks };
+		}
+		// Sharded configuration: join the chunks back together.
+		const chunks = [];
+		for (let index = 0; index < chunkCount; index++) {
+			chunks.push(result[getChunkKey(index, key)]);
+		}
+		if (!Number.isInteger(chunkCount) || chunkCount < 1 || !chunks.every(chunk => typeof chunk === 'string')) {
+			console.error(`ARIN: Stored chunks of ${key} are incomplete.`);
+			return { value: undefined, chunkCount, unreadable: true };
+		}
+		try {
+			return { value: JSON.parse(chunks.join('')), chunkCount, unreadable: false };
+		} catch (error) {
+			console.error('ARIN: Stored chunks are corrupt:', error);
+			return { value: undefined, chunkCount, unreadable: true };
+		}
+	}
+
+	/**
+	 * Splits a serialized configuration into strings that each fit into one sync storage item.
+	 * @param {string} text - The JSON text of the profiles.
+	 * @returns {Array<string>} The chunks, in order.
+	 */
+	function splitIntoChunks(text) {
+		// Leave some room for the key of the chunk.
+		const maxChunkBytes = SYNC_QUOTA_BYTES_PER_ITEM - getChunkKey(SYNC_MAX_ITEMS).length;
+		const chunks = [];
+		let start = 0;
+		while (start < text.length) {
+			// Start optimistic and shrink until the chunk fits; non-ASCII text and escaping make chunks larger.
+			let length = Math.min(text.length - start, maxChunkBytes);
+			while (getItemSize('', text.substr(start, length)) > maxChunkBytes) {
+				length = Math.floor(length * 0.9);
+			}
+			chunks.push(text.substr(start, length));
+			start += length;
+		}
+		return chunks;
+	}
+
+	/**
+	 * Reads the raw stored configuration, wherever it currently lives: a single item or chunks
+	 * in `chrome.storage.sync`, or `chrome.storage.local` after this device fell back to it.
+	 * @param {function(object)} callback - Called with { profiles, legacyLinks, schemaVersion, area, chunkCount, unreadable }.
+	 *        `profiles` is undefined if no profiles are stored yet, or if they can't be read (a chunk is
+	 *        missing or corrupt): then `unreadable` is true. `legacyLinks` holds the links stored by
+	 *        versions without profiles, if any.
+	 * The marketplace list is loaded first: validating the stored links needs it (see urls.js).
+	 */
+	function readStoredConfig(callback) {
+		ArinMarketplaces.loadMarketplaces(() => readConfigArea(callback));
+	}
+
+	/**
+	 * Reads the raw stored configuration (see `readStoredConfig`), once the marketplace list is loaded.
+	 * @param {function(object)} callback - Called like the callback of `readStoredConfig`.
+	 */
+	function readConfigArea(callback) {
+		const readLocal = () => {
+			chrome.storage.local.get([STORAGE_KEY, LEGACY_STORAGE_KEY, SCHEMA_VERSION_KEY], (result) => {
+				callback({
+					profiles: result[STORAGE_KEY],
+					legacyLinks: result[LEGACY_STORAGE_KEY],
+					schemaVersion: result[SCHEMA_VERSION_KEY],
+					area: 'local',
+					chunkCount: 0,
+					unreadable: false
+				});
+			});
+		};
+		if (!isSyncAvailable()) {
+			readLocal();
+			return;
+		}
+
+		const readSync = (hasLocalCopy) => chrome.storage.sync.get(null, (result) => {
+			if (chrome.runtime.lastError) {
+				console.warn('ARIN: Could not read sync storage, using local storage:', chrome.runtime.lastError.message);
+				readLocal();
+				return;
+			}
+			// A marker in sync storage was set by an older version, on whichever device fell back to local
+			// storage: only that device has a local copy. Move the marker to this device's local storage.
+			if (result[STORAGE_AREA_KEY] === 'local' && hasLocalCopy) {
+				chrome.storage.local.set({ [STORAGE_AREA_KEY]: 'local' }, readLocal);
+				return;
+			}
+
+			const { value: profiles, chunkCount, unreadable } = readShardedValue(result, STORAGE_KEY, CHUNK_COUNT_KEY);
+			const legacy = readShardedValue(result, LEGACY_STORAGE_KEY, LEGACY_CHUNK_COUNT_KEY);
+			callback({
+				profiles,
+				legacyLinks: legacy.value,
+				schemaVersion: result[SCHEMA_VERSION_KEY],
+				area: 'sync',
+				chunkCount,
+				// Legacy links only matter while there are no profiles.
+				unreadable: unreadable || (profiles === undefined && legacy.unreadable)
+			});
+		});
+
+		chrome.storage.local.get([STORAGE_AREA_KEY, STORAGE_KEY], (local) => {
+			if (local[STORAGE_AREA_KEY] === 'local') {
+				readLocal();
+				return;
+			}
+			readSync(local[STORAGE_KEY] !== undefined);
+		});
+	}
+
+	/**
+	 * Saves the profiles to `chrome.storage.local`, and marks them there as this device's copy to read.
+	 * Sync storage isn't touched: the other devices keep the synced configuration.
+	 * @param {Array<object>} profiles - The profiles to save.
+	 * @param {string} reason - Why sync storage isn't used, reported back to the caller.
+	 * @param {function(string|null, object)} callback - Called with an error message (or null) and { area, reason }.
+	 */
+	function saveToLocal(profiles, reason, callback) {
+		const items = { [STORAGE_KEY]: profiles, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION, [STORAGE_AREA_KEY]: 'local' };
+		chrome.storage.local.set(items, () => {
+			const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : null;
+			if (!error) chrome.storage.local.remove(LEGACY_STORAGE_KEY);
+			callback(error, { area: 'local', reason });
+		});
+	}
+
+	/**
+	 * Runs a save once the saves queued before it are done. Saves that overlapped could remove each
+	 * other's keys (e.g. the chunks of a sharded save), or save profiles re-read before another save.
+	 * @param {function(function)} task - Runs the save, and calls the given function once it's done.
+	 */
+	function enqueueSave(task) {
+		pendingSaves.push(task);
+		if (pendingSaves.length === 1) runNextSave();
+	}
+
+	/**
+	 * Runs the first queued save, then the next one once it's done.
+	 */
+	function runNextSave() {
+		pendingSaves[0](() => {
+			pendingSaves.shift();
+			if (pendingSaves.length > 0) runNextSave();
+		});
+	}
+
+	/**
+	 * Writes the profiles (see `saveProfiles`). Only called from the save queue.
+	 * @param {Array<object>} profiles - The profiles to save.
+	 * @param {function(string|null, object)} callback - Called like the callback of `saveProfiles`.
+	 */
+	function writeProfiles(profiles, callback) {
+		if (!isSyncAvailable()) {
+			saveToLocal(profiles, ArinI18n.getMessage('syncUnavailable'), callback);
+			return;
+		}
+
+		const text = JSON.stringify(profiles);
+		const items = { [SCHEMA_VERSION_KEY]: SCHEMA_VERSION };
+		let chunkCount = 0;
+		if (getItemSize(STORAGE_KEY, profiles) <= SYNC_QUOTA_BYTES_PER_ITEM) {
+			items[STORAGE_KEY] = profiles;
+		} else {
+			const chunks = splitIntoChunks(text);
+			chunkCount = chunks.length;
+			chunks.forEach((chunk, index) => {
+				items[getChunkKey(index)] = chunk;
+			});
+			items[CHUNK_COUNT_KEY] = chunkCount;
+		}
+
+		const totalSize = Object.keys(items).reduce((sum, key) => sum + getItemSize(key, items[key]), 0);
+		if (totalSize > SYNC_QUOTA_BYTES || chunkCount > SYNC_MAX_ITEMS - 10) {
+			saveToLocal(profiles, ArinI18n.getMessage('syncTooLarge'), callback);
+			return;
+		}
+
+		// Find what the previous layout left behind before writing, so that keys written by this save are
+		// never removed: chunks no longer needed, the single-item copy when sharded (or the chunk count
+		// when not), a fallback marker set by an older version, and the links stored by versions without profiles.
+		chrome.storage.sync.get(null, (result) => {
+			const staleKeys = Object.keys(result || {}).filter(key => {
+				if (key in items) return false;
+				if (key === STORAGE_KEY || key === CHUNK_COUNT_KEY || key === STORAGE_AREA_KEY || isLegacyKey(key)) return true;
+				const chunkMatch = key.match(CHUNK_KEY_PATTERN);
+				return chunkMatch !== null && parseInt(chunkMatch[1], 10) >= chunkCount;
+			});
+
+			chrome.storage.sync.set(items, () => {
+				if (chrome.runtime.lastError) {
+					// Most likely a quota error (e.g. too many writes or other data using the quota).
+					const reason = ArinI18n.getMessage('syncRejected', chrome.runtime.lastError.message);
+					console.warn('ARIN: ' + reason);
+					saveToLocal(profiles, reason, callback);
+					return;
+				}
+
+				const finish = () => {
+					// This device reads sync storage again: drop its local copy and marker.
+					if (chrome.storage.local) {
+						chrome.storage.local.remove([STORAGE_KEY, LEGACY_STORAGE_KEY, SCHEMA_VERSION_KEY, STORAGE_AREA_KEY]);
+					}
+					callback(null, { area: 'sync', reason: null });
+				};
+				if (staleKeys.length > 0) {
+					chrome.storage.sync.remove(staleKeys, finish);
+				} else {
+					finish();
+				}
+			});
+		});
+	}
+
+	/**
+	 * Saves the profiles to `chrome.storage.sync`, together with the current schema version.
+	 * Configurations too large for one sync item are sharded across several keys
+	 * ('linkProfiles_0', 'linkProfiles_1', ... plus 'linkProfilesChunks'). If sync storage is
+	 * unavailable or full, the profiles are saved to `chrome.storage.local` instead (on this device only).
+	 * Links stored by versions without profiles are removed once the profiles are saved.
+	 * @param {Array<object>} profiles - The profiles to save (see profiles.js).
+	 * @param {function(string|null, object)} [callback] - Called with an error message (or null on success)
+	 *        and { area, reason }: where the profiles ended up ('sync' or 'local') and, for 'local', why.
+	 * Side effects:
+	 *  - Writes the profiles to storage once the saves before it are done (see `enqueueSave`).
+	 */
+	function saveProfiles(profiles, callback = () => {}) {
+		enqueueSave((done) => writeProfiles(profiles, (error, info) => {
+			done();
+			callback(error, info);
+		}));
+	}
+
+	/**
+	 * Reports where the profiles are stored and how much of the sync quota they use.
+	 * @param {function(object)} callback - Called with
+	 *        { area, chunkCount, bytesInUse, quotaBytes, itemQuotaBytes }. `bytesInUse` is null
+	 *        if it can't be determined. For 'local', the quotas refer to sync storage being full or unavailable.
+	 */
+	function getStorageStatus(callback) {
+		readStoredConfig(({ area, chunkCount }) => {
+			const status = {
+				area,
+				chunkCount,
+				bytesInUse: null,
+				quotaBytes: SYNC_QUOTA_BYTES,
+				itemQuotaBytes: SYNC_QUOTA_BYTES_PER_ITEM
+			};
+			if (!isSyncAvailable() || typeof chrome.storage.sync.getBytesInUse !== 'function') {
+				callback(status);
+				return;
+			}
+			chrome.storage.sync.getBytesInUse(null, (bytesInUse) => {
+				status.bytesInUse = chrome.runtime.lastError ? null : bytesInUse;
+				callback(status);
+			});
+		});
+	}
+
+	/**
+	 * Turns the raw stored configuration into valid profiles of the current schema.
+	 * Links stored by versions without profiles become the links of the default profile; if nothing
+	 * is stored yet, the default profile holds the default links.
+	 * If a configuration is stored but can't be read (see `readShardedValue`), the default links are
+	 * shown but never saved, so the stored configuration is kept as it is.
+	 * @param {object} config - The configuration read by `readStoredConfig`.
+	 * @returns {object} { profiles, errors, usedDefaults, saveNeeded, unreadable }: the profiles, messages for
+	 *          dropped malformed entries, whether the defaults were used, whether the result differs from
+	 *          what is stored, and whether the stored configuration can't be read.
+	 */
+	function resolveStoredProfiles({ profiles: storedProfiles, legacyLinks, schemaVersion, unreadable }) {
+		const storedVersion = typeof schemaVersion === 'number' ? schemaVersion : 0;
+		let profiles;
+		let errors = [];
+		let usedDefaults = false;
+
+		if (unreadable) {
+			const message = ArinI18n.getMessage('storedConfigUnreadable');
+			console.error('ARIN: ' + message);
+			return {
+				profiles: [ArinProfiles.createDefaultProfile(createDefaultLinks())],
+				errors: [message],
+				usedDefaults: true,
+				saveNeeded: false,
+				unreadable: true
+			};
+		}
+
+		if (Array.isArray(storedProfiles) && storedProfiles.length > 0) {
+			const migratedProfiles = storedProfiles.map(profile => (profile && Array.isArray(profile.links))
+				? Object.assign({}, profile, { links: migrateLinks(profile.links, storedVersion) })
+				: profile);
+			({ profiles, errors } = sanitizeProfiles(migratedProfiles));
+		} else if (Array.isArray(legacyLinks) && !(legacyLinks.length === 0 && storedVersion === 0)) {
+			// Links stored before profiles existed. (Before `schemaVersion` existed, an empty list meant "not set up yet".)
+			let links;
+			({ links, errors } = sanitizeLinks(migrateLinks(legacyLinks, storedVersion)));
+			profiles = [ArinProfiles.createDefaultProfile(links)];
+		} else {
+			profiles = [];
+		}
+		errors.forEach(message => console.warn('ARIN: Skipping malformed stored entry:', message));
+
+		if (profiles.length === 0) {
+			// First use, or every stored profile was malformed.
+			usedDefaults = true;
+			profiles = [ArinProfiles.createDefaultProfile(createDefaultLinks())];
+		}
+
+		const saveNeeded = usedDefaults || storedVersion !== SCHEMA_VERSION ||
+			JSON.stringify(profiles) !== JSON.stringify(storedProfiles);
+		return { profiles, errors, usedDefaults, saveNeeded, unreadable: false };
+	}
+
+	/**
+	 * Reads the id of the active profile.
+	 * @param {function(string)} callback - Called with the id (the default profile's id if none is stored).
+	 */
+	function loadActiveProfileId(callback) {
+		getSettingsArea().get(ACTIVE_PROFILE_KEY, (result) => {
+			const id = result && result[ACTIVE_PROFILE_KEY];
+			callback(typeof id === 'string' ? id : ArinProfiles.DEFAULT_PROFILE_ID);
+		});
+	}
+
+	/**
+	 * Loads the profiles from storage, migrated to the current schema and validated.
+	 * If nothing is stored yet, a default profile with the default links is used. Defaults and
+	 * migrated profiles (including links stored before profiles existed) are saved back, so every
+	 * part of the extension sees the same data.
+	 * If the stored configuration can't be read, the defaults are used but not saved.
+	 * @param {function(Array<object>, object)} callback - Called with the profiles and
+	 *        { activeProfileId, errors, usedDefaults, unreadable }: the id of an existing profile to show,
+	 *        messages for dropped malformed entries, whether the defaults were used, and whether the stored
+	 *        configuration can't be read (it mustn't be saved over then).
+	 * Side effects:
+	 *  - May write to `chrome.storage.sync` (or `chrome.storage.local`, see `saveProfiles`).
+	 *  - Logs malformed entries and save errors to the console.
+	 */
+	function loadProfiles(callback) {
+		readStoredConfig((config) => {
+			const { profiles, errors, usedDefaults, saveNeeded, unreadable } = resolveStoredProfiles(config);
+			if (saveNeeded) {
+				saveProfiles(profiles, (error, { area }) => {
+					if (error) {
+						console.error('ARIN: Error saving links to storage (linkProfiles):', error);
+					} else {
+						console.log(`ARIN: Links saved to ${area} storage (linkProfiles), schema version ${SCHEMA_VERSION}.`);
+					}
+				});
+			}
+
+			loadActiveProfileId((storedId) => {
+				const activeProfileId = ArinProfiles.getActiveProfile(profiles, storedId).id;
+				callback(profiles, { activeProfileId, errors, usedDefaults, unreadable });
+			});
+		});
+	}
+
+	/**
+	 * Loads the links of the active profile (see `loadProfiles`).
+	 * @param {function(Array<object>, object)} callback - Called with the links and
+	 *        { profile, errors, usedDefaults, unreadable }: the active profile, plus what `loadProfiles` reports.
+	 */
+	function loadLinks(callback) {
+		loadProfiles((profiles, { activeProfileId, errors, usedDefaults, unreadable }) => {
+			const profile = ArinProfiles.getActiveProfile(profiles, activeProfileId);
+			callback(profile.links, { profile, errors, usedDefaults, unreadable });
+		});
+	}
+
+	/**
+	 * Replaces the links of one profile. The other profiles are re-read first, so changes made to them
+	 * elsewhere (e.g. on another device) are kept.
+	 * @param {string} profileId - The id of the profile.
+	 * @param {Array<object>} links - The profile's new links.
+	 * @param {function(string|null, object)} [callback] - Called like the callback of `saveProfiles`.
+	 *        The error message is also set if the profile no longer exists, or if the stored profiles
+	 *        can't be read (nothing is saved then, so they're not replaced by the defaults).
+	 * Side effects:
+	 *  - Writes the profiles to storage (see `saveProfiles`).
+	 */
+	function saveLinks(profileId, links, callback = () => {}) {
+		// Re-read and write in one queued save, so that a save in between isn't undone.
+		enqueueSave((done) => readStoredConfig((config) => {
+			const finish = (error, info) => {
+				done();
+				callback(error, info);
+			};
+			const { profiles, unreadable } = resolveStoredProfiles(config);
+			if (unreadable) {
+				finish(ArinI18n.getMessage('storedConfigUnreadable'), { area: config.area, reason: null });
+				return;
+			}
+			const profile = profiles.find(candidate => candidate.id === profileId);
+			if (!profile) {
+				finish(ArinI18n.getMessage('profileNotFound', profileId), { area: config.area, reason: null });
+				return;
+			}
+			profile.links = links;
+			writeProfiles(profiles, finish);
+		}));
+	}
+
+	/**
+	 * Makes a profile the active one.
+	 * @param {string} profileId - The id of the profile.
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * Side effects:
+	 *  - Writes the 'activeProfile' setting to storage.
+	 */
+	function setActiveProfile(profileId, callback = () => {}) {
+		getSettingsArea().set({ [ACTIVE_PROFILE_KEY]: profileId }, () => {
+			callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+		});
+	}
+
+	/**
+	 * Calls the callback whenever the stored profiles or the active profile change (e.g. edited on the
+	 * options page), whether the profiles are stored in one item, in chunks, or in local storage.
+	 * @param {function(Array<object>, string)} callback - Called with the new profiles (without malformed
+	 *        entries) and the id of the active profile.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onProfilesChanged(callback) {
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName !== 'sync' && areaName !== 'local') return;
+			const relevant = Object.keys(changes).some(key =>
+				key === STORAGE_KEY || key === CHUNK_COUNT_KEY || key === STORAGE_AREA_KEY ||
+				key === ACTIVE_PROFILE_KEY || CHUNK_KEY_PATTERN.test(key));
+			if (!relevant) return;
+
+			// Re-read rather than using `newValue`: a sharded configuration is spread over several keys.
+			// (If the configuration was cleared, the defaults are shown; it is re-seeded on the next load.
+			// While it can't be read, e.g. until sync has delivered every chunk, nothing changes.)
+			readStoredConfig((config) => {
+				const { profiles, unreadable } = resolveStoredProfiles(config);
+				if (unreadable) return;
+				loadActiveProfileId((storedId) => {
+					callback(profiles, ArinProfiles.getActiveProfile(profiles, storedId).id);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Returns the storage area used for small settings: sync storage, or local storage if sync isn't available.
+	 * @returns {object} `chrome.storage.sync` or `chrome.storage.local`.
+	 */
+	function getSettingsArea() {
+		return isSyncAvailable() ? chrome.storage.sync : chrome.storage.local;
+	}
+
+	/**
+	 * Loads the marketplace domains on which the links are paused.
+	 * @param {function(Array<string>)} callback - Called with the domains (e.g. ['amazon.de']).
+	 */
+	function loadPausedSites(callback) {
+		getSettingsArea().get(PAUSED_SITES_KEY, (result) => {
+			const sites = result && result[PAUSED_SITES_KEY];
+			callback(Array.isArray(sites) ? sites.filter(site => typeof site === 'string') : []);
+		});
+	}
+
+	/**
+	 * Pauses or resumes the links on a marketplace.
+	 * @param {string} domain - The marketplace domain (e.g. 'amazon.de', see urls.js).
+	 * @param {boolean} paused - True to hide the links on that marketplace, false to show them again.
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * Side effects:
+	 *  - Writes the 'pausedSites' list to storage.
+	 */
+	function setSitePaused(domain, paused, callback = () => {}) {
+		loadPausedSites(sites => {
+			const otherSites = sites.filter(site => site !== domain);
+			getSettingsArea().set({ [PAUSED_SITES_KEY]: paused ? otherSites.concat(domain) : otherSites }, () => {
+				callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+			});
+		});
+	}
+
+	/**
+	 * Calls the callback whenever the list of paused sites changes (e.g. toggled in the popup).
+	 * @param {function(Array<string>)} callback - Called with the new list of paused domains.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onPausedSitesChanged(callback) {
+		chrome.storage.onChanged.addListener((changes) => {
+			if (!changes[PAUSED_SITES_KEY]) return;
+			const sites = changes[PAUSED_SITES_KEY].newValue;
+			callback(Array.isArray(sites) ? sites : []);
+		});
+	}
+
+	/**
+	 * Loads where the links are placed in the header.
+	 * @param {function(string)} callback - Called with one of `ArinAppearance.PLACEMENTS` (the default if none is stored).
+	 */
+	function loadPlacement(callback) {
+		getSettingsArea().get(PLACEMENT_KEY, (result) => {
+			callback(ArinAppearance.normalizePlacement(result && result[PLACEMENT_KEY]));
+		});
+	}
+
+	/**
+	 * Saves where the links are placed in the header.
+	 * @param {string} placement - One of `ArinAppearance.PLACEMENTS`.
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * Side effects:
+	 *  - Writes the 'linkPlacement' setting to storage.
+	 */
+	function savePlacement(placement, callback = () => {}) {
+		getSettingsArea().set({ [PLACEMENT_KEY]: ArinAppearance.normalizePlacement(placement) }, () => {
+			callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+		});
+	}
+
+	/**
+	 * Calls the callback whenever the placement of the links changes (e.g. on the options page).
+	 * @param {function(string)} callback - Called with the new placement.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onPlacementChanged(callback) {
+		chrome.storage.onChanged.addListener((changes) => {
+			if (!changes[PLACEMENT_KEY]) return;
+			callback(ArinAppearance.normalizePlacement(changes[PLACEMENT_KEY].newValue));
+		});
+	}
+
+	return {
+		STORAGE_KEY,
+		SCHEMA_VERSION,
+		createDefaultLinks,
+		migrateLinks,
+		validateLink,
+		validateLinks,
+		sanitizeLinks,
+		sanitizeProfiles,
+		saveProfiles,
+		saveLinks,
+		loadProfiles,
+		loadLinks,
+		setActiveProfile,
+		getStorageStatus,
+		onProfilesChanged,
+		loadPausedSites,
+		setSitePaused,
+		onPausedSitesChanged,
+		loadPlacement,
+		savePlacement,
+		onPlacementChanged
+	};
+})();
@@ -0,0 +1,363 @@
+/**
+ * Tests of the content script (arin.js with nav-injector.js and storage.js) on saved Amazon headers.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, loadContentScripts, waitFor, settle } = require('./helpers/extension');
+
+/**
+ * Stores links the way a version without profiles did, so each test also goes through the migration.
+ * @param {Array<object>} links - The link objects.
+ * @returns {object} The contents of chrome.storage.sync.
+ */
+function storedLinks(links) {
+	return { schemaVersion: 2, allUserLinks: links };
+}
+
+/**
+ * Lists the texts of the injected links, in page order.
+ * @param {Document} document - The Amazon page.
+ * @returns {Array<string>} The link texts.
+ */
+function injectedTexts(document) {
+	return [...document.querySelectorAll('[data-arin-link]')].map(item => item.textContent);
+}
+
+/**
+ * Lists the texts of all items of the main nav bar (Amazon's and the injected ones), in page order.
+ * @param {Document} document - The Amazon page.
+ * @returns {Array<string>} The item texts.
+ */
+function navBarTexts(document) {
+	return [...document.querySelectorAll('#nav-xshop > ul.nav-ul > li')].map(item => item.textContent.trim());
+}
+
+const CUSTOM_A = { type: 'custom', name: 'Subscriptions', url: '/auto-deliveries', enabled: true };
+const CUSTOM_B = { type: 'custom', name: 'Wish List', url: '/hz/wishlist/ls', enabled: true };
+const CUSTOM_C = { type: 'custom', name: 'Digital Orders', url: '/gp/yourstore/iyr', enabled: true };
+
+describe('content script', () => {
+	let page;
+	afterEach(() => page.close());
+
+	describe('default seeding', () => {
+		it('shows the default links and saves them when nothing is stored yet', async () => {
+			page = loadContentScripts();
+			const defaults = JSON.parse(page.evaluate('JSON.stringify(ArinCatalog.createDefaultLinks())'));
+			await waitFor(() => injectedTexts(page.document).length > 0, { message: 'the default links' });
+
+			assert.deepEqual(injectedTexts(page.document), defaults.map(link => link.name));
+			await waitFor(() => page.chrome.storage.sync.items.linkProfiles, { message: 'the defaults to be saved' });
+			const [profile] = page.chrome.storage.sync.items.linkProfiles;
+			assert.equal(profile.id, 'default');
+			assert.deepEqual(profile.links, defaults);
+			assert.equal(page.chrome.storage.sync.items.schemaVersion, page.evaluate('ArinStorage.SCHEMA_VERSION'));
+		});
+
+		it('keeps an empty list the user saved instead of seeding the defaults again', async () => {
+			page = loadContentScripts({ sync: storedLinks([]) });
+			await settle(200);
+			assert.deepEqual(injectedTexts(page.document), []);
+			assert.deepEqual(page.chrome.storage.sync.items.linkProfiles[0].links, []);
+		});
+
+		it('stores the same predefined links whatever the browser language, and shows them in the page\'s', async () => {
+			page = loadContentScripts({ url: 'https://www.amazon.com/', uiLanguage: 'de' });
+			await waitFor(() => page.chrome.storage.sync.items.linkProfiles, { message: 'the defaults to be saved' });
+			const stored = page.chrome.storage.sync.items.linkProfiles;
+			assert.deepEqual(stored[0].links.map(link => link.name), ['Returns', 'Support Call']);
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			assert.equal(injectedTexts(page.document)[0], 'Returns');
+			await settle(200);
+			assert.equal(page.chrome.storage.sync.items.linkProfiles, stored, 'the links aren\'t saved again');
+		});
+
+		it('leaves stored chunks untouched when one of them is missing', async () => {
+			const profiles = [{ id: 'default', name: 'Default', links: [CUSTOM_A] }];
+			const json = JSON.stringify(profiles);
+			const stored = {
+				schemaVersion: 2,
+				linkProfilesChunks: 2,
+				linkProfiles_0: json.slice(0, 10)
+			};
+			page = loadContentScripts({ sync: { ...stored } });
+			await waitFor(() => injectedTexts(page.document).length > 0, { message: 'the default links' });
+			await settle(200);
+
+			assert.deepEqual(page.chrome.storage.sync.items, stored);
+		});
+	});
+
+	describe('local fallback', () => {
+		const syncedProfiles = [{ id: 'default', name: 'Default', links: [CUSTOM_A] }];
+		const localProfiles = [{ id: 'default', name: 'Default', links: [CUSTOM_B] }];
+
+		it('shows this device\'s local copy and leaves the synced links alone', async () => {
+			const sync = { schemaVersion: 2, linkProfiles: syncedProfiles };
+			page = loadContentScripts({ sync, local: { schemaVersion: 2, linkProfiles: localProfiles, linksStorageArea: 'local' } });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			await settle(200);
+
+			assert.deepEqual(injectedTexts(page.document), ['Wish List']);
+			assert.deepEqual(page.chrome.storage.sync.items, sync);
+		});
+
+		it('keeps the fallback marker on this device when sync storage rejects the links', async () => {
+			page = loadContentScripts({ sync: { schemaVersion: 2, linkProfiles: syncedProfiles } });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			const { chrome } = page;
+			chrome.storage.sync.set = (items, callback) => setTimeout(() => {
+				chrome.runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+				callback();
+				chrome.runtime.lastError = undefined;
+			});
+
+			page.evaluate(`ArinStorage.saveProfiles(${JSON.stringify(localProfiles)}, (error, info) => { window.saveInfo = info; })`);
+			await waitFor(() => page.window.saveInfo, { message: 'the save to finish' });
+
+			assert.equal(page.window.saveInfo.area, 'local');
+			assert.equal(chrome.storage.local.items.linksStorageArea, 'local');
+			assert.deepEqual(chrome.storage.local.items.linkProfiles, localProfiles);
+			assert.deepEqual(chrome.storage.sync.items, { schemaVersion: 2, linkProfiles: syncedProfiles });
+			await waitFor(() => injectedTexts(page.document)[0] === 'Wish List', { message: 'the local copy to be shown' });
+		});
+	});
+
+	describe('saving', () => {
+		it('keeps the layout of the last save when a sharded and a single-item save overlap', async () => {
+			const small = [{ id: 'default', name: 'Default', links: [CUSTOM_A] }];
+			const large = [{ id: 'default', name: 'Default', links: Array.from({ length: 150 }, (link, index) => ({ ...CUSTOM_B, name: `Wish List ${index}` })) }];
+			page = loadContentScripts({ sync: { schemaVersion: 2, linkProfiles: small } });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+
+			for (const [first, last] of [[small, large], [large, small]]) {
+				page.window.saved = 0;
+				page.evaluate(`ArinStorage.saveProfiles(${JSON.stringify(first)}, () => window.saved++);
+					ArinStorage.saveProfiles(${JSON.stringify(last)}, () => window.saved++);`);
+				await waitFor(() => page.window.saved === 2, { message: 'both saves to finish' });
+
+				const { items } = page.chrome.storage.sync;
+				const chunkCount = items.linkProfilesChunks;
+				const stored = chunkCount === undefined
+					? items.linkProfiles
+					: JSON.parse(Array.from({ length: chunkCount }, (chunk, index) => items[`linkProfiles_${index}`]).join(''));
+				assert.deepEqual(stored, last);
+				assert.equal(chunkCount === undefined, last === small);
+				assert.equal('linkProfiles' in items, last === small);
+			}
+		});
+	});
+
+	describe('link URLs', () => {
+		it('never resolves a path to a URL that a browser would take off Amazon', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length === 1);
+			const resolve = url => page.evaluate(`ArinUrls.resolveUrl(${JSON.stringify(url)}, ArinUrls.createContext(location))`);
+
+			assert.equal(resolve('/\\evil.example/phish'), null);
+			assert.equal(resolve('/\t/evil2.example/'), null);
+			assert.equal(resolve('//evil.example/'), null);
+			assert.equal(resolve('/gp/css/order-history'), '/gp/css/order-history');
+			assert.equal(resolve('https://sellercentral.{domain}/home'), 'https://sellercentral.amazon.com/home');
+		});
+
+		it('drops stored predefined links whose id isn\'t in the catalog, since their URL is never checked', async () => {
+			const unknown = { type: 'predefined', id: 'zzz', name: 'Returns', url: '/gp/css/returns', enabled: true };
+			page = loadContentScripts({ sync: storedLinks([unknown, CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			assert.deepEqual(injectedTexts(page.document), ['Subscriptions']);
+		});
+	});
+
+	describe('filtering', () => {
+		it('only shows enabled links', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, { ...CUSTOM_B, enabled: false }, CUSTOM_C]) });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			assert.deepEqual(injectedTexts(page.document), ['Subscriptions', 'Digital Orders']);
+		});
+
+		it('shows or hides links as they are enabled or disabled on the options page', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, CUSTOM_B]) });
+			await waitFor(() => injectedTexts(page.document).length === 2);
+
+			page.chrome.storage.sync.set({ linkProfiles: [{ id: 'default', name: 'Default', links: [{ ...CUSTOM_A, enabled: false }, CUSTOM_B] }] });
+			await waitFor(() => injectedTexts(page.document).length === 1, { message: 'the disabled link to be removed' });
+			assert.deepEqual(injectedTexts(page.document), ['Wish List']);
+		});
+
+		it('only shows links scoped to the marketplace of the page', async () => {
+			page = loadContentScripts({
+				html: readFixture('amazon-de-desktop'),
+				url: 'https://www.amazon.de/',
+				sync: storedLinks([{ ...CUSTOM_A, marketplaces: ['amazon.com'] }, { ...CUSTOM_B, marketplaces: ['amazon.de', 'amazon.fr'] }, CUSTOM_C])
+			});
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			assert.deepEqual(injectedTexts(page.document), ['Wish List', 'Digital Orders']);
+		});
+
+		it('leaves out groups whose links are all disabled', async () => {
+			const group = { type: 'group', id: 'group-1', name: 'Lists', enabled: true, children: [{ ...CUSTOM_B, enabled: false }] };
+			page = loadContentScripts({ sync: storedLinks([group, CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length > 0);
+			assert.deepEqual(injectedTexts(page.document), ['Subscriptions']);
+		});
+	});
+
+	describe('ordering', () => {
+		it('shows the links in their stored order, before Amazon\'s own items', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, CUSTOM_B, CUSTOM_C]) });
+			await waitFor(() => injectedTexts(page.document).length === 3);
+			assert.deepEqual(navBarTexts(page.document),
+				['Subscriptions', 'Wish List', 'Digital Orders', 'Today\'s Deals', 'Customer Service', 'Registry', 'Gift Cards', 'Sell']);
+		});
+
+		it('follows a new order saved on the options page', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, CUSTOM_B, CUSTOM_C]) });
+			await waitFor(() => injectedTexts(page.document).length === 3);
+			const firstItem = page.document.querySelector('[data-arin-link]');
+
+			page.chrome.storage.sync.set({ linkProfiles: [{ id: 'default', name: 'Default', links: [CUSTOM_C, CUSTOM_A, CUSTOM_B] }] });
+			await waitFor(() => injectedTexts(page.document)[0] === 'Digital Orders', { message: 'the links to be reordered' });
+			assert.deepEqual(injectedTexts(page.document), ['Digital Orders', 'Subscriptions', 'Wish List']);
+			// Items are moved, not re-created.
+			assert.equal(page.document.querySelectorAll('[data-arin-link]')[1], firstItem);
+		});
+
+		it('never injects a link twice when the configuration is rendered again', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, CUSTOM_B]) });
+			await waitFor(() => injectedTexts(page.document).length === 2);
+			page.evaluate('renderLinks(currentLinks)');
+			page.evaluate('renderLinks(currentLinks)');
+			await settle();
+			assert.deepEqual(injectedTexts(page.document), ['Subscriptions', 'Wish List']);
+		});
+	});
+
+	describe('header layouts', () => {
+		const layouts = [
+			{ fixture: 'amazon-com-desktop', url: 'https://www.amazon.com/', host: '#nav-xshop > ul.nav-ul' },
+			{ fixture: 'amazon-de-desktop', url: 'https://www.amazon.de/', host: '#nav-xshop > ul.nav-ul' },
+			{ fixture: 'amazon-ae-rtl', url: 'https://www.amazon.ae/-/ar/', host: '#nav-xshop > ul.nav-ul' },
+			{ fixture: 'amazon-co-uk-no-xshop', url: 'https://www.amazon.co.uk/', host: '#nav-main > ul[data-arin-container]' }
+		];
+		layouts.forEach(({ fixture, url, host }) => {
+			it(`injects the links into ${host} on ${fixture}`, async () => {
+				page = loadContentScripts({ html: readFixture(fixture), url, sync: storedLinks([CUSTOM_A, CUSTOM_B]) });
+				await waitFor(() => injectedTexts(page.document).length === 2, { message: `the links on ${fixture}` });
+				const container = page.document.querySelector(host);
+				assert.ok(container, `${host} exists`);
+				assert.deepEqual([...container.querySelectorAll(':scope > [data-arin-link]')].map(item => item.textContent), ['Subscriptions', 'Wish List']);
+			});
+		});
+
+		it('resolves link URLs on the marketplace of the page', async () => {
+			page = loadContentScripts({
+				html: readFixture('amazon-de-desktop'),
+				url: 'https://www.amazon.de/s?k=kabel',
+				sync: storedLinks([{ type: 'custom', name: 'Search', url: '/s?k={search}', enabled: true }, { type: 'predefined', id: 'returns', name: 'Returns', url: '/spr/returns/history', enabled: true, originalIndex: 0 }])
+			});
+			await waitFor(() => injectedTexts(page.document).length === 2);
+			const anchors = [...page.document.querySelectorAll('[data-arin-link] a')];
+			assert.deepEqual(anchors.map(anchor => anchor.getAttribute('href')), ['/s?k=kabel', '/spr/returns/history']);
+			// Predefined links are named in the language of the marketplace.
+			assert.equal(anchors[1].textContent, 'Rücksendungen');
+		});
+	});
+
+	describe('Amazon\'s own items', () => {
+		const DEALS = { type: 'native', name: 'Today\'s Deals', url: '/gp/goldbox', enabled: true };
+		const SELL = { type: 'native', name: 'Sell', url: '/b?node=12766669011', enabled: false };
+
+		/**
+		 * Lists the texts of the items of the main nav bar that aren't hidden, in page order.
+		 * @param {Document} document - The Amazon page.
+		 * @returns {Array<string>} The item texts.
+		 */
+		function shownNavBarTexts(document) {
+			return [...document.querySelectorAll('#nav-xshop > ul.nav-ul > li:not([data-arin-hidden])')].map(item => item.textContent.trim());
+		}
+
+		it('records the items seen on the marketplace', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A]) });
+			const seen = await waitFor(() => page.chrome.storage.local.items.nativeNavItems, { message: 'the items to be recorded' });
+			assert.deepEqual(Object.keys(seen), ['amazon.com']);
+			assert.deepEqual(seen['amazon.com'].items.map(item => item.url),
+				['/gp/goldbox', '/gp/help/customer/display.html', '/gp/browse.html?node=16115931011', '/gift-cards/b?node=2238192011', '/b?node=12766669011']);
+			assert.equal(seen['amazon.com'].items[0].name, 'Today\'s Deals');
+		});
+
+		it('hides disabled items and moves listed items among the links', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, DEALS, CUSTOM_B, SELL]) });
+			await waitFor(() => injectedTexts(page.document).length === 2);
+			await waitFor(() => page.document.querySelector('[data-arin-hidden]'), { message: 'the disabled item to be hidden' });
+			assert.deepEqual(shownNavBarTexts(page.document), ['Subscriptions', 'Today\'s Deals', 'Wish List', 'Customer Service', 'Registry', 'Gift Cards']);
+			assert.equal(page.document.querySelector('[data-arin-hidden]').textContent.trim(), 'Sell');
+		});
+
+		it('recognizes items by their text when the path differs', async () => {
+			page = loadContentScripts({ sync: storedLinks([{ ...DEALS, url: '/deals' }, CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length === 1);
+			assert.deepEqual(navBarTexts(page.document).slice(0, 2), ['Today\'s Deals', 'Subscriptions']);
+		});
+
+		it('puts Amazon\'s items back when they are removed from the list', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A, SELL, DEALS]) });
+			await waitFor(() => page.document.querySelector('[data-arin-hidden]'), { message: 'the disabled item to be hidden' });
+
+			page.chrome.storage.sync.set({ linkProfiles: [{ id: 'default', name: 'Default', links: [CUSTOM_A] }] });
+			await waitFor(() => !page.document.querySelector('[data-arin-hidden]'), { message: 'the item to be shown again' });
+			assert.deepEqual(navBarTexts(page.document),
+				['Subscriptions', 'Today\'s Deals', 'Customer Service', 'Registry', 'Gift Cards', 'Sell']);
+		});
+	});
+
+	describe('missing navigation bar', () => {
+		it('waits for the header and injects the links once it appears', async () => {
+			page = loadContentScripts({ html: readFixture('amazon-com-no-header'), sync: storedLinks([CUSTOM_A, CUSTOM_B]) });
+			await settle(200);
+			assert.deepEqual(injectedTexts(page.document), []);
+			assert.ok(page.logs.some(([, text]) => text.includes('navigation element not found')), 'the missing header is logged');
+
+			// Amazon renders the header late.
+			const header = new page.window.DOMParser().parseFromString(readFixture('amazon-com-desktop'), 'text/html').getElementById('navbar-main');
+			page.document.body.prepend(page.document.importNode(header, true));
+			await waitFor(() => injectedTexts(page.document).length === 2, { message: 'the links in the late header' });
+			assert.deepEqual(navBarTexts(page.document).slice(0, 3), ['Subscriptions', 'Wish List', 'Today\'s Deals']);
+		});
+
+		it('re-injects the links when Amazon re-renders the header', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length === 1);
+
+			const list = page.document.querySelector('#nav-xshop > ul.nav-ul');
+			list.replaceWith(list.cloneNode(false));
+			await waitFor(() => injectedTexts(page.document).length === 1, { message: 'the links to be re-injected' });
+			assert.ok(page.document.querySelector('#nav-xshop > ul.nav-ul > [data-arin-link]'));
+		});
+
+		it('only checks the header again after changes that aren\'t the extension\'s own', async () => {
+			page = loadContentScripts({ sync: storedLinks([CUSTOM_A]) });
+			await waitFor(() => injectedTexts(page.document).length === 1);
+			await settle(100);
+			let checks = 0;
+			const requestAnimationFrame = page.window.requestAnimationFrame;
+			page.window.requestAnimationFrame = callback => {
+				checks++;
+				return requestAnimationFrame(callback);
+			};
+
+			page.chrome.storage.sync.set({ linkProfiles: [{ id: 'default', name: 'Default', links: [CUSTOM_A, CUSTOM_B] }] });
+			await waitFor(() => injectedTexts(page.document).length === 2, { message: 'the new link' });
+			const palette = page.document.createElement('div');
+			palette.setAttribute('data-arin-palette', '');
+			page.document.documentElement.appendChild(palette);
+			palette.remove();
+			await settle(100);
+			assert.equal(checks, 0);
+
+			page.document.body.appendChild(page.document.createElement('div'));
+			await waitFor(() => checks === 1, { message: 'a check after Amazon\'s change' });
+		});
+	});
+});
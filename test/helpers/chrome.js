@@ -0,0 +1,205 @@
+/**
+ * chrome.js
+ *
+ * In-memory stand-in for the parts of the `chrome.*` extension APIs the extension uses:
+ *  - chrome.storage.sync / chrome.storage.local: callback-style get/set/remove/getBytesInUse,
+ *    with the sync quotas, and chrome.storage.onChanged listeners called with (changes, areaName).
+ *  - chrome.runtime: lastError, getURL and openOptionsPage.
+ *  - chrome.i18n: getMessage (with Chrome's placeholder rules) from the real message catalogs in
+ *    _locales, and getUILanguage.
+ *  - chrome.tabs: query, create and update, recording the calls.
+ *
+ * Like the real APIs, callbacks and change listeners run asynchronously, and stored values are
+ * copied, so a test can't change what is stored by accident. Callbacks are scheduled with the
+ * page's own timers, so none are called once the page's window is closed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Base URL of the extension's own resources (see `chrome.runtime.getURL`).
+const EXTENSION_URL = 'chrome-extension://arin-test/';
+
+/**
+ * Reads the message catalog of a language from _locales.
+ * @param {string} language - The catalog's language (e.g. 'en', 'de').
+ * @returns {object} The messages, by name.
+ */
+function readMessages(language) {
+	return JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', language, 'messages.json'), 'utf8'));
+}
+
+/**
+ * Formats a message like `chrome.i18n.getMessage`: named placeholders ($NAME$) are replaced by their
+ * content, then positional substitutions ($1, $2, ...) are filled in.
+ * @param {object} entry - The message entry ({ message, placeholders }).
+ * @param {Array<string>} substitutions - The substitution values.
+ * @returns {string} The formatted message.
+ */
+function formatMessage(entry, substitutions) {
+	const fillIn = text => text.replace(/\$(\d)/g, (match, index) => {
+		const value = substitutions[Number(index) - 1];
+		return value === undefined ? '' : String(value);
+	});
+	const placeholders = entry.placeholders || {};
+	return entry.message.replace(/\$([A-Za-z0-9_@]+)\$/g, (match, name) => {
+		const placeholder = placeholders[name.toLowerCase()];
+		return placeholder ? fillIn(placeholder.content) : match;
+	}).replace(/\$\$/g, '$');
+}
+
+/**
+ * Creates one storage area.
+ * @param {string} areaName - 'sync' or 'local'.
+ * @param {object} items - The initial contents.
+ * @param {object} chrome - The stand-in the area belongs to (for `runtime.lastError`).
+ * @param {Array<function>} listeners - The `chrome.storage.onChanged` listeners.
+ * @param {function(function)} schedule - Runs a callback asynchronously.
+ * @returns {object} The storage area. Its contents are exposed as `items`.
+ */
+function createStorageArea(areaName, items, chrome, listeners, schedule) {
+	const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+	const area = {
+		items: copy(items),
+		QUOTA_BYTES: 102400,
+		QUOTA_BYTES_PER_ITEM: 8192,
+		MAX_ITEMS: 512,
+
+		get(keys, callback) {
+			const result = {};
+			if (keys === null || keys === undefined) {
+				Object.assign(result, copy(area.items));
+			} else if (typeof keys === 'object' && !Array.isArray(keys)) {
+				// An object lists the keys with their default values.
+				Object.keys(keys).forEach(key => {
+					result[key] = key in area.items ? copy(area.items[key]) : keys[key];
+				});
+			} else {
+				[].concat(keys).forEach(key => {
+					if (key in area.items) result[key] = copy(area.items[key]);
+				});
+			}
+			schedule(() => callback(result));
+		},
+
+		set(newItems, callback) {
+			const changes = {};
+			Object.keys(newItems).forEach(key => {
+				changes[key] = { oldValue: copy(area.items[key]), newValue: copy(newItems[key]) };
+				area.items[key] = copy(newItems[key]);
+			});
+			notify(changes, callback);
+		},
+
+		remove(keys, callback) {
+			const changes = {};
+			[].concat(keys).forEach(key => {
+				if (!(key in area.items)) return;
+				changes[key] = { oldValue: copy(area.items[key]) };
+				delete area.items[key];
+			});
+			notify(changes, callback);
+		},
+
+		getBytesInUse(keys, callback) {
+			const selected = keys === null ? Object.keys(area.items) : [].concat(keys);
+			const bytes = selected
+				.filter(key => key in area.items)
+				.reduce((total, key) => total + key.length + JSON.stringify(area.items[key]).length, 0);
+			schedule(() => callback(bytes));
+		}
+	};
+
+	/**
+	 * Calls the operation's callback, then the change listeners (if anything changed).
+	 * @param {object} changes - The changes, by key.
+	 * @param {function} [callback] - The operation's callback.
+	 */
+	function notify(changes, callback) {
+		schedule(() => {
+			chrome.runtime.lastError = undefined;
+			if (callback) callback();
+			if (Object.keys(changes).length > 0) listeners.forEach(listener => listener(changes, areaName));
+		});
+	}
+
+	return area;
+}
+
+/**
+ * Creates the `chrome` stand-in.
+ * @param {object} [options]
+ * @param {object} [options.sync] - Initial contents of chrome.storage.sync.
+ * @param {object} [options.local] - Initial contents of chrome.storage.local.
+ * @param {string} [options.uiLanguage='en'] - The browser's UI language (a catalog in _locales).
+ * @param {string} [options.tabUrl] - URL of the active tab, for `chrome.tabs.query`.
+ * @param {function(function)} [options.schedule] - Runs a callback asynchronously. Defaults to `setTimeout`.
+ * @returns {object} The `chrome` object. Calls to chrome.tabs are recorded in `tabs.calls`.
+ */
+function createChrome({ sync = {}, local = {}, uiLanguage = 'en', tabUrl = 'https://www.amazon.com/', schedule = callback => setTimeout(callback) } = {}) {
+	const listeners = [];
+	const messages = readMessages(uiLanguage);
+	const fallbackMessages = readMessages('en');
+
+	const chrome = {
+		runtime: {
+			lastError: undefined,
+			getURL: resource => EXTENSION_URL + resource,
+			openOptionsPage() {}
+		},
+		i18n: {
+			getMessage(name, substitutions) {
+				const entry = messages[name] || fallbackMessages[name];
+				return entry ? formatMessage(entry, [].concat(substitutions === undefined ? [] : substitutions)) : '';
+			},
+			getUILanguage: () => uiLanguage
+		},
+		storage: {
+			onChanged: { addListener: listener => listeners.push(listener) }
+		},
+		tabs: {
+			calls: [],
+			query(queryInfo, callback) {
+				schedule(() => callback([{ id: 1, url: tabUrl, active: true }]));
+			},
+			create(properties) {
+				chrome.tabs.calls.push(['create', properties]);
+			},
+			update(tabId, properties) {
+				chrome.tabs.calls.push(['update', tabId, properties]);
+			}
+		}
+	};
+	chrome.storage.sync = createStorageArea('sync', sync, chrome, listeners, schedule);
+	chrome.storage.local = createStorageArea('local', local, chrome, listeners, schedule);
+	return chrome;
+}
+
+/**
+ * Creates a `fetch` stand-in serving the extension's own resources (e.g. amazon-domains.json) from the repository.
+ * @param {function(function)} [schedule] - Runs a callback asynchronously. Defaults to `setTimeout`.
+ * @returns {function(string): Promise<object>} The `fetch` function. Its responses have `ok`, `json()` and `text()`.
+ */
+function createFetch(schedule = callback => setTimeout(callback)) {
+	return url => new Promise((resolve, reject) => schedule(() => {
+		if (!url.startsWith(EXTENSION_URL)) {
+			reject(new Error(`Unexpected fetch: ${url}`));
+			return;
+		}
+		const text = fs.readFileSync(path.join(ROOT, url.slice(EXTENSION_URL.length)), 'utf8');
+		resolve({
+			ok: true,
+			status: 200,
+			json: () => Promise.resolve(JSON.parse(text)),
+			text: () => Promise.resolve(text)
+		});
+	}));
+}
+
+module.exports = {
+	ROOT,
+	createChrome,
+	createFetch
+};
@@ -0,0 +1,160 @@
+/**
+ * extension.js
+ *
+ * Loads the extension's scripts into jsdom, the way the browser would:
+ *  - `loadContentScripts` opens an Amazon page (usually a saved header from test/fixtures) and runs
+ *    the content scripts listed in manifest.json, in order.
+ *  - `loadExtensionPage` opens one of the extension's own pages (e.g. options.html) and runs the
+ *    scripts it includes, in order.
+ * Both install the `chrome.*` stand-in from chrome.js. The returned page object gives access to the
+ * window, the document, the stand-in (and so the stored data), and `evaluate` for reading the
+ * script-level constants of the extension (e.g. `page.evaluate('ArinStorage')`). The page's console
+ * output is collected in `page.logs` rather than printed, so the test output stays readable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT, createChrome, createFetch } = require('./chrome');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Reads a saved page from test/fixtures.
+ * @param {string} name - The fixture's file name, without '.html' (e.g. 'amazon-com-desktop').
+ * @returns {string} The HTML.
+ */
+function readFixture(name) {
+	return fs.readFileSync(path.join(FIXTURES_DIRECTORY, `${name}.html`), 'utf8');
+}
+
+/**
+ * Creates a jsdom window with the `chrome` stand-in, and runs scripts of the extension in it.
+ * @param {string} html - The page's HTML.
+ * @param {Array<string>} scripts - The scripts to run, relative to the repository root.
+ * @param {object} options - { url, sync, local, uiLanguage, tabUrl } (see `createChrome`).
+ * @returns {object} The page: { window, document, chrome, logs, evaluate, close }. `logs` holds the
+ *          console output as [level, text] pairs (jsdom's own errors have the level 'jsdomError').
+ */
+function createPage(html, scripts, { url, ...chromeOptions }) {
+	const logs = [];
+	const virtualConsole = new VirtualConsole();
+	['log', 'info', 'warn', 'error'].forEach(level => {
+		virtualConsole.on(level, (...args) => logs.push([level, args.map(String).join(' ')]));
+	});
+	virtualConsole.on('jsdomError', error => logs.push(['jsdomError', error.message]));
+
+	const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+	const { window } = dom;
+	// The browser language follows the UI language, as it usually does.
+	if (chromeOptions.uiLanguage) Object.defineProperty(window.navigator, 'language', { value: chromeOptions.uiLanguage });
+	// The page's timers stop when the window is closed, and so do the callbacks of the stand-ins.
+	const schedule = callback => window.setTimeout(callback);
+	const chrome = createChrome({ ...chromeOptions, schedule });
+	window.chrome = chrome;
+	window.fetch = createFetch(schedule);
+	window.TextEncoder = TextEncoder; // Not provided by jsdom; used for the sync quota estimates.
+
+	const context = dom.getInternalVMContext();
+	scripts.forEach(script => {
+		const file = path.join(ROOT, script);
+		new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+	});
+
+	return {
+		window,
+		document: window.document,
+		chrome,
+		logs,
+		/**
+		 * Evaluates an expression in the page, e.g. to reach the extension's script-level constants.
+		 * @param {string} expression - The JavaScript expression.
+		 * @returns {*} Its value.
+		 */
+		evaluate: expression => new vm.Script(expression).runInContext(context),
+		/**
+		 * Closes the window, stopping its timers and observers.
+		 */
+		close: () => {
+			// Closing the document triggers the injector's MutationObserver, whose animation frame jsdom
+			// would then run on the closed window.
+			window.requestAnimationFrame = () => 0;
+			window.close();
+		}
+	};
+}
+
+/**
+ * Opens an Amazon page and runs the content scripts of manifest.json on it.
+ * @param {object} [options]
+ * @param {string} [options.html] - The page's HTML. Defaults to the 'amazon-com-desktop' fixture.
+ * @param {string} [options.url='https://www.amazon.com/'] - The page URL.
+ * @param {object} [options.sync] - Initial contents of chrome.storage.sync.
+ * @param {object} [options.local] - Initial contents of chrome.storage.local.
+ * @param {string} [options.uiLanguage='en'] - The browser's UI (and navigator) language.
+ * @returns {object} The page (see `createPage`).
+ */
+function loadContentScripts({ html = readFixture('amazon-com-desktop'), url = 'https://www.amazon.com/', ...chromeOptions } = {}) {
+	const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+	return createPage(html, manifest.content_scripts[0].js, { url, ...chromeOptions });
+}
+
+/**
+ * Opens one of the extension's pages and runs the scripts it includes.
+ * The page's <script> elements are taken out of the HTML and run in order once the document is
+ * parsed, like the deferred scripts at the end of the page's body.
+ * @param {string} file - The page, relative to the repository root (e.g. 'options.html').
+ * @param {object} [options] - { sync, local, uiLanguage, tabUrl } (see `createChrome`).
+ * @returns {object} The page (see `createPage`).
+ */
+function loadExtensionPage(file, options = {}) {
+	const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+	const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+	return createPage(html.replace(/<script src="[^"]+"><\/script>/g, ''), scripts, {
+		url: `chrome-extension://arin-test/${file}`,
+		...options
+	});
+}
+
+/**
+ * Waits until a condition holds, checking it every few milliseconds.
+ * @param {function(): *} condition - Returns a truthy value once the expected state is reached.
+ * @param {object} [options]
+ * @param {number} [options.timeout=2000] - How long to wait, in milliseconds.
+ * @param {string} [options.message] - Describes what was expected, for the error.
+ * @returns {Promise<*>} Resolves with the condition's value.
+ * @throws {Error} (as a rejection) If the condition doesn't hold in time.
+ */
+function waitFor(condition, { timeout = 2000, message = 'condition' } = {}) {
+	const start = Date.now();
+	return new Promise((resolve, reject) => {
+		(function check() {
+			const value = condition();
+			if (value) {
+				resolve(value);
+			} else if (Date.now() - start > timeout) {
+				reject(new Error(`Timed out waiting for ${message}.`));
+			} else {
+				setTimeout(check, 10);
+			}
+		})();
+	});
+}
+
+/**
+ * Waits for pending storage callbacks and change listeners to run.
+ * @param {number} [milliseconds=50] - How long to wait.
+ * @returns {Promise<void>}
+ */
+function settle(milliseconds = 50) {
+	return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+module.exports = {
+	readFixture,
+	loadContentScripts,
+	loadExtensionPage,
+	waitFor,
+	settle
+};
@@ -0,0 +1,410 @@
+/**
+ * Tests of the options page (options.html with options.js): what is listed, and what is saved
+ * after adding, removing and reordering links, and after undoing or restoring changes.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage, waitFor, settle } = require('./helpers/extension');
+
+const RETURNS = {
+	type: 'predefined', id: 'returns', name: 'Returns', url: '/spr/returns/history', enabled: true, originalIndex: 0,
+	customName: 'My Returns', shortcut: 'Alt+R', icon: 'return', accent: 'badge', marketplaces: ['amazon.de', 'amazon.com']
+};
+const WISH_LIST = { type: 'custom', name: 'Wish List', url: '/hz/wishlist/ls', enabled: false, icon: '🎁' };
+const REVIEWS = {
+	type: 'custom', name: 'Reviews', url: '/product-reviews/{asin}', enabled: true,
+	condition: { pathPattern: '/dp/*', requires: ['asin'] }
+};
+const ACCOUNT_GROUP = {
+	type: 'group', id: 'group-account', name: 'Account', enabled: true, accent: 'bold',
+	children: [
+		{ type: 'custom', name: 'Subscriptions', url: '/auto-deliveries', enabled: true },
+		{ type: 'predefined', id: 'orders', name: 'Order History', url: '/gp/css/order-history', enabled: true, originalIndex: 2 }
+	]
+};
+const STORED_LINKS = [RETURNS, WISH_LIST, REVIEWS, ACCOUNT_GROUP];
+
+/**
+ * Opens the options page with the given links stored, and waits for the list to be rendered.
+ * The page's alerts are collected in `page.alerts`, and confirmations are accepted.
+ * @param {Array<object>} links - The stored links, as the current version stores them (so loading them
+ *        doesn't save them again).
+ * @param {object} [local] - Initial contents of chrome.storage.local (e.g. Amazon's recorded nav items).
+ * @returns {Promise<object>} The page (see helpers/extension.js).
+ */
+async function openOptions(links, local = {}) {
+	const page = loadExtensionPage('options.html', {
+		sync: { schemaVersion: 2, linkProfiles: [{ id: 'default', name: 'Default', links }], activeProfile: 'default' },
+		local
+	});
+	page.alerts = [];
+	page.window.alert = message => page.alerts.push(message);
+	page.window.confirm = () => true;
+	await waitFor(() => topLevelItems(page).length === links.length, { message: 'the links list' });
+	await settle();
+	assert.deepEqual(savedLinks(page), links, 'loading the links doesn\'t change them');
+	return page;
+}
+
+/**
+ * Returns the top-level items of the links list, in order.
+ * @param {object} page - The options page.
+ * @returns {Array<HTMLElement>} The <li> elements.
+ */
+function topLevelItems(page) {
+	return [...page.document.querySelectorAll('#linksListContainer > li.link-item')];
+}
+
+/**
+ * Returns the links saved for the active profile.
+ * @param {object} page - The options page.
+ * @returns {Array<object>} The stored links.
+ */
+function savedLinks(page) {
+	return page.chrome.storage.sync.items.linkProfiles[0].links;
+}
+
+/**
+ * Waits until the saved links differ from the given ones, i.e. until the page auto-saved.
+ * @param {object} page - The options page.
+ * @param {Array<object>} previousLinks - The links stored before the change.
+ * @returns {Promise<Array<object>>} The newly saved links.
+ */
+function waitForSave(page, previousLinks) {
+	const previous = JSON.stringify(previousLinks);
+	return waitFor(() => JSON.stringify(savedLinks(page)) !== previous && savedLinks(page), { message: 'the links to be saved' });
+}
+
+/**
+ * Moves a list item like a drag and drop does, and ends the drag the way SortableJS would.
+ * @param {object} page - The options page.
+ * @param {HTMLElement} item - The dragged item.
+ * @param {HTMLElement} list - The list it's dropped into.
+ * @param {Node|null} beforeItem - The item it's dropped before (null to drop it at the end).
+ */
+function dragAndDrop(page, item, list, beforeItem) {
+	const sourceList = item.parentElement;
+	list.insertBefore(item, beforeItem);
+	page.window.Sortable.get(sourceList).options.onEnd({ item, from: sourceList, to: list });
+}
+
+describe('options page', () => {
+	let page;
+	afterEach(() => page.close());
+
+	it('lists the stored links in order', async () => {
+		page = await openOptions(STORED_LINKS);
+		const labels = topLevelItems(page).map(item => item.querySelector('.link-label').textContent);
+		assert.match(labels[0], /^My Returns/);
+		assert.match(labels[1], /^🎁Wish List \(\/hz\/wishlist\/ls\)/);
+		assert.match(labels[2], /^Reviews/);
+		assert.deepEqual(
+			[...topLevelItems(page)[3].querySelectorAll('ul.group-children > li.link-item')].map(item => item.dataset.linkName),
+			['Subscriptions', 'Order History']);
+		assert.equal(topLevelItems(page)[1].querySelector(':scope > input[type="checkbox"]').checked, false);
+	});
+
+	it('saves every property of the links unchanged when another link is toggled', async () => {
+		page = await openOptions(STORED_LINKS);
+		topLevelItems(page)[1].querySelector(':scope > input[type="checkbox"]').click();
+
+		const saved = await waitForSave(page, STORED_LINKS);
+		assert.deepEqual(saved, [RETURNS, { ...WISH_LIST, enabled: true }, REVIEWS, ACCOUNT_GROUP]);
+	});
+
+	describe('adding links', () => {
+		it('adds a custom link at the end of the list', async () => {
+			page = await openOptions(STORED_LINKS);
+			page.document.getElementById('linkName').value = 'Digital Orders';
+			page.document.getElementById('linkUrl').value = 'https://www.amazon.com/gp/yourstore/iyr';
+			page.document.getElementById('addLink').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [...STORED_LINKS, { type: 'custom', name: 'Digital Orders', url: '/gp/yourstore/iyr', enabled: true }]);
+			assert.equal(topLevelItems(page).length, 5);
+			assert.equal(page.document.getElementById('linkName').value, '');
+		});
+
+		it('rejects a link with an unsafe URL without saving', async () => {
+			page = await openOptions(STORED_LINKS);
+			page.document.getElementById('linkName').value = 'Evil';
+			page.document.getElementById('linkUrl').value = 'javascript:alert(1)';
+			page.document.getElementById('addLink').click();
+
+			assert.equal(page.alerts.length, 1);
+			assert.match(page.alerts[0], /javascript:/);
+			await settle();
+			assert.equal(topLevelItems(page).length, 4);
+			assert.deepEqual(savedLinks(page), STORED_LINKS);
+		});
+
+		it('rejects hosts that only look like an Amazon marketplace', async () => {
+			page = await openOptions(STORED_LINKS);
+			const urls = ['https://www.amazon.xyz/gp/css', 'https://evil{domain}/x', 'https://www.notamazon.com/x'];
+			urls.forEach(url => {
+				page.document.getElementById('linkName').value = 'Lookalike';
+				page.document.getElementById('linkUrl').value = url;
+				page.document.getElementById('addLink').click();
+			});
+
+			assert.equal(page.alerts.length, urls.length);
+			await settle();
+			assert.deepEqual(savedLinks(page), STORED_LINKS);
+			assert.equal(page.evaluate('ArinUrls.normalizeUrl("https://sellercentral.{domain}/home")'), 'https://sellercentral.{domain}/home');
+			assert.equal(page.evaluate('ArinUrls.normalizeUrl("https://www.amazon.com.au/gp/css")'), '/gp/css');
+		});
+
+		it('adds a predefined destination from the catalog', async () => {
+			page = await openOptions(STORED_LINKS);
+			const catalogItem = page.document.querySelector('#catalogList li.catalog-item[data-catalog-id="prime"]');
+			catalogItem.querySelector('.add-catalog-link').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.equal(saved.length, 5);
+			assert.equal(saved[4].type, 'predefined');
+			assert.equal(saved[4].id, 'prime');
+		});
+	});
+
+	describe('editing links', () => {
+		it('saves every kind of page data checked for a link', async () => {
+			page = await openOptions(STORED_LINKS);
+			const item = topLevelItems(page)[2];
+			item.querySelector('.edit-link').click();
+			const checkboxes = [...item.querySelectorAll('.link-editor-requires input[type="checkbox"]')];
+			assert.deepEqual(checkboxes.map(checkbox => [checkbox.value, checkbox.checked]), [['asin', true], ['orderId', false]]);
+			checkboxes[1].checked = true;
+			item.querySelector('.save-link-edit').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved[2].condition, { pathPattern: '/dp/*', requires: ['asin', 'orderId'] });
+		});
+	});
+
+	describe('Amazon\'s own items', () => {
+		const SEEN_ITEMS = {
+			nativeNavItems: {
+				'amazon.com': { items: [{ name: 'Today\'s Deals', url: '/gp/goldbox' }, { name: 'Sell', url: '/b?node=12766669011' }], lastSeen: 1700000000000 },
+				'amazon.de': { items: [{ name: 'Angebote', url: '/gp/goldbox' }], lastSeen: 1700000000000 }
+			}
+		};
+		const nativeItems = page => [...page.document.querySelectorAll('#nativeItemsList > li.native-item')];
+
+		it('lists the items seen on Amazon, and adds one to the links', async () => {
+			page = await openOptions(STORED_LINKS, SEEN_ITEMS);
+			await waitFor(() => nativeItems(page).length === 2, { message: 'the list of Amazon\'s items' });
+			nativeItems(page)[1].querySelector('.add-native-item').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [...STORED_LINKS, { type: 'native', name: 'Sell', url: '/b?node=12766669011', enabled: true }]);
+			assert.equal(topLevelItems(page)[4].querySelector('.edit-link'), null, 'Amazon\'s items can\'t be edited');
+			assert.equal(nativeItems(page)[1].querySelector('.add-native-item').disabled, true);
+		});
+
+		it('saves an item as hidden when it is unchecked', async () => {
+			const deals = { type: 'native', name: 'Today\'s Deals', url: '/gp/goldbox', enabled: true };
+			page = await openOptions([deals, RETURNS], SEEN_ITEMS);
+			await waitFor(() => nativeItems(page).length === 2);
+			assert.equal(nativeItems(page)[0].querySelector('.add-native-item').disabled, true);
+			topLevelItems(page)[0].querySelector('.native-link-toggle').click();
+
+			const saved = await waitForSave(page, [deals, RETURNS]);
+			assert.deepEqual(saved, [{ ...deals, enabled: false }, RETURNS]);
+		});
+	});
+
+	describe('removing links', () => {
+		it('removes a custom link', async () => {
+			page = await openOptions(STORED_LINKS);
+			topLevelItems(page)[1].querySelector('.remove-custom-link').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [RETURNS, REVIEWS, ACCOUNT_GROUP]);
+		});
+
+		it('removes a predefined link and offers it in the catalog again', async () => {
+			page = await openOptions(STORED_LINKS);
+			const catalogButton = () => page.document.querySelector('#catalogList li.catalog-item[data-catalog-id="returns"] .add-catalog-link');
+			assert.equal(catalogButton().disabled, true);
+			topLevelItems(page)[0].querySelector('.remove-predefined-link').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [WISH_LIST, REVIEWS, ACCOUNT_GROUP]);
+			assert.equal(catalogButton().disabled, false);
+		});
+
+		it('keeps the links of a removed group', async () => {
+			page = await openOptions(STORED_LINKS);
+			topLevelItems(page)[3].querySelector('.remove-group').click();
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [RETURNS, WISH_LIST, REVIEWS, ...ACCOUNT_GROUP.children]);
+		});
+	});
+
+	describe('importing links', () => {
+		/**
+		 * Pastes a configuration and previews its import.
+		 * @param {object} page - The options page.
+		 * @param {object} data - The configuration, as found in an exported file.
+		 */
+		function previewImport(page, data) {
+			page.document.getElementById('importText').value = JSON.stringify(data);
+			page.document.getElementById('previewImport').click();
+		}
+
+		it('rejects a configuration exported with a newer schema', async () => {
+			page = await openOptions(STORED_LINKS);
+			previewImport(page, { format: 'amazon-easy-nav-config', version: 1, schemaVersion: 99, allUserLinks: [WISH_LIST] });
+
+			await waitFor(() => page.document.getElementById('statusMessage').textContent.includes('99'), { message: 'the import error' });
+			assert.equal(page.document.getElementById('importPreview').hidden, true);
+		});
+
+		it('rejects a predefined link whose id isn\'t in the catalog', async () => {
+			page = await openOptions(STORED_LINKS);
+			const unknown = { type: 'predefined', id: 'zzz', name: 'Returns', url: '/\\evil.example/', enabled: true };
+			previewImport(page, { format: 'amazon-easy-nav-config', version: 1, schemaVersion: 2, allUserLinks: [unknown] });
+
+			await waitFor(() => page.document.getElementById('statusMessage').textContent.includes('zzz'), { message: 'the import error' });
+			assert.equal(page.document.getElementById('importPreview').hidden, true);
+		});
+
+		it('takes the URL of a predefined link from the catalog, never from the file', async () => {
+			page = await openOptions(STORED_LINKS);
+			const subscribeSave = { type: 'predefined', id: 'subscribe-save', name: 'Returns', url: '/\\evil.example/', enabled: true };
+			previewImport(page, { format: 'amazon-easy-nav-config', version: 1, schemaVersion: 2, allUserLinks: [subscribeSave] });
+
+			await waitFor(() => !page.document.getElementById('importPreview').hidden, { message: 'the import preview' });
+			page.document.getElementById('applyImport').click();
+			const saved = await waitForSave(page, STORED_LINKS);
+			const imported = saved[saved.length - 1];
+			assert.equal(imported.id, 'subscribe-save');
+			assert.equal(imported.name, 'Subscribe & Save');
+			assert.equal(imported.url, '/auto-deliveries/subscriptionList');
+			assert.ok(!JSON.stringify(saved).includes('evil.example'));
+		});
+
+		it('migrates the links of an older schema before validating them', async () => {
+			page = await openOptions(STORED_LINKS);
+			const digitalOrders = { type: 'custom', name: 'Digital Orders', url: 'https://www.amazon.de/gp/yourstore/iyr' };
+			previewImport(page, { format: 'amazon-easy-nav-config', version: 1, schemaVersion: 0, allUserLinks: [digitalOrders] });
+
+			await waitFor(() => !page.document.getElementById('importPreview').hidden, { message: 'the import preview' });
+			page.document.getElementById('applyImport').click();
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved[saved.length - 1], { ...digitalOrders, url: '/gp/yourstore/iyr', enabled: true });
+		});
+
+		it('lists shortcut conflicts of a merge and imports the link without the shortcut', async () => {
+			page = await openOptions(STORED_LINKS);
+			const digitalOrders = { type: 'custom', name: 'Digital Orders', url: '/gp/yourstore/iyr', enabled: true, shortcut: 'Alt+R' };
+			previewImport(page, { format: 'amazon-easy-nav-config', version: 1, schemaVersion: 2, allUserLinks: [digitalOrders] });
+
+			await waitFor(() => !page.document.getElementById('importPreview').hidden, { message: 'the import preview' });
+			const conflict = page.document.querySelector('#importPreviewList .preview-conflict');
+			assert.ok(conflict, 'the conflict is listed');
+			assert.match(conflict.textContent, /Alt\+R.*My Returns.*Digital Orders/);
+
+			page.document.getElementById('applyImport').click();
+			const saved = await waitForSave(page, STORED_LINKS);
+			const { shortcut, ...withoutShortcut } = digitalOrders;
+			assert.deepEqual(saved, [...STORED_LINKS, withoutShortcut]);
+			assert.equal(saved[0].shortcut, shortcut);
+		});
+	});
+
+	describe('undo and history', () => {
+		/**
+		 * Presses a key on the page, like the user would outside of the text fields.
+		 * @param {object} page - The options page.
+		 * @param {string} code - The key's `KeyboardEvent.code` (e.g. 'KeyZ').
+		 * @param {object} [modifiers] - e.g. { ctrlKey: true, shiftKey: true }.
+		 */
+		function pressKey(page, code, modifiers = {}) {
+			page.document.body.dispatchEvent(new page.window.KeyboardEvent('keydown', { code, bubbles: true, cancelable: true, ...modifiers }));
+		}
+
+		it('brings a removed link back with the Undo button of the notice', async () => {
+			page = await openOptions(STORED_LINKS);
+			topLevelItems(page)[1].querySelector('.remove-custom-link').click();
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [RETURNS, REVIEWS, ACCOUNT_GROUP]);
+
+			const toast = page.document.getElementById('toast');
+			assert.equal(toast.hidden, false);
+			assert.match(page.document.getElementById('toastMessage').textContent, /Wish List/);
+			page.document.getElementById('toastAction').click();
+			assert.deepEqual(await waitForSave(page, saved), STORED_LINKS);
+			assert.equal(topLevelItems(page).length, 4);
+		});
+
+		it('undoes and redoes changes with the keyboard', async () => {
+			page = await openOptions(STORED_LINKS);
+			topLevelItems(page)[1].querySelector(':scope > input[type="checkbox"]').click();
+			const toggled = await waitForSave(page, STORED_LINKS);
+			dragAndDrop(page, topLevelItems(page)[2], page.document.getElementById('linksListContainer'), topLevelItems(page)[0]);
+			const reordered = await waitForSave(page, toggled);
+
+			pressKey(page, 'KeyZ', { ctrlKey: true });
+			assert.deepEqual(await waitForSave(page, reordered), toggled);
+			pressKey(page, 'KeyZ', { ctrlKey: true });
+			const undone = await waitForSave(page, toggled);
+			assert.deepEqual(undone, STORED_LINKS);
+			assert.equal(page.document.getElementById('undoChange').disabled, true);
+
+			pressKey(page, 'KeyZ', { ctrlKey: true, shiftKey: true });
+			assert.deepEqual(await waitForSave(page, undone), toggled);
+		});
+
+		it('keeps the links as they were before the first change, and restores them', async () => {
+			page = await openOptions(STORED_LINKS);
+			assert.ok(page.document.querySelector('#historyList > li.history-empty'));
+			topLevelItems(page)[0].querySelector('.remove-predefined-link').click();
+			const saved = await waitForSave(page, STORED_LINKS);
+
+			const historyItem = await waitFor(() => page.document.querySelector('#historyList > li.history-item'), { message: 'the kept version' });
+			assert.deepEqual(page.chrome.storage.local.items.linkHistory.map(snapshot => snapshot.links), [STORED_LINKS]);
+			historyItem.querySelector('.restore-snapshot').click();
+			assert.deepEqual(await waitForSave(page, saved), STORED_LINKS);
+			// The links replaced by the restore are kept too.
+			await waitFor(() => page.document.querySelectorAll('#historyList > li.history-item').length === 2, { message: 'the replaced version' });
+		});
+
+		it('resets the links to the defaults after confirmation', async () => {
+			page = await openOptions(STORED_LINKS);
+			const defaults = JSON.parse(page.evaluate('JSON.stringify(ArinStorage.createDefaultLinks())'));
+			page.document.getElementById('resetToDefaults').click();
+
+			assert.deepEqual(await waitForSave(page, STORED_LINKS), defaults);
+			await waitFor(() => page.chrome.storage.local.items.linkHistory, { message: 'the replaced version' });
+			assert.equal(page.chrome.storage.local.items.linkHistory[0].reason, 'reset');
+			assert.deepEqual(page.chrome.storage.local.items.linkHistory[0].links, STORED_LINKS);
+		});
+	});
+
+	describe('reordering links', () => {
+		it('saves the new order after a drag and drop', async () => {
+			page = await openOptions(STORED_LINKS);
+			const list = page.document.getElementById('linksListContainer');
+			dragAndDrop(page, topLevelItems(page)[2], list, topLevelItems(page)[0]);
+
+			const saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [REVIEWS, RETURNS, WISH_LIST, ACCOUNT_GROUP]);
+		});
+
+		it('moves links into and out of a group', async () => {
+			page = await openOptions(STORED_LINKS);
+			const list = page.document.getElementById('linksListContainer');
+			const groupChildren = topLevelItems(page)[3].querySelector('ul.group-children');
+			dragAndDrop(page, topLevelItems(page)[1], groupChildren, groupChildren.firstElementChild);
+			let saved = await waitForSave(page, STORED_LINKS);
+			assert.deepEqual(saved, [RETURNS, REVIEWS, { ...ACCOUNT_GROUP, children: [WISH_LIST, ...ACCOUNT_GROUP.children] }]);
+
+			dragAndDrop(page, groupChildren.lastElementChild, list, null);
+			saved = await waitForSave(page, saved);
+			assert.deepEqual(saved, [RETURNS, REVIEWS, { ...ACCOUNT_GROUP, children: [WISH_LIST, ACCOUNT_GROUP.children[0]] }, ACCOUNT_GROUP.children[1]]);
+		});
+	});
+});
@@ -0,0 +1,256 @@
+/**
+ * urls.js
+ *
+ * Shared URL validation, normalization and templating for the Amazon Easy Nav extension.
+ * This script is loaded by both the content script (arin.js) and the options page (options.js).
+ * It knows how to:
+ *  1. Validate the URL of a link: relative paths and full Amazon URLs are accepted; unsafe schemes
+ *     (e.g. `javascript:`), off-Amazon hosts and malformed paths are rejected. Amazon hosts are those of
+ *     the marketplaces in amazon-domains.json, so the list must be loaded first (see marketplaces.js).
+ *  2. Normalize a URL before it's stored: full Amazon URLs are rewritten so they follow the
+ *     marketplace of the page they're shown on ('https://www.amazon.de/gp/css' -> '/gp/css',
+ *     'https://sellercentral.amazon.de/home' -> 'https://sellercentral.{domain}/home').
+ *  3. Resolve template placeholders when the links are injected, so one link works on every storefront:
+ *      - {domain}: the marketplace domain of the page (e.g. 'amazon.co.uk').
+ *      - {tld}: its top-level domain (e.g. 'co.uk').
+ *      - {search}: the current search query (URL-encoded), or an empty string.
+ *      - {asin}: the ASIN of the product on the page (e.g. from '/dp/B000000000').
+ *      - {orderId}: the order ID on the page (e.g. from '?orderID=123-1234567-1234567').
+ *     {asin} and {orderId} are page data: links using them are only shown where the page has them
+ *     (see conditions.js).
+ */
+
+const ArinUrls = (() => {
+	// Schemes allowed in full URLs. Everything else (javascript:, data:, file:, ...) is rejected.
+	const ALLOWED_SCHEMES = ['http:', 'https:'];
+
+	// Host the {domain} placeholder stands for while a URL template is parsed.
+	const DOMAIN_PLACEHOLDER_HOST = 'amazon.arin-domain';
+
+	// Subdomains that are the storefront itself. URLs on these hosts are stored as relative paths.
+	const STOREFRONT_SUBDOMAINS = ['', 'www.', 'smile.'];
+
+	// Matches a template placeholder such as '{domain}'.
+	const PLACEHOLDER_PATTERN = /\{([a-zA-Z]+)\}/g;
+
+	/**
+	 * Placeholder resolvers, keyed by placeholder name. Each is called with the context built by
+	 * `createContext` and returns the replacement text. Values used in paths are URL-encoded here.
+	 */
+	const PLACEHOLDERS = {
+		domain: context => context.domain,
+		tld: context => context.domain.replace(/^amazon\./, ''),
+		search: context => encodeURIComponent(context.search),
+		asin: context => encodeURIComponent(context.asin || ''),
+		orderId: context => encodeURIComponent(context.orderId || '')
+	};
+
+	// Placeholders filled from data on the page, which not every page has.
+	const PAGE_DATA_PLACEHOLDERS = ['asin', 'orderId'];
+
+	// Where the ASIN appears in product URLs ('/dp/B000000000', '/gp/product/B000000000', '/gp/aw/d/B000000000').
+	const ASIN_PATH_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d|product-reviews)\/([A-Z0-9]{10})(?:[/?]|$)/;
+
+	// Query parameters that may hold an order ID, and the shape of order IDs (physical and digital orders).
+	const ORDER_ID_PARAMS = ['orderID', 'orderId', 'order-id', 'orderid'];
+	const ORDER_ID_PATTERN = /^(?:\d{3}|D\d{2})-\d{7}-\d{7}$/;
+
+	/**
+	 * Returns the marketplace domain of a hostname ('www.amazon.co.uk' -> 'amazon.co.uk').
+	 * Only the marketplaces loaded by `ArinMarketplaces.loadMarketplaces` are known.
+	 * @param {string} hostname - The hostname to look up.
+	 * @returns {string|null} The marketplace domain, or null if the host isn't (a subdomain of) a marketplace.
+	 */
+	function getMarketplaceDomain(hostname) {
+		const marketplace = ArinMarketplaces.findMarketplaceForHost(hostname, ArinMarketplaces.getLoadedMarketplaces());
+		return marketplace ? marketplace.amazon_domain : null;
+	}
+
+	/**
+	 * Lists the placeholders used in a URL template.
+	 * @param {string} url - The URL template.
+	 * @returns {Array<string>} The placeholder names (e.g. ['domain', 'asin']).
+	 */
+	function getPlaceholders(url) {
+		return (url.match(PLACEHOLDER_PATTERN) || []).map(placeholder => placeholder.slice(1, -1));
+	}
+
+	/**
+	 * Checks a URL template for placeholders that can't be resolved.
+	 * @param {string} url - The URL template.
+	 * @throws {Error} If the URL contains an unknown placeholder.
+	 */
+	function checkPlaceholders(url) {
+		(url.match(PLACEHOLDER_PATTERN) || []).forEach(placeholder => {
+			const name = placeholder.slice(1, -1);
+			if (!Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name)) {
+				throw new Error(ArinI18n.getMessage('urlUnknownPlaceholder', [placeholder, Object.keys(PLACEHOLDERS).map(key => `{${key}}`).join(', ')]));
+			}
+		});
+	}
+
+	/**
+	 * Validates and normalizes a URL entered by the user.
+	 * Paths without a leading slash get one ('gp/css' -> '/gp/css'). Full Amazon URLs are rewritten to
+	 * follow the marketplace of the page (see the module comment). Placeholders are kept as they are.
+	 * @param {string} input - The URL as entered.
+	 * @returns {string} The normalized URL, ready to be stored.
+	 * @throws {Error} If the URL is empty, malformed, uses an unsafe scheme, points off Amazon,
+	 *                 or contains an unknown placeholder.
+	 */
+	function normalizeUrl(input) {
+		const url = (typeof input === 'string' ? input : '').trim();
+		if (!url) {
+			throw new Error(ArinI18n.getMessage('urlEmpty'));
+		}
+		if (/[\s<>"\\]/.test(url) || /[\u0000-\u001F\u007F]/.test(url)) {
+			throw new Error(ArinI18n.getMessage('urlBadCharacters'));
+		}
+		checkPlaceholders(url);
+
+		// Relative paths (and query strings) on the current storefront.
+		const schemeMatch = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+		if (!schemeMatch && !url.startsWith('//')) {
+			return url.startsWith('/') || url.startsWith('?') ? url : '/' + url;
+		}
+
+		// Full (or protocol-relative) URLs. Placeholders are swapped for a plain token while parsing.
+		const scheme = schemeMatch ? schemeMatch[1].toLowerCase() + ':' : 'https:';
+		if (!ALLOWED_SCHEMES.includes(scheme)) {
+			throw new Error(ArinI18n.getMessage('urlBadScheme', scheme));
+		}
+		let parsed;
+		try {
+			parsed = new URL((schemeMatch ? '' : 'https:') + url.replace(/\{domain\}/g, DOMAIN_PLACEHOLDER_HOST));
+		} catch (error) {
+			throw new Error(ArinI18n.getMessage('urlInvalid'));
+		}
+
+		const hostname = parsed.hostname;
+		const domain = ArinMarketplaces.hostMatchesDomain(hostname, DOMAIN_PLACEHOLDER_HOST)
+			? DOMAIN_PLACEHOLDER_HOST
+			: getMarketplaceDomain(hostname);
+		if (!domain) {
+			throw new Error(ArinI18n.getMessage('urlNotAmazon', hostname));
+		}
+		if (parsed.username || parsed.password || parsed.port) {
+			throw new Error(ArinI18n.getMessage('urlPortOrLogin'));
+		}
+
+		// Rebuild the path from the original text, so placeholders aren't percent-encoded by the parser.
+		const pathStart = url.indexOf('/', url.indexOf('//') + 2);
+		const path = pathStart === -1 ? '/' : url.slice(pathStart);
+		const subdomain = hostname.slice(0, hostname.length - domain.length);
+		if (STOREFRONT_SUBDOMAINS.includes(subdomain)) {
+			return path;
+		}
+		return `https://${subdomain}{domain}${path}`;
+	}
+
+	/**
+	 * Checks whether a URL is valid, without throwing.
+	 * @param {string} url - The URL to check.
+	 * @returns {boolean} True if `normalizeUrl` accepts the URL.
+	 */
+	function isValidUrl(url) {
+		try {
+			normalizeUrl(url);
+			return true;
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Finds the ASIN of the product a page is about, from its URL or (on product pages) its form data.
+	 * @param {Location|URL} pageLocation - The location of the page.
+	 * @param {Document|null} pageDocument - The page, or null if only the URL is known.
+	 * @returns {string} The ASIN, or an empty string.
+	 */
+	function extractAsin(pageLocation, pageDocument) {
+		const pathMatch = ASIN_PATH_PATTERN.exec(pageLocation.pathname);
+		if (pathMatch) return pathMatch[1];
+		const param = new URLSearchParams(pageLocation.search).get('asin');
+		if (param && /^[A-Z0-9]{10}$/.test(param)) return param;
+		const asinInput = pageDocument && pageDocument.getElementById('ASIN');
+		return asinInput && /^[A-Z0-9]{10}$/.test(asinInput.value) ? asinInput.value : '';
+	}
+
+	/**
+	 * Finds the order ID a page is about, from its query parameters or its path.
+	 * @param {Location|URL} pageLocation - The location of the page.
+	 * @returns {string} The order ID, or an empty string.
+	 */
+	function extractOrderId(pageLocation) {
+		const params = new URLSearchParams(pageLocation.search);
+		const param = ORDER_ID_PARAMS.map(name => params.get(name)).find(value => value && ORDER_ID_PATTERN.test(value));
+		if (param) return param;
+		const pathMatch = pageLocation.pathname.split('/').find(segment => ORDER_ID_PATTERN.test(segment));
+		return pathMatch || '';
+	}
+
+	/**
+	 * Builds the context placeholders (and link conditions, see conditions.js) are evaluated against.
+	 * @param {Location|URL} pageLocation - The location of the page (usually `location`).
+	 * @param {Document|null} [pageDocument] - The page, used to read the search box and product data.
+	 *                                         Defaults to `document`; pass null if only the URL is known.
+	 * @returns {object} { domain, pathname, search, asin, orderId }.
+	 */
+	function createContext(pageLocation, pageDocument = document) {
+		const params = new URLSearchParams(pageLocation.search);
+		const searchBox = pageDocument && pageDocument.getElementById('twotabsearchtextbox');
+		return {
+			domain: getMarketplaceDomain(pageLocation.hostname) || pageLocation.hostname,
+			pathname: pageLocation.pathname,
+			search: params.get('k') || params.get('field-keywords') || (searchBox && searchBox.value) || '',
+			asin: extractAsin(pageLocation, pageDocument),
+			orderId: extractOrderId(pageLocation)
+		};
+	}
+
+	/**
+	 * Resolves the placeholders of a stored URL for the page it's shown on.
+	 * The result is checked again, so an unsafe URL is never returned (e.g. from an old configuration).
+	 * @param {string} url - The stored URL (or URL template).
+	 * @param {object} context - The context from `createContext`.
+	 * @returns {string|null} The URL to use as `href`, or null if it isn't safe to use.
+	 */
+	function resolveUrl(url, context) {
+		let resolved;
+		try {
+			checkPlaceholders(url);
+			resolved = url.replace(PLACEHOLDER_PATTERN, (placeholder, name) => PLACEHOLDERS[name](context));
+		} catch (error) {
+			return null;
+		}
+		// Browsers drop tabs and newlines from a URL and read '\' as '/', so '/\evil.example/' would leave Amazon.
+		// Such characters are rejected when a URL is entered too (see `normalizeUrl`).
+		if (/[\s<>"\\]/.test(resolved) || /[\u0000-\u001F\u007F]/.test(resolved)) return null;
+		const schemeMatch = /^([a-z][a-z0-9+.-]*):/i.exec(resolved);
+		if (!schemeMatch) {
+			// A relative URL must stay on the page's host.
+			try {
+				return new URL(resolved, `https://${DOMAIN_PLACEHOLDER_HOST}/`).hostname === DOMAIN_PLACEHOLDER_HOST ? resolved : null;
+			} catch (error) {
+				return null;
+			}
+		}
+		if (!ALLOWED_SCHEMES.includes(schemeMatch[1].toLowerCase() + ':')) return null;
+		try {
+			return getMarketplaceDomain(new URL(resolved).hostname) ? resolved : null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	return {
+		PLACEHOLDERS,
+		PAGE_DATA_PLACEHOLDERS,
+		getMarketplaceDomain,
+		getPlaceholders,
+		normalizeUrl,
+		isValidUrl,
+		createContext,
+		resolveUrl
+	};
+})();
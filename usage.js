@@ -0,0 +1,302 @@
+/**
+ * usage.js
+ *
+ * Local usage analytics for the Amazon Easy Nav extension.
+ * This script is loaded by the content script (arin.js) and the options page (options.js).
+ *
+ * Everything recorded here stays on the device: it's kept in `chrome.storage.local`, never synced
+ * and never sent anywhere. Two things are recorded:
+ *  1. Link uses: every time an injected link is clicked (or opened with its keyboard shortcut), its
+ *     count and last-use time are updated, under the 'linkUsage' key:
+ *       { "<usage key>": { "count": 12, "lastUsed": 1700000000000 } }
+ *     Predefined links are keyed by their id, custom links by their URL (see `getUsageKey`), so
+ *     changing the URL of a custom link starts its count over.
+ *  2. Visited path categories, only if the user opted in on the options page ('trackVisitedPaths').
+ *     A category is the start of a page path, cut before anything that identifies a specific
+ *     product, order or session (see `categorizePath`), under the 'visitedPaths' key:
+ *       { "/gp/css/order-history": { "count": 7, "lastVisited": 1700000000000 } }
+ *     The home page, searches and product pages aren't recorded.
+ * Frequently visited categories that aren't in the links yet are offered as suggestions (see `getSuggestions`).
+ */
+
+const ArinUsage = (() => {
+	// Keys in chrome.storage.local.
+	const USAGE_KEY = 'linkUsage';
+	const VISITS_KEY = 'visitedPaths';
+	const TRACKING_KEY = 'trackVisitedPaths';
+
+	// Number of path segments a category keeps at most ('/gp/css/order-history').
+	const MAX_CATEGORY_DEPTH = 3;
+
+	// Number of categories kept. When there are more, the least visited ones are dropped.
+	const MAX_VISITED_PATHS = 200;
+
+	// Visits a category needs before it's suggested, and the number of suggestions shown.
+	const MIN_SUGGESTION_VISITS = 3;
+	const MAX_SUGGESTIONS = 5;
+
+	// First path segments of pages that aren't recorded: searches ('/s') and sign-in pages ('/ap/signin').
+	const IGNORED_FIRST_SEGMENTS = ['s', 'ap'];
+
+	// Path segments of product pages ('/Product-Name/dp/B000000000'), which aren't recorded either.
+	const PRODUCT_SEGMENTS = ['dp', 'product', 'aw', 'product-reviews'];
+
+	// The link uses known to this page, kept up to date by `startRecording`, or null before they're loaded.
+	let cachedLinkUsage = null;
+
+	/**
+	 * Returns the key a link's uses are counted under.
+	 * @param {object} link - A stored link object.
+	 * @returns {string|null} 'predefined:<id>' or 'custom:<url>', or null for groups (their uses are
+	 *                        those of their child links).
+	 */
+	function getUsageKey(link) {
+		if (link.type === 'predefined') return `predefined:${link.id}`;
+		if (link.type === 'custom') return `custom:${link.url}`;
+		return null;
+	}
+
+	/**
+	 * Checks whether a path segment identifies something specific: an ASIN, an order ID, a number,
+	 * a tracking parameter ('ref=nav_orders') or a placeholder ('{asin}').
+	 * @param {string} segment - A path segment.
+	 * @returns {boolean} True if the category must end before this segment.
+	 */
+	function isSpecificSegment(segment) {
+		return /^ref[=_]/.test(segment) || /[=;{}%]/.test(segment) || /\d{3,}/.test(segment) ||
+			(/^[A-Z0-9]{10}$/.test(segment) && /\d/.test(segment)) || segment.length > 40;
+	}
+
+	/**
+	 * Turns a page path into the category it's recorded under.
+	 * @param {string} pathname - The path of a page (e.g. '/gp/your-account/order-details/ref=ppx_yo').
+	 * @returns {string|null} The category (e.g. '/gp/your-account/order-details'), or null for pages
+	 *                        that aren't recorded (home, searches, product and sign-in pages).
+	 */
+	function categorizePath(pathname) {
+		const segments = (pathname || '').split(/[?#]/)[0].split('/').filter(segment => segment !== '');
+		if (segments.length === 0 || IGNORED_FIRST_SEGMENTS.includes(segments[0]) ||
+			segments.some(segment => PRODUCT_SEGMENTS.includes(segment))) {
+			return null;
+		}
+		const kept = [];
+		for (const segment of segments) {
+			if (kept.length === MAX_CATEGORY_DEPTH || isSpecificSegment(segment)) break;
+			kept.push(segment);
+		}
+		return kept.length > 0 ? '/' + kept.join('/') : null;
+	}
+
+	/**
+	 * Returns the use count of a link. A group's count is the sum of its child links' counts.
+	 * @param {object} link - A stored link object.
+	 * @param {object} linkUsage - The recorded link uses (see the module comment).
+	 * @returns {object} { count, lastUsed }, where `lastUsed` is a timestamp or 0 if never used.
+	 */
+	function getLinkUsage(link, linkUsage) {
+		if (link.type === 'group') {
+			return (link.children || []).map(child => getLinkUsage(child, linkUsage)).reduce((total, usage) => ({
+				count: total.count + usage.count,
+				lastUsed: Math.max(total.lastUsed, usage.lastUsed)
+			}), { count: 0, lastUsed: 0 });
+		}
+		const usage = linkUsage[getUsageKey(link)];
+		return usage ? { count: usage.count || 0, lastUsed: usage.lastUsed || 0 } : { count: 0, lastUsed: 0 };
+	}
+
+	/**
+	 * Loads the recorded data, for the options page.
+	 * @param {function(object)} callback - Called with { linkUsage, visitedPaths, trackVisitedPaths }.
+	 */
+	function loadUsage(callback) {
+		chrome.storage.local.get([USAGE_KEY, VISITS_KEY, TRACKING_KEY], (result) => {
+			callback({
+				linkUsage: (result && result[USAGE_KEY]) || {},
+				visitedPaths: (result && result[VISITS_KEY]) || {},
+				trackVisitedPaths: !!(result && result[TRACKING_KEY])
+			});
+		});
+	}
+
+	/**
+	 * Starts keeping the link uses of this page in memory, so a click can be recorded with a single
+	 * write before the page navigates away. Uses recorded in other tabs are picked up as they happen.
+	 * Side effects:
+	 *  - Reads the link uses from chrome.storage.local and registers a `chrome.storage.onChanged` listener.
+	 */
+	function startRecording() {
+		chrome.storage.local.get(USAGE_KEY, (result) => {
+			cachedLinkUsage = (result && result[USAGE_KEY]) || {};
+		});
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName === 'local' && changes[USAGE_KEY]) {
+				cachedLinkUsage = changes[USAGE_KEY].newValue || {};
+			}
+		});
+	}
+
+	/**
+	 * Records one use of a link.
+	 * @param {string} usageKey - The link's usage key (see `getUsageKey`).
+	 * Side effects:
+	 *  - Writes the updated link uses to chrome.storage.local.
+	 */
+	function recordLinkUse(usageKey) {
+		if (!usageKey) return;
+		const record = (linkUsage) => {
+			const previous = linkUsage[usageKey] || { count: 0 };
+			cachedLinkUsage = Object.assign({}, linkUsage, { [usageKey]: { count: previous.count + 1, lastUsed: Date.now() } });
+			chrome.storage.local.set({ [USAGE_KEY]: cachedLinkUsage });
+		};
+		if (cachedLinkUsage) {
+			record(cachedLinkUsage);
+		} else {
+			chrome.storage.local.get(USAGE_KEY, result => record((result && result[USAGE_KEY]) || {}));
+		}
+	}
+
+	/**
+	 * Records a visit to a page, if the user opted in and the page has a category (see `categorizePath`).
+	 * @param {string} pathname - The path of the page.
+	 * Side effects:
+	 *  - Writes the updated categories to chrome.storage.local, dropping the least visited ones
+	 *    beyond `MAX_VISITED_PATHS`.
+	 */
+	function recordVisit(pathname) {
+		const category = categorizePath(pathname);
+		if (!category) return;
+		chrome.storage.local.get([VISITS_KEY, TRACKING_KEY], (result) => {
+			if (!result || !result[TRACKING_KEY]) return;
+			const visitedPaths = Object.assign({}, result[VISITS_KEY]);
+			const previous = visitedPaths[category] || { count: 0 };
+			visitedPaths[category] = { count: previous.count + 1, lastVisited: Date.now() };
+
+			const categories = Object.keys(visitedPaths);
+			if (categories.length > MAX_VISITED_PATHS) {
+				categories
+					.sort((a, b) => visitedPaths[a].count - visitedPaths[b].count || visitedPaths[a].lastVisited - visitedPaths[b].lastVisited)
+					.slice(0, categories.length - MAX_VISITED_PATHS)
+					.forEach(stale => delete visitedPaths[stale]);
+			}
+			chrome.storage.local.set({ [VISITS_KEY]: visitedPaths });
+		});
+	}
+
+	/**
+	 * Turns recording of visited path categories on or off. Turning it off also deletes the
+	 * categories recorded so far.
+	 * @param {boolean} enabled - Whether to record visited path categories.
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * Side effects:
+	 *  - Writes the 'trackVisitedPaths' setting to chrome.storage.local, and may remove 'visitedPaths'.
+	 */
+	function setTrackVisitedPaths(enabled, callback = () => {}) {
+		chrome.storage.local.set({ [TRACKING_KEY]: !!enabled }, () => {
+			if (chrome.runtime.lastError || enabled) {
+				callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+				return;
+			}
+			chrome.storage.local.remove(VISITS_KEY, () => {
+				callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+			});
+		});
+	}
+
+	/**
+	 * Deletes all recorded link uses and visited path categories. The opt-in setting is kept.
+	 * @param {function(string|null)} [callback] - Called with an error message, or null on success.
+	 * Side effects:
+	 *  - Removes 'linkUsage' and 'visitedPaths' from chrome.storage.local.
+	 */
+	function clearUsage(callback = () => {}) {
+		chrome.storage.local.remove([USAGE_KEY, VISITS_KEY], () => {
+			callback(chrome.runtime.lastError ? chrome.runtime.lastError.message : null);
+		});
+	}
+
+	/**
+	 * Calls the callback whenever link uses or visited path categories are recorded or cleared.
+	 * @param {function()} callback - Called after the change.
+	 * Side effects:
+	 *  - Registers a `chrome.storage.onChanged` listener.
+	 */
+	function onUsageChanged(callback) {
+		chrome.storage.onChanged.addListener((changes, areaName) => {
+			if (areaName === 'local' && (changes[USAGE_KEY] || changes[VISITS_KEY])) callback();
+		});
+	}
+
+	/**
+	 * Lists the path categories of the pages a link leads to. Only paths on the storefront count;
+	 * predefined links use all of their per-marketplace URLs (see catalog.js).
+	 * @param {object} link - A stored (non-group) link object.
+	 * @returns {Array<string>} The categories.
+	 */
+	function getLinkCategories(link) {
+		let urls = [link.url];
+		if (link.type === 'predefined') {
+			const entry = ArinCatalog.getEntry(link.id);
+			if (entry) urls = [entry.url].concat(Object.values(entry.urls || {}));
+		}
+		return urls
+			.filter(url => typeof url === 'string' && url.startsWith('/'))
+			.map(categorizePath)
+			.filter(category => category !== null);
+	}
+
+	/**
+	 * Suggests a link name for a category, from its most telling segment
+	 * ('/gp/css/order-history' -> 'Order history').
+	 * @param {string} category - A path category.
+	 * @returns {string} The suggested name.
+	 */
+	function suggestName(category) {
+		const segment = category.split('/').filter(part => part !== '')
+			.reduce((longest, part) => part.length >= longest.length ? part : longest, '');
+		const words = segment.replace(/[-_+]+/g, ' ').trim();
+		return words.charAt(0).toUpperCase() + words.slice(1);
+	}
+
+	/**
+	 * Suggests links for the most visited path categories that no link leads to yet.
+	 * A category that matches a catalog destination is suggested as that destination.
+	 * @param {object} visitedPaths - The recorded categories (see the module comment).
+	 * @param {Array<object>} links - The current link configuration.
+	 * @returns {Array<object>} Up to `MAX_SUGGESTIONS` of { path, count, name, catalogId }, most visited
+	 *                          first. `catalogId` is the id of the matching catalog entry, or null.
+	 */
+	function getSuggestions(visitedPaths, links) {
+		const covered = new Set();
+		links.forEach(link => {
+			(link.type === 'group' ? link.children || [] : [link])
+				.forEach(child => getLinkCategories(child).forEach(category => covered.add(category)));
+		});
+		return Object.keys(visitedPaths)
+			.filter(path => !covered.has(path) && visitedPaths[path].count >= MIN_SUGGESTION_VISITS)
+			.sort((a, b) => visitedPaths[b].count - visitedPaths[a].count || visitedPaths[b].lastVisited - visitedPaths[a].lastVisited)
+			.slice(0, MAX_SUGGESTIONS)
+			.map(path => {
+				const entry = ArinCatalog.ENTRIES.find(catalogEntry => getLinkCategories({ type: 'predefined', id: catalogEntry.id }).includes(path));
+				return {
+					path,
+					count: visitedPaths[path].count,
+					name: entry ? ArinCatalog.getName(entry) : suggestName(path),
+					catalogId: entry ? entry.id : null
+				};
+			});
+	}
+
+	return {
+		getUsageKey,
+		categorizePath,
+		getLinkUsage,
+		loadUsage,
+		startRecording,
+		recordLinkUse,
+		recordVisit,
+		setTrackVisitedPaths,
+		clearUsage,
+		onUsageChanged,
+		getSuggestions
+	};
+})();